@@ -0,0 +1,61 @@
+import { audit as db } from "./db/store.js";
+import { createLogger, currentContext } from "./logger.js";
+
+// Append-only audit trail of operator and system actions. Recording never
+// throws: a failed insert is logged and the action goes ahead.
+
+const log = createLogger("audit");
+
+const MAX_TEXT = 500;
+
+// Who performed an authenticated request.
+function actorFromAuth(auth) {
+  if (!auth) return { actorType: "system", actor: "pool-manager" };
+  if (auth.type === "session") return { actorType: "session", actor: auth.username };
+  return { actorType: "apiKey", actor: auth.keyId ? `${auth.name} (${auth.keyId})` : auth.name };
+}
+
+// Shorten long strings (e.g. instructions) so rows stay small.
+export function summarize(payload) {
+  if (!payload) return null;
+  const summary = {};
+  for (const [k, v] of Object.entries(payload)) {
+    if (v === undefined) continue;
+    summary[k] = typeof v === "string" && v.length > MAX_TEXT ? `${v.slice(0, MAX_TEXT)}…` : v;
+  }
+  return summary;
+}
+
+// Record an action. auth is req.auth, or null for system actions.
+export async function record(auth, action, { instanceId = null, payload = null, error = null } = {}) {
+  const event = {
+    ...actorFromAuth(auth),
+    action,
+    instanceId,
+    payload: summarize(payload),
+    result: error ? "failure" : "success",
+    error: error?.message || error || null,
+    requestId: currentContext().requestId || null,
+  };
+  try {
+    await db.insertEvent(event);
+  } catch (err) {
+    log.error("Failed to record audit event", { action, instanceId, err });
+  }
+}
+
+export async function list(filters) {
+  const rows = await db.listEvents(filters);
+  return rows.map((r) => ({
+    id: Number(r.id),
+    createdAt: r.created_at,
+    actorType: r.actor_type,
+    actor: r.actor,
+    action: r.action,
+    instanceId: r.instance_id,
+    payload: r.payload,
+    result: r.result,
+    error: r.error,
+    requestId: r.request_id,
+  }));
+}
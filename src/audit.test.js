@@ -0,0 +1,72 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.DATABASE_URL = "memory:";
+process.env.LOG_LEVEL = "error";
+
+const audit = await import("./audit.js");
+const { reset } = await import("./db/memory/index.js");
+const { tables } = await import("./db/memory/tables.js");
+
+const session = { type: "session", username: "alice" };
+const apiKey = { type: "apiKey", name: "ci", keyId: "k1" };
+
+describe("audit", () => {
+  beforeEach(() => reset());
+
+  it("records who did what, and whether it failed", async () => {
+    await audit.record(session, "instance.kill", { instanceId: "abc", payload: { agentName: "Tokyo Trip" } });
+    await audit.record(apiKey, "claim", { error: new Error("No idle instances") });
+    await audit.record(null, "instance.create");
+
+    const [system, failed, killed] = await audit.list({ limit: 10 });
+    assert.deepEqual(
+      { actorType: killed.actorType, actor: killed.actor, instanceId: killed.instanceId, payload: killed.payload, result: killed.result },
+      { actorType: "session", actor: "alice", instanceId: "abc", payload: { agentName: "Tokyo Trip" }, result: "success" }
+    );
+    assert.deepEqual([failed.actor, failed.result, failed.error], ["ci (k1)", "failure", "No idle instances"]);
+    assert.deepEqual([system.actorType, system.actor, system.payload], ["system", "pool-manager", null]);
+  });
+
+  it("never throws when the insert fails", async () => {
+    // reset() puts a fresh table back for the next test
+    tables.audit_events.push = () => {
+      throw new Error("disk full");
+    };
+    await audit.record(session, "instance.kill", { instanceId: "abc" });
+    assert.deepEqual(await audit.list({ limit: 10 }), []);
+  });
+
+  it("truncates long strings and drops undefined fields", () => {
+    const long = "x".repeat(600);
+    assert.deepEqual(audit.summarize({ instructions: long, agentName: "Tokyo Trip", pool: undefined, count: 2 }), {
+      instructions: `${"x".repeat(500)}…`,
+      agentName: "Tokyo Trip",
+      count: 2,
+    });
+    assert.deepEqual(audit.summarize({ instructions: "x".repeat(500) }), { instructions: "x".repeat(500) });
+    assert.equal(audit.summarize(null), null);
+  });
+
+  it("filters events and pages newest first with the before cursor", async () => {
+    for (let i = 0; i < 5; i++) {
+      await audit.record(i % 2 ? apiKey : session, i % 2 ? "claim" : "instance.kill", {
+        instanceId: `inst-${i}`,
+        error: i === 4 ? "Agent unreachable" : null,
+      });
+    }
+
+    const ids = (events) => events.map((e) => e.instanceId);
+    assert.deepEqual(ids(await audit.list({ action: "claim", limit: 10 })), ["inst-3", "inst-1"]);
+    assert.deepEqual(ids(await audit.list({ actor: "alice", limit: 10 })), ["inst-4", "inst-2", "inst-0"]);
+    assert.deepEqual(ids(await audit.list({ instanceId: "inst-2", limit: 10 })), ["inst-2"]);
+    assert.deepEqual(ids(await audit.list({ result: "failure", limit: 10 })), ["inst-4"]);
+    assert.deepEqual(await audit.list({ until: "2000-01-01T00:00:00.000Z", limit: 10 }), []);
+
+    const first = await audit.list({ limit: 2 });
+    assert.deepEqual(ids(first), ["inst-4", "inst-3"]);
+    const second = await audit.list({ before: first.at(-1).id, limit: 2 });
+    assert.deepEqual(ids(second), ["inst-2", "inst-1"]);
+    assert.deepEqual(ids(await audit.list({ before: second.at(-1).id, limit: 2 })), ["inst-0"]);
+  });
+});
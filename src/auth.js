@@ -0,0 +1,165 @@
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import * as keyCache from "./keyCache.js";
+
+// Operator sessions for the dashboard, plus the requireAuth middleware that
+// accepts either a session cookie or a bearer API key.
+
+const scryptAsync = promisify(scrypt);
+
+const POOL_API_KEY = process.env.POOL_API_KEY;
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS || String(12 * 60 * 60 * 1000), 10);
+
+export const SESSION_COOKIE = "pool_session";
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/** @type {Map<string, {id: string, username: string, csrfToken: string, expiresAt: number}>} */
+const sessions = new Map();
+
+// --- Passwords ---
+
+// Hash a password as "scrypt$<salt>$<hash>" (hex).
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scryptAsync(password, Buffer.from(saltHex, "hex"), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// Constant-time string comparison (for tokens).
+export function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+// --- Sessions ---
+
+export function createSession(username) {
+  const session = {
+    id: randomBytes(32).toString("base64url"),
+    username,
+    csrfToken: randomBytes(32).toString("base64url"),
+    expiresAt: Date.now() + SESSION_TTL_MS,
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+export function getSession(id) {
+  if (!id) return null;
+  const session = sessions.get(id);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+  return session;
+}
+
+export function destroySession(id) {
+  sessions.delete(id);
+}
+
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx === -1) continue;
+    const key = part.slice(0, idx).trim();
+    if (!key) continue;
+    try {
+      cookies[key] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      cookies[key] = part.slice(idx + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+// Look up the operator session for a request, or null.
+export function sessionFromRequest(req) {
+  return getSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+}
+
+export function setSessionCookie(req, res, session) {
+  res.cookie(SESSION_COOKIE, session.id, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    path: "/",
+    maxAge: SESSION_TTL_MS,
+  });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+}
+
+// --- Middleware ---
+
+// Resolve a bearer token to { type, keyId, name, scopes }, or null.
+// POOL_API_KEY is still accepted as an admin key so existing clients and the
+// first key-creation call keep working.
+function authenticateBearer(token) {
+  if (POOL_API_KEY && safeEqual(token, POOL_API_KEY)) {
+    return { type: "apiKey", keyId: null, name: "POOL_API_KEY", scopes: ["admin"] };
+  }
+  const key = keyCache.findByToken(token);
+  if (!key) return null;
+  return { type: "apiKey", keyId: key.id, name: key.name, scopes: key.scopes };
+}
+
+// Accepts a bearer API key (machine clients) or an operator session cookie.
+// Session requests with unsafe methods must echo the CSRF token in X-CSRF-Token.
+// Operators get every scope.
+export function requireAuth(req, res, next) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    const auth = authenticateBearer(match[1]);
+    if (!auth) {
+      return res.status(401).json({ error: "Invalid or missing API key" });
+    }
+    req.auth = auth;
+    return next();
+  }
+
+  const session = sessionFromRequest(req);
+  if (!session) {
+    return res.status(401).json({ error: "Invalid or missing API key" });
+  }
+  if (!SAFE_METHODS.has(req.method) && !safeEqual(req.headers["x-csrf-token"], session.csrfToken)) {
+    return res.status(403).json({ error: "Invalid or missing CSRF token" });
+  }
+  req.auth = { type: "session", username: session.username, scopes: ["admin"] };
+  return next();
+}
+
+// Stable identifier for whoever made an authenticated request.
+export function callerId(auth) {
+  if (auth.type === "session") return `session:${auth.username}`;
+  return `key:${auth.keyId || auth.name}`;
+}
+
+// requireAuth plus a scope check ("read", "claim" or "admin").
+// With several scopes, any one of them is enough.
+export function requireScope(...scopes) {
+  return (req, res, next) => {
+    requireAuth(req, res, () => {
+      if (!scopes.some((scope) => keyCache.hasScope(req.auth.scopes, scope))) {
+        const names = scopes.map((s) => `"${s}"`).join(" or ");
+        return res.status(403).json({ error: `API key lacks the ${names} scope` });
+      }
+      return next();
+    });
+  };
+}
@@ -0,0 +1,144 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  hashPassword,
+  verifyPassword,
+  parseCookies,
+  createSession,
+  getSession,
+  destroySession,
+  requireAuth,
+  requireScope,
+  callerId,
+  SESSION_COOKIE,
+} from "./auth.js";
+import * as keyCache from "./keyCache.js";
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+function run(req, middleware = requireAuth) {
+  const res = mockRes();
+  let nextCalled = false;
+  middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+describe("passwords", () => {
+  it("verifies the right password", async () => {
+    const hash = await hashPassword("correct horse battery");
+    assert.equal(await verifyPassword("correct horse battery", hash), true);
+    assert.equal(await verifyPassword("wrong", hash), false);
+  });
+
+  it("rejects malformed hashes", async () => {
+    assert.equal(await verifyPassword("x", ""), false);
+    assert.equal(await verifyPassword("x", "bcrypt$abc$def"), false);
+  });
+});
+
+describe("parseCookies", () => {
+  it("parses multiple cookies", () => {
+    assert.deepEqual(parseCookies("a=1; b=two%20words"), { a: "1", b: "two words" });
+  });
+
+  it("handles empty header", () => {
+    assert.deepEqual(parseCookies(undefined), {});
+  });
+});
+
+describe("sessions", () => {
+  it("create, get, destroy", () => {
+    const s = createSession("alice");
+    assert.equal(getSession(s.id).username, "alice");
+    destroySession(s.id);
+    assert.equal(getSession(s.id), null);
+  });
+});
+
+describe("requireAuth", () => {
+  it("rejects requests with no credentials", () => {
+    const { res, nextCalled } = run({ method: "GET", headers: {} });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("allows session GET without CSRF token", () => {
+    const s = createSession("alice");
+    const req = { method: "GET", headers: { cookie: `${SESSION_COOKIE}=${s.id}` } };
+    const { nextCalled } = run(req);
+    assert.equal(nextCalled, true);
+    assert.deepEqual(req.auth, { type: "session", username: "alice", scopes: ["admin"] });
+  });
+
+  it("rejects session POST without CSRF token", () => {
+    const s = createSession("alice");
+    const { res, nextCalled } = run({ method: "POST", headers: { cookie: `${SESSION_COOKIE}=${s.id}` } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it("allows session POST with matching CSRF token", () => {
+    const s = createSession("alice");
+    const { nextCalled } = run({
+      method: "POST",
+      headers: { cookie: `${SESSION_COOKIE}=${s.id}`, "x-csrf-token": s.csrfToken },
+    });
+    assert.equal(nextCalled, true);
+  });
+
+  it("rejects a wrong bearer token", () => {
+    const { res, nextCalled } = run({ method: "POST", headers: { authorization: "Bearer nope" } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("accepts a cached API key", () => {
+    const token = keyCache.generateKey();
+    keyCache.set({ id: "k1", name: "launcher", keyHash: keyCache.hashKey(token), scopes: ["claim"], expiresAt: null });
+    const req = { method: "POST", headers: { authorization: `Bearer ${token}` } };
+    const { nextCalled } = run(req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.auth.keyId, "k1");
+    keyCache.remove("k1");
+  });
+});
+
+describe("requireScope", () => {
+  it("rejects a key without the scope", () => {
+    const token = keyCache.generateKey();
+    keyCache.set({ id: "k2", name: "launcher", keyHash: keyCache.hashKey(token), scopes: ["claim"], expiresAt: null });
+    const { res, nextCalled } = run({ method: "POST", headers: { authorization: `Bearer ${token}` } }, requireScope("admin"));
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    keyCache.remove("k2");
+  });
+
+  it("accepts any one of several scopes", () => {
+    const token = keyCache.generateKey();
+    keyCache.set({ id: "k3", name: "launcher", keyHash: keyCache.hashKey(token), scopes: ["claim"], expiresAt: null });
+    const { nextCalled } = run({ method: "GET", headers: { authorization: `Bearer ${token}` } }, requireScope("read", "claim"));
+    assert.equal(nextCalled, true);
+    keyCache.remove("k3");
+  });
+
+  it("lets operator sessions through any scope", () => {
+    const s = createSession("alice");
+    const { nextCalled } = run({ method: "GET", headers: { cookie: `${SESSION_COOKIE}=${s.id}` } }, requireScope("admin"));
+    assert.equal(nextCalled, true);
+  });
+});
+
+describe("callerId", () => {
+  it("distinguishes sessions, keys and the bootstrap key", () => {
+    assert.equal(callerId({ type: "session", username: "alice" }), "session:alice");
+    assert.equal(callerId({ type: "apiKey", keyId: "k1", name: "launcher" }), "key:k1");
+    assert.equal(callerId({ type: "apiKey", keyId: null, name: "POOL_API_KEY" }), "key:POOL_API_KEY");
+  });
+});
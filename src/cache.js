@@ -1,14 +1,30 @@
+import { EventEmitter } from "node:events";
+
 // In-memory cache of instance state, rebuilt every tick.
 // All API endpoints read from this instead of the DB.
 
-/** @type {Map<string, {serviceId: string, status: string, name: string, url: string, createdAt: string, deployStatus: string|null, inviteUrl?: string, conversationId?: string}>} */
+/** @type {Map<string, {serviceId: string, pool: string, status: string, name: string, url: string, createdAt: string, deployStatus: string|null, inviteUrl?: string, conversationId?: string}>} */
 const instances = new Map();
 
 /** @type {Set<string>} */
 const claiming = new Set();
 
+// Emits "set" (entry) when an entry is added or actually changes, and
+// "remove" (entry) when one is deleted. Ticks that rewrite identical entries
+// stay silent.
+export const changes = new EventEmitter();
+
+// Per-instance gateway tokens, kept apart from the entries so they never
+// leak through the API responses that serialize cache entries.
+/** @type {Map<string, string>} */
+const tokens = new Map();
+
 export function set(serviceId, data) {
+  const previous = instances.get(serviceId);
   instances.set(serviceId, data);
+  if (!previous || JSON.stringify(previous) !== JSON.stringify(data)) {
+    changes.emit("set", data);
+  }
 }
 
 export function get(serviceId) {
@@ -16,7 +32,18 @@ export function get(serviceId) {
 }
 
 export function remove(serviceId) {
+  const previous = instances.get(serviceId);
   instances.delete(serviceId);
+  tokens.delete(serviceId);
+  if (previous) changes.emit("remove", previous);
+}
+
+export function setToken(serviceId, token) {
+  tokens.set(serviceId, token);
+}
+
+export function getToken(serviceId) {
+  return tokens.get(serviceId) || null;
 }
 
 export function getAll() {
@@ -27,20 +54,37 @@ export function getByStatus(status) {
   return getAll().filter((i) => i.status === status);
 }
 
-export function getCounts() {
-  const counts = { starting: 0, idle: 0, claimed: 0, crashed: 0 };
+function emptyCounts() {
+  return { starting: 0, resetting: 0, idle: 0, claimed: 0, crashed: 0 };
+}
+
+// Counts by status, across every pool or for just one.
+export function getCounts(pool = null) {
+  const counts = emptyCounts();
   for (const inst of instances.values()) {
+    if (pool && inst.pool !== pool) continue;
     if (counts[inst.status] !== undefined) counts[inst.status]++;
   }
   return counts;
 }
 
-// Find the first idle instance not currently being claimed.
-export function findClaimable() {
+// Counts by pool name. Pools listed in `names` are included even when empty.
+export function getCountsByPool(names = []) {
+  const byPool = Object.fromEntries(names.map((name) => [name, emptyCounts()]));
+  for (const inst of instances.values()) {
+    const counts = (byPool[inst.pool] ||= emptyCounts());
+    if (counts[inst.status] !== undefined) counts[inst.status]++;
+  }
+  return byPool;
+}
+
+// Find the first idle instance (in `pool`, if given) not currently being
+// claimed, optionally only one that `accept(instance)` approves.
+export function findClaimable(pool = null, accept = null) {
   for (const inst of instances.values()) {
-    if (inst.status === "idle" && !claiming.has(inst.serviceId)) {
-      return inst;
-    }
+    if (inst.status !== "idle" || (pool && inst.pool !== pool) || claiming.has(inst.serviceId)) continue;
+    if (accept && !accept(inst)) continue;
+    return inst;
   }
   return null;
 }
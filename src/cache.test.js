@@ -1,6 +1,6 @@
 import { describe, it, beforeEach } from "node:test";
 import assert from "node:assert/strict";
-import { getAll, getByStatus, getCounts, set, remove, isBeingClaimed, startClaim, endClaim } from "./cache.js";
+import { getAll, getByStatus, getCounts, set, remove, isBeingClaimed, startClaim, endClaim, setToken, getToken, changes } from "./cache.js";
 
 describe("cache", () => {
   beforeEach(() => {
@@ -47,4 +47,29 @@ describe("cache", () => {
     endClaim("svc-1");
     assert.equal(isBeingClaimed("svc-1"), false);
   });
+
+  it("tokens are kept out of entries and dropped on remove", () => {
+    set("svc-1", { serviceId: "svc-1", status: "idle" });
+    setToken("svc-1", "tok-1");
+    assert.equal(getToken("svc-1"), "tok-1");
+    assert.equal(getAll()[0].gatewayToken, undefined);
+    remove("svc-1");
+    assert.equal(getToken("svc-1"), null);
+  });
+
+  it("emits changes only when an entry actually changes", () => {
+    const seen = [];
+    const onSet = (e) => seen.push(["set", e.serviceId]);
+    const onRemove = (e) => seen.push(["remove", e.serviceId]);
+    changes.on("set", onSet);
+    changes.on("remove", onRemove);
+    set("svc-1", { serviceId: "svc-1", status: "starting" });
+    set("svc-1", { serviceId: "svc-1", status: "starting" });
+    set("svc-1", { serviceId: "svc-1", status: "idle" });
+    remove("svc-1");
+    remove("svc-1");
+    changes.off("set", onSet);
+    changes.off("remove", onRemove);
+    assert.deepEqual(seen, [["set", "svc-1"], ["set", "svc-1"], ["remove", "svc-1"]]);
+  });
 });
@@ -0,0 +1,171 @@
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+import { nanoid } from "nanoid";
+import * as webhooks from "./webhooks.js";
+import { createLogger } from "./logger.js";
+
+// In-memory async claim jobs. A job moves through
+// claiming → provisioning → renaming → done, or ends in failed.
+
+const JOB_TTL_MS = parseInt(process.env.POOL_CLAIM_JOB_TTL_MS || String(60 * 60 * 1000), 10);
+const CALLBACK_SECRET = process.env.POOL_CALLBACK_SECRET;
+const CALLBACK_ATTEMPTS = 3;
+// Hosts callbacks may go to; when unset, any host with only public addresses
+const CALLBACK_HOSTS = (process.env.POOL_CALLBACK_HOSTS || "")
+  .split(",")
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean);
+
+// Addresses callbacks never go to: loopback, private, link-local (including
+// cloud metadata endpoints), shared, multicast and reserved ranges. IPv4-mapped
+// IPv6 addresses are matched against the IPv4 ranges.
+const BLOCKED = new BlockList();
+for (const [net, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED.addSubnet(net, prefix, "ipv4");
+}
+for (const [net, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(net, prefix, "ipv6");
+}
+
+const log = createLogger("jobs");
+
+export const FINAL_STATUSES = new Set(["done", "failed"]);
+
+/** @type {Map<string, {id: string, status: string, agentName: string, caller: string, idempotencyKey: string|null, callbackUrl: string|null, callbackStatus: string|null, result: object|null, error: string|null, createdAt: string, updatedAt: string}>} */
+const jobs = new Map();
+
+// Drop finished jobs older than the retention window.
+function prune() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (FINAL_STATUSES.has(job.status) && new Date(job.updatedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+export function callbacksEnabled() {
+  return !!CALLBACK_SECRET;
+}
+
+// Why a callback URL can't be used, or null if it can. It must be https, and
+// its host must be in allowedHosts (POOL_CALLBACK_HOSTS) or, without an
+// allow-list, resolve only to public addresses.
+export async function callbackUrlError(url, allowedHosts = CALLBACK_HOSTS) {
+  if (typeof url !== "string" || !URL.canParse(url) || new URL(url).protocol !== "https:") {
+    return "callbackUrl must be an https URL";
+  }
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+  if (allowedHosts.length > 0) {
+    return allowedHosts.includes(host) ? null : `callbackUrl host ${host} is not in POOL_CALLBACK_HOSTS`;
+  }
+  let addresses;
+  try {
+    addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true });
+  } catch {
+    return `callbackUrl host ${host} can't be resolved`;
+  }
+  const blocked = addresses.find(({ address, family }) => BLOCKED.check(address, family === 6 ? "ipv6" : "ipv4"));
+  return blocked ? `callbackUrl host ${host} resolves to a non-public address (${blocked.address})` : null;
+}
+
+export function create({ agentName, caller, idempotencyKey = null, callbackUrl = null }) {
+  prune();
+  const now = new Date().toISOString();
+  const job = {
+    id: nanoid(16),
+    status: "claiming",
+    agentName,
+    caller,
+    idempotencyKey,
+    callbackUrl,
+    callbackStatus: callbackUrl ? "pending" : null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+export function get(id) {
+  return jobs.get(id) || null;
+}
+
+export function findByIdempotencyKey(idempotencyKey) {
+  for (const job of jobs.values()) {
+    if (job.idempotencyKey === idempotencyKey) return job;
+  }
+  return null;
+}
+
+export function update(id, fields) {
+  const job = jobs.get(id);
+  if (!job) return;
+  Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+}
+
+// Public view of a job (drops the caller and idempotency key).
+export function toPublic(job) {
+  const { caller: _caller, idempotencyKey: _key, ...rest } = job;
+  return rest;
+}
+
+// Run work(onProgress) for a job, record the outcome, then fire the callback.
+// work resolves with the claim result, or null when no instance was available.
+export async function run(job, work) {
+  try {
+    const result = await work((status) => update(job.id, { status }));
+    if (result) {
+      const { replayed: _replayed, ...body } = result;
+      update(job.id, { status: "done", result: body });
+    } else {
+      update(job.id, { status: "failed", error: "No idle instances available" });
+    }
+  } catch (err) {
+    update(job.id, { status: "failed", error: err.message });
+  }
+
+  log.info("Claim job finished", { jobId: job.id, status: job.status, instanceId: job.result?.instanceId, error: job.error || undefined });
+  if (job.callbackUrl) await deliverCallback(job);
+}
+
+async function deliverCallback(job) {
+  for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+    // Check the host again: its DNS may have changed since the claim
+    const error = await callbackUrlError(job.callbackUrl);
+    if (error) {
+      log.warn("Callback refused", { jobId: job.id, error });
+      break;
+    }
+    try {
+      await webhooks.postSigned(job.callbackUrl, { type: "claim.finished", job: toPublic(job) }, CALLBACK_SECRET);
+      update(job.id, { callbackStatus: "delivered" });
+      return;
+    } catch (err) {
+      log.warn("Callback failed", { jobId: job.id, attempt, maxAttempts: CALLBACK_ATTEMPTS, err });
+      if (attempt < CALLBACK_ATTEMPTS) {
+        await new Promise((r) => setTimeout(r, webhooks.backoffMs(attempt)));
+      }
+    }
+  }
+  update(job.id, { callbackStatus: "failed" });
+}
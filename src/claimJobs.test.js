@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { create, get, run, toPublic, findByIdempotencyKey, callbackUrlError } from "./claimJobs.js";
+
+describe("claimJobs", () => {
+  it("records progress and the final result", async () => {
+    const job = create({ agentName: "trip", caller: "key:k1" });
+    const seen = [];
+    await run(job, async (onProgress) => {
+      onProgress("provisioning");
+      seen.push(get(job.id).status);
+      onProgress("renaming");
+      seen.push(get(job.id).status);
+      return { instanceId: "abc", conversationId: "conv-1", inviteUrl: null, joined: false, replayed: true };
+    });
+    assert.deepEqual(seen, ["provisioning", "renaming"]);
+    assert.equal(get(job.id).status, "done");
+    assert.deepEqual(get(job.id).result, { instanceId: "abc", conversationId: "conv-1", inviteUrl: null, joined: false });
+  });
+
+  it("fails when no instance was available", async () => {
+    const job = create({ agentName: "trip", caller: "key:k1" });
+    await run(job, async () => null);
+    assert.equal(get(job.id).status, "failed");
+    assert.equal(get(job.id).error, "No idle instances available");
+  });
+
+  it("fails with the provisioning error", async () => {
+    const job = create({ agentName: "trip", caller: "key:k1" });
+    await run(job, async () => {
+      throw new Error("Create failed on abc: 500");
+    });
+    assert.equal(get(job.id).status, "failed");
+    assert.equal(get(job.id).error, "Create failed on abc: 500");
+  });
+
+  it("finds jobs by idempotency key and hides it publicly", () => {
+    const job = create({ agentName: "trip", caller: "key:k1", idempotencyKey: "key:k1:abc" });
+    assert.equal(findByIdempotencyKey("key:k1:abc").id, job.id);
+    assert.equal(toPublic(job).caller, undefined);
+    assert.equal(toPublic(job).idempotencyKey, undefined);
+  });
+
+  it("only sends callbacks to public https hosts", async () => {
+    assert.equal(await callbackUrlError("https://93.184.216.34/done"), null);
+    assert.match(await callbackUrlError("http://93.184.216.34/done"), /must be an https URL/);
+    assert.match(await callbackUrlError(42), /must be an https URL/);
+    for (const url of [
+      "https://127.0.0.1/done",
+      "https://localhost/done",
+      "https://10.1.2.3/done",
+      "https://172.20.0.1/done",
+      "https://192.168.1.1/done",
+      "https://169.254.169.254/latest/meta-data",
+      "https://[::1]/done",
+      "https://[fd00::1]/done",
+      "https://[::ffff:127.0.0.1]/done",
+    ]) {
+      assert.match(await callbackUrlError(url), /non-public address/, url);
+    }
+  });
+
+  it("only sends callbacks to POOL_CALLBACK_HOSTS when it's set", async () => {
+    const allowed = ["hooks.example.com"];
+    assert.equal(await callbackUrlError("https://hooks.example.com/done", allowed), null);
+    assert.match(await callbackUrlError("https://93.184.216.34/done", allowed), /not in POOL_CALLBACK_HOSTS/);
+  });
+});
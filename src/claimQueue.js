@@ -0,0 +1,80 @@
+import { nanoid } from "nanoid";
+
+// FIFO of claim requests waiting for an idle instance. tick() hands newly
+// idle instances to waiters in order via fulfill(); each waiter only takes
+// an instance from the pool it asked for.
+
+const MAX_LENGTH = parseInt(process.env.POOL_CLAIM_QUEUE_MAX || "20", 10);
+
+/** @type {Array<{id: string, agentName: string, pool: string|null, queuedAt: string, expiresAt: string, resolve: (instance: object|null) => void, cleanup: () => void}>} */
+const waiters = [];
+
+function removeWaiter(waiter) {
+  const idx = waiters.indexOf(waiter);
+  if (idx !== -1) waiters.splice(idx, 1);
+}
+
+// Wait up to timeoutMs for an instance. Resolves with the instance handed over
+// by fulfill(), or null on timeout, abort, or when the queue is full.
+export function enqueue({ agentName, pool = null, timeoutMs, signal }) {
+  if (waiters.length >= MAX_LENGTH || signal?.aborted) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const waiter = {
+      id: nanoid(8),
+      agentName,
+      pool,
+      queuedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + timeoutMs).toISOString(),
+      resolve,
+      cleanup: () => {},
+    };
+    const giveUp = () => {
+      waiter.cleanup();
+      removeWaiter(waiter);
+      resolve(null);
+    };
+    const timer = setTimeout(giveUp, timeoutMs);
+    signal?.addEventListener("abort", giveUp, { once: true });
+    waiter.cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", giveUp);
+    };
+    waiters.push(waiter);
+  });
+}
+
+// Hand instances to waiters in FIFO order. takeInstance(pool) returns a
+// reserved instance from the waiter's pool, or null when that pool has none
+// left. Returns the number of waiters served.
+export function fulfill(takeInstance) {
+  let served = 0;
+  const exhausted = new Set();
+  for (const waiter of [...waiters]) {
+    if (exhausted.has(waiter.pool)) continue;
+    const instance = takeInstance(waiter.pool);
+    if (!instance) {
+      exhausted.add(waiter.pool);
+      continue;
+    }
+    removeWaiter(waiter);
+    waiter.cleanup();
+    waiter.resolve(instance);
+    served++;
+  }
+  return served;
+}
+
+// Waiters in total, or for one pool.
+export function size(pool = null) {
+  return pool ? waiters.filter((w) => w.pool === pool).length : waiters.length;
+}
+
+export function isFull() {
+  return waiters.length >= MAX_LENGTH;
+}
+
+// Public view of the queue (for /api/pool/status).
+export function list() {
+  return waiters.map(({ id, agentName, pool, queuedAt, expiresAt }) => ({ id, agentName, pool, queuedAt, expiresAt }));
+}
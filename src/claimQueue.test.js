@@ -0,0 +1,58 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { enqueue, fulfill, size, list } from "./claimQueue.js";
+
+describe("claimQueue", () => {
+  it("serves waiters in FIFO order", async () => {
+    const first = enqueue({ agentName: "a", timeoutMs: 5000 });
+    const second = enqueue({ agentName: "b", timeoutMs: 5000 });
+    assert.deepEqual(list().map((w) => w.agentName), ["a", "b"]);
+
+    const instances = [{ id: "i1" }, { id: "i2" }];
+    assert.equal(fulfill(() => instances.shift() || null), 2);
+    assert.equal((await first).id, "i1");
+    assert.equal((await second).id, "i2");
+    assert.equal(size(), 0);
+  });
+
+  it("stops when no instance is available", async () => {
+    const waiting = enqueue({ agentName: "a", timeoutMs: 5000 });
+    assert.equal(fulfill(() => null), 0);
+    assert.equal(size(), 1);
+    fulfill(() => ({ id: "i1" }));
+    assert.equal((await waiting).id, "i1");
+  });
+
+  it("only hands a waiter instances from its own pool", async () => {
+    const canary = enqueue({ agentName: "a", pool: "canary", timeoutMs: 5000 });
+    const main = enqueue({ agentName: "b", pool: "default", timeoutMs: 5000 });
+    assert.equal(size("canary"), 1);
+
+    const asked = [];
+    const served = fulfill((pool) => {
+      asked.push(pool);
+      return pool === "default" ? { id: "i1" } : null;
+    });
+    assert.equal(served, 1);
+    assert.deepEqual(asked, ["canary", "default"]);
+    assert.equal((await main).id, "i1");
+    assert.deepEqual(list().map((w) => w.pool), ["canary"]);
+
+    fulfill(() => ({ id: "i2" }));
+    assert.equal((await canary).id, "i2");
+  });
+
+  it("resolves null on timeout and leaves the queue", async () => {
+    const result = await enqueue({ agentName: "a", timeoutMs: 10 });
+    assert.equal(result, null);
+    assert.equal(size(), 0);
+  });
+
+  it("resolves null on abort", async () => {
+    const controller = new AbortController();
+    const waiting = enqueue({ agentName: "a", timeoutMs: 5000, signal: controller.signal });
+    controller.abort();
+    assert.equal(await waiting, null);
+    assert.equal(size(), 0);
+  });
+});
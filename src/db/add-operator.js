@@ -0,0 +1,33 @@
+import { createInterface } from "node:readline/promises";
+import { hashPassword } from "../auth.js";
+import { operators } from "./store.js";
+
+// Usage: npm run operator:add -- <username>
+// Reads the password from OPERATOR_PASSWORD, or prompts for it.
+async function addOperator() {
+  const username = process.argv[2];
+  if (!username || !/^[a-z0-9._-]+$/i.test(username)) {
+    console.error("Usage: npm run operator:add -- <username>  (letters, digits, . _ -)");
+    process.exit(1);
+  }
+
+  let password = process.env.OPERATOR_PASSWORD;
+  if (!password) {
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    password = await rl.question(`Password for ${username}: `);
+    rl.close();
+  }
+  if (!password || password.length < 12) {
+    console.error("Password must be at least 12 characters.");
+    process.exit(1);
+  }
+
+  await operators.upsertOperator(username, await hashPassword(password));
+  console.log(`Operator ${username} saved.`);
+  process.exit(0);
+}
+
+addOperator().catch((err) => {
+  console.error("Failed to add operator:", err);
+  process.exit(1);
+});
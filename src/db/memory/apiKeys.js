@@ -0,0 +1,45 @@
+import { tables, save, copy, toDate, byNewest, assertUnique } from "./tables.js";
+
+export async function insertKey({ id, name, keyHash, keyPrefix, scopes, createdBy, expiresAt }) {
+  assertUnique("api_keys", "id", id);
+  assertUnique("api_keys", "key_hash", keyHash);
+  tables.api_keys.push({
+    id,
+    name,
+    key_hash: keyHash,
+    key_prefix: keyPrefix,
+    scopes: [...scopes],
+    created_by: createdBy || null,
+    created_at: new Date(),
+    expires_at: toDate(expiresAt),
+    last_used_at: null,
+    revoked_at: null,
+  });
+  save();
+}
+
+export async function listActive() {
+  const now = Date.now();
+  return tables.api_keys
+    .filter((r) => !r.revoked_at && (!r.expires_at || r.expires_at.getTime() > now))
+    .sort(byNewest("created_at"))
+    .map(copy);
+}
+
+export async function listAll() {
+  return [...tables.api_keys].sort(byNewest("created_at")).map(copy);
+}
+
+export async function revoke(id) {
+  const row = tables.api_keys.find((r) => r.id === id && !r.revoked_at);
+  if (!row) return false;
+  row.revoked_at = new Date();
+  save();
+  return true;
+}
+
+export async function touchLastUsed(id, lastUsedAt) {
+  const row = tables.api_keys.find((r) => r.id === id);
+  if (row) row.last_used_at = toDate(lastUsedAt);
+  save();
+}
@@ -0,0 +1,39 @@
+import { tables, save, copy } from "./tables.js";
+
+// Append-only, like the Postgres table: there is no update or delete.
+
+export async function insertEvent({ actorType, actor, action, instanceId, payload, result, error, requestId }) {
+  const last = tables.audit_events[tables.audit_events.length - 1];
+  tables.audit_events.push({
+    id: (last?.id ?? 0) + 1,
+    created_at: new Date(),
+    actor_type: actorType,
+    actor,
+    action,
+    instance_id: instanceId || null,
+    payload: payload ? structuredClone(payload) : null,
+    result,
+    error: error || null,
+    request_id: requestId || null,
+  });
+  save();
+}
+
+export async function listEvents({ action, actor, instanceId, result, since, until, before, limit }) {
+  const from = since ? new Date(since).getTime() : null;
+  const to = until ? new Date(until).getTime() : null;
+  const cursor = before ? Number(before) : null;
+  const found = [];
+  for (let i = tables.audit_events.length - 1; i >= 0 && found.length < limit; i--) {
+    const r = tables.audit_events[i];
+    if (action && r.action !== action) continue;
+    if (actor && r.actor !== actor) continue;
+    if (instanceId && r.instance_id !== instanceId) continue;
+    if (result && r.result !== result) continue;
+    if (from !== null && r.created_at.getTime() < from) continue;
+    if (to !== null && r.created_at.getTime() >= to) continue;
+    if (cursor !== null && r.id >= cursor) continue;
+    found.push(copy(r));
+  }
+  return found;
+}
@@ -0,0 +1,9 @@
+// In-process storage backend (DATABASE_URL=memory: or file:<path>).
+export * as metadata from "./pool.js";
+export * as apiKeys from "./apiKeys.js";
+export * as webhooks from "./webhooks.js";
+export * as operators from "./operators.js";
+export * as audit from "./audit.js";
+export * as schemaMigrations from "./schemaMigrations.js";
+export * as poolConfig from "./poolConfig.js";
+export { reset } from "./tables.js";
@@ -0,0 +1,15 @@
+import { tables, save, copy } from "./tables.js";
+
+export async function findByUsername(username) {
+  return copy(tables.operators.find((r) => r.username === username));
+}
+
+export async function upsertOperator(username, passwordHash) {
+  const row = tables.operators.find((r) => r.username === username);
+  if (row) {
+    row.password_hash = passwordHash;
+  } else {
+    tables.operators.push({ username, password_hash: passwordHash, created_at: new Date() });
+  }
+  save();
+}
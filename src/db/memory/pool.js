@@ -0,0 +1,108 @@
+import { tables, save, copy, byNewest, assertUnique } from "./tables.js";
+
+// In-process agent_metadata; see db/postgres/pool.js for the SQL originals.
+
+export async function insertMetadata({ id, railwayServiceId, pool, agentName, conversationId, inviteUrl, instructions, idempotencyKey, claimResponse, expiresAt, openclawCommit, imageDigest }) {
+  assertUnique("agent_metadata", "id", id);
+  const now = new Date();
+  tables.agent_metadata.push({
+    id,
+    railway_service_id: railwayServiceId,
+    pool,
+    agent_name: agentName,
+    conversation_id: conversationId,
+    invite_url: inviteUrl || null,
+    instructions: instructions || null,
+    idempotency_key: idempotencyKey || null,
+    claim_response: claimResponse ? structuredClone(claimResponse) : null,
+    created_at: now,
+    claimed_at: now,
+    expires_at: expiresAt ? new Date(expiresAt) : null,
+    openclaw_commit: openclawCommit || null,
+    image_digest: imageDigest || null,
+    terminated_at: null,
+    termination_reason: null,
+  });
+  save();
+}
+
+export async function findByIdempotencyKey(idempotencyKey, retentionMs) {
+  const cutoff = Date.now() - retentionMs;
+  const row = tables.agent_metadata
+    .filter((r) => r.idempotency_key === idempotencyKey && r.claimed_at.getTime() > cutoff && !r.terminated_at)
+    .sort(byNewest("claimed_at"))[0];
+  return copy(row);
+}
+
+export async function findByServiceId(railwayServiceId) {
+  return copy(tables.agent_metadata.find((r) => r.railway_service_id === railwayServiceId && !r.terminated_at));
+}
+
+export async function findById(id) {
+  return copy(tables.agent_metadata.find((r) => r.id === id));
+}
+
+export async function listActive() {
+  return tables.agent_metadata.filter((r) => !r.terminated_at).sort(byNewest("claimed_at")).map(copy);
+}
+
+export async function terminateByServiceId(railwayServiceId, reason) {
+  for (const row of tables.agent_metadata) {
+    if (row.railway_service_id === railwayServiceId && !row.terminated_at) {
+      row.terminated_at = new Date();
+      row.termination_reason = reason;
+    }
+  }
+  save();
+}
+
+export async function listTerminated({ search, reason, before, limit }) {
+  const needle = search?.toLowerCase();
+  const cursor = before ? new Date(before.terminatedAt).getTime() : null;
+  const newest = byNewest("terminated_at");
+  return tables.agent_metadata
+    .filter(
+      (r) =>
+        r.terminated_at &&
+        (!needle || [r.agent_name, r.conversation_id, r.instructions].some((v) => v?.toLowerCase().includes(needle))) &&
+        (!reason || r.termination_reason === reason) &&
+        (cursor === null ||
+          r.terminated_at.getTime() < cursor ||
+          (r.terminated_at.getTime() === cursor && r.id < before.id))
+    )
+    .sort((a, b) => newest(a, b) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0))
+    .slice(0, limit)
+    .map((r) => ({ ...copy(r), terminated_cursor: r.terminated_at.toISOString() }));
+}
+
+export async function countReleased(railwayServiceId) {
+  return tables.agent_metadata.filter((r) => r.railway_service_id === railwayServiceId && r.termination_reason === "released").length;
+}
+
+export async function updateAgent(id, { agentName, instructions }, editedBy) {
+  const row = tables.agent_metadata.find((r) => r.id === id && !r.terminated_at);
+  if (!row) return null;
+  const last = tables.agent_edits[tables.agent_edits.length - 1];
+  const edit = {
+    id: (last?.id ?? 0) + 1,
+    instance_id: id,
+    edited_at: new Date(),
+    edited_by: editedBy,
+    previous_agent_name: row.agent_name,
+    previous_instructions: row.instructions,
+  };
+  row.agent_name = agentName ?? row.agent_name;
+  row.instructions = instructions ?? row.instructions;
+  tables.agent_edits.push({ ...edit, agent_name: row.agent_name, instructions: row.instructions });
+  save();
+  return copy(row);
+}
+
+export async function listEdits(id) {
+  return tables.agent_edits.filter((r) => r.instance_id === id).map(copy);
+}
+
+export async function deleteById(id) {
+  tables.agent_metadata = tables.agent_metadata.filter((r) => r.id !== id);
+  save();
+}
@@ -0,0 +1,12 @@
+import { tables, save, copy } from "./tables.js";
+
+export async function getConfig() {
+  return copy(tables.pool_config[0]);
+}
+
+export async function saveConfig(settings, updatedBy) {
+  const row = { id: 1, settings: structuredClone(settings), updated_by: updatedBy, updated_at: new Date() };
+  tables.pool_config = [row];
+  save();
+  return copy(row);
+}
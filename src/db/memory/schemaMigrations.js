@@ -0,0 +1,14 @@
+import { loadMigrations } from "../../migrations.js";
+
+// The in-process tables are always at the latest schema, so every bundled
+// migration counts as applied and there is nothing to run.
+
+export async function ensureTable() {}
+
+export async function listApplied() {
+  return loadMigrations().map((m) => m.version);
+}
+
+export async function applyUp() {}
+
+export async function applyDown() {}
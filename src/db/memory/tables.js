@@ -0,0 +1,66 @@
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+
+// Tables for the in-process backend: arrays of rows shaped like the Postgres
+// ones. With DATABASE_URL=file:<path> they are loaded from that JSON file at
+// startup and written back after every change; with memory: they start empty.
+
+const url = process.env.DATABASE_URL || "memory:";
+const file = url.startsWith("file:") ? url.slice("file:".length) : null;
+
+const EMPTY = {
+  agent_metadata: [],
+  agent_edits: [],
+  api_keys: [],
+  webhook_subscriptions: [],
+  webhook_dead_letters: [],
+  operators: [],
+  audit_events: [],
+  pool_config: [],
+};
+
+// Timestamp columns end in _at; JSON turns them into strings, so turn them back.
+function revive(key, value) {
+  return key.endsWith("_at") && typeof value === "string" ? new Date(value) : value;
+}
+
+function load() {
+  if (!file || !existsSync(file)) return structuredClone(EMPTY);
+  return { ...structuredClone(EMPTY), ...JSON.parse(readFileSync(file, "utf8"), revive) };
+}
+
+export const tables = load();
+
+// Persist after a write (no-op for memory:). Written to a temp file and
+// renamed so a crash can't leave half a file behind.
+export function save() {
+  if (!file) return;
+  writeFileSync(`${file}.tmp`, JSON.stringify(tables));
+  renameSync(`${file}.tmp`, file);
+}
+
+// Empty every table (tests).
+export function reset() {
+  for (const name of Object.keys(EMPTY)) tables[name] = [];
+  save();
+}
+
+// Copy rows on the way out so callers can't mutate the tables.
+export function copy(row) {
+  return row ? structuredClone(row) : null;
+}
+
+export function toDate(value) {
+  return value == null ? null : new Date(value);
+}
+
+// Newest first by a timestamp column.
+export function byNewest(column) {
+  return (a, b) => (b[column]?.getTime() ?? 0) - (a[column]?.getTime() ?? 0);
+}
+
+// Mirror Postgres unique-constraint failures.
+export function assertUnique(table, column, value) {
+  if (tables[table].some((row) => row[column] === value)) {
+    throw new Error(`duplicate key value violates unique constraint "${table}_${column}_key"`);
+  }
+}
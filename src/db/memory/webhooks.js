@@ -0,0 +1,62 @@
+import { tables, save, copy, byNewest, assertUnique } from "./tables.js";
+
+export async function insertSubscription({ id, url, secret, events, createdBy }) {
+  assertUnique("webhook_subscriptions", "id", id);
+  tables.webhook_subscriptions.push({
+    id,
+    url,
+    secret,
+    events: [...events],
+    created_by: createdBy || null,
+    created_at: new Date(),
+  });
+  save();
+}
+
+export async function listSubscriptions() {
+  return [...tables.webhook_subscriptions].sort((a, b) => a.created_at - b.created_at).map(copy);
+}
+
+// Dead letters cascade with their subscription, as in Postgres.
+export async function deleteSubscription(id) {
+  const before = tables.webhook_subscriptions.length;
+  tables.webhook_subscriptions = tables.webhook_subscriptions.filter((r) => r.id !== id);
+  tables.webhook_dead_letters = tables.webhook_dead_letters.filter((r) => r.subscription_id !== id);
+  save();
+  return tables.webhook_subscriptions.length < before;
+}
+
+export async function insertDeadLetter({ id, subscriptionId, event, attempts, lastError }) {
+  assertUnique("webhook_dead_letters", "id", id);
+  if (!tables.webhook_subscriptions.some((r) => r.id === subscriptionId)) {
+    throw new Error(`Webhook subscription ${subscriptionId} does not exist`);
+  }
+  tables.webhook_dead_letters.push({
+    id,
+    subscription_id: subscriptionId,
+    event: structuredClone(event),
+    attempts,
+    last_error: lastError,
+    failed_at: new Date(),
+  });
+  save();
+}
+
+export async function listDeadLetters() {
+  return [...tables.webhook_dead_letters].sort(byNewest("failed_at")).slice(0, 500).map(copy);
+}
+
+export async function findDeadLetter(id) {
+  return copy(tables.webhook_dead_letters.find((r) => r.id === id));
+}
+
+export async function updateDeadLetter(id, { attempts, lastError }) {
+  const row = tables.webhook_dead_letters.find((r) => r.id === id);
+  if (row) Object.assign(row, { attempts, last_error: lastError, failed_at: new Date() });
+  save();
+}
+
+export async function deleteDeadLetter(id) {
+  tables.webhook_dead_letters = tables.webhook_dead_letters.filter((r) => r.id !== id);
+  save();
+}
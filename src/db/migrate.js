@@ -1,81 +1,54 @@
-import { sql } from "./connection.js";
-
-async function migrate() {
-  // If old table exists, rename and clean up
-  const oldTable = await sql`
-    SELECT 1 FROM information_schema.tables
-    WHERE table_name = 'pool_instances'
-  `;
-
-  if (oldTable.rows.length > 0) {
-    console.log("Migrating pool_instances → agent_metadata...");
-
-    await sql`ALTER TABLE pool_instances RENAME TO agent_metadata`;
-
-    // Drop unused columns
-    await sql`
-      DO $$
-      BEGIN
-        ALTER TABLE agent_metadata DROP COLUMN IF EXISTS railway_url;
-        ALTER TABLE agent_metadata DROP COLUMN IF EXISTS status;
-        ALTER TABLE agent_metadata DROP COLUMN IF EXISTS health_check_failures;
-        ALTER TABLE agent_metadata DROP COLUMN IF EXISTS updated_at;
-        ALTER TABLE agent_metadata DROP COLUMN IF EXISTS join_url;
-      END $$
-    `;
-
-    // Rename claimed_by → agent_name
-    await sql`
-      DO $$
-      BEGIN
-        IF EXISTS (
-          SELECT 1 FROM information_schema.columns
-          WHERE table_name = 'agent_metadata' AND column_name = 'claimed_by'
-        ) THEN
-          ALTER TABLE agent_metadata RENAME COLUMN claimed_by TO agent_name;
-        END IF;
-      END $$
-    `;
-
-    // Delete non-claimed rows (no useful metadata)
-    const deleted = await sql`DELETE FROM agent_metadata WHERE agent_name IS NULL`;
-    console.log(`  Cleaned ${deleted.rowCount || 0} non-claimed rows`);
-
-    // Match fresh install schema: agent_name should be NOT NULL
-    await sql`ALTER TABLE agent_metadata ALTER COLUMN agent_name SET NOT NULL`;
-
-    console.log("Migration complete.");
+import { schemaMigrations as db } from "./store.js";
+import { loadMigrations, pending, toRevert } from "../migrations.js";
+
+// npm run db:migrate                 apply all pending migrations
+// npm run db:migrate -- down [n]     revert the last n migrations (default 1)
+// npm run db:migrate -- status       list migrations and whether they're applied
+
+const USAGE = "Usage: migrate.js [up | down [steps] | status]";
+
+async function main() {
+  const [command = "up", arg] = process.argv.slice(2);
+  if (!["up", "down", "status"].includes(command)) throw new Error(USAGE);
+  const migrations = loadMigrations();
+  await db.ensureTable();
+  const applied = await db.listApplied();
+
+  if (command === "up") {
+    const todo = pending(migrations, applied);
+    if (todo.length === 0) {
+      console.log("Schema is up to date.");
+      return;
+    }
+    for (const m of todo) {
+      console.log(`Applying ${m.version}_${m.name}...`);
+      await db.applyUp(m);
+    }
+    console.log(`Applied ${todo.length} migration(s).`);
+  } else if (command === "down") {
+    const steps = arg === undefined ? 1 : parseInt(arg, 10);
+    if (!Number.isInteger(steps) || steps < 1) throw new Error(USAGE);
+    const todo = toRevert(migrations, applied, steps);
+    if (todo.length === 0) {
+      console.log("Nothing to revert.");
+      return;
+    }
+    for (const m of todo) {
+      console.log(`Reverting ${m.version}_${m.name}...`);
+      await db.applyDown(m);
+    }
+    console.log(`Reverted ${todo.length} migration(s).`);
   } else {
-    // Check if agent_metadata already exists (idempotent)
-    const newTable = await sql`
-      SELECT 1 FROM information_schema.tables
-      WHERE table_name = 'agent_metadata'
-    `;
-
-    if (newTable.rows.length > 0) {
-      console.log("agent_metadata table already exists. Nothing to do.");
-    } else {
-      // Fresh install — create agent_metadata directly
-      await sql`
-        CREATE TABLE agent_metadata (
-          id TEXT PRIMARY KEY,
-          railway_service_id TEXT NOT NULL,
-          agent_name TEXT NOT NULL,
-          conversation_id TEXT,
-          invite_url TEXT,
-          instructions TEXT,
-          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-          claimed_at TIMESTAMPTZ DEFAULT NOW()
-        )
-      `;
-      console.log("Created agent_metadata table.");
+    const done = new Set(applied);
+    for (const m of migrations) {
+      console.log(`${done.has(m.version) ? "applied" : "pending"}  ${m.version}_${m.name}`);
     }
   }
-
-  process.exit(0);
 }
 
-migrate().catch((err) => {
-  console.error("Migration failed:", err);
-  process.exit(1);
-});
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("Migration failed:", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,33 @@
+-- Claimed agents. Older deployments have a pool_instances table that tracked
+-- every instance; rename it and keep only the claimed rows.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'pool_instances')
+     AND NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'agent_metadata') THEN
+    ALTER TABLE pool_instances RENAME TO agent_metadata;
+    ALTER TABLE agent_metadata DROP COLUMN IF EXISTS railway_url;
+    ALTER TABLE agent_metadata DROP COLUMN IF EXISTS status;
+    ALTER TABLE agent_metadata DROP COLUMN IF EXISTS health_check_failures;
+    ALTER TABLE agent_metadata DROP COLUMN IF EXISTS updated_at;
+    ALTER TABLE agent_metadata DROP COLUMN IF EXISTS join_url;
+    IF EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'agent_metadata' AND column_name = 'claimed_by'
+    ) THEN
+      ALTER TABLE agent_metadata RENAME COLUMN claimed_by TO agent_name;
+    END IF;
+    DELETE FROM agent_metadata WHERE agent_name IS NULL;
+    ALTER TABLE agent_metadata ALTER COLUMN agent_name SET NOT NULL;
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS agent_metadata (
+  id TEXT PRIMARY KEY,
+  railway_service_id TEXT NOT NULL,
+  agent_name TEXT NOT NULL,
+  conversation_id TEXT,
+  invite_url TEXT,
+  instructions TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  claimed_at TIMESTAMPTZ DEFAULT NOW()
+);
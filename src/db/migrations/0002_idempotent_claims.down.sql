@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS agent_metadata_idempotency_key_idx;
+ALTER TABLE agent_metadata DROP COLUMN IF EXISTS claim_response;
+ALTER TABLE agent_metadata DROP COLUMN IF EXISTS idempotency_key;
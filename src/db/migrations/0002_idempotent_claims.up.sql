@@ -0,0 +1,4 @@
+-- Idempotent claims: the client's key and the response it was given
+ALTER TABLE agent_metadata ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+ALTER TABLE agent_metadata ADD COLUMN IF NOT EXISTS claim_response JSONB;
+CREATE INDEX IF NOT EXISTS agent_metadata_idempotency_key_idx ON agent_metadata (idempotency_key);
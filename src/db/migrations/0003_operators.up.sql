@@ -0,0 +1,6 @@
+-- Dashboard operators (password login)
+CREATE TABLE IF NOT EXISTS operators (
+  username TEXT PRIMARY KEY,
+  password_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
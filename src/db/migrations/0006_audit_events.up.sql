@@ -0,0 +1,17 @@
+-- Append-only audit trail; the rules turn UPDATE and DELETE into no-ops
+CREATE TABLE IF NOT EXISTS audit_events (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actor_type TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  instance_id TEXT,
+  payload JSONB,
+  result TEXT NOT NULL,
+  error TEXT,
+  request_id TEXT
+);
+CREATE INDEX IF NOT EXISTS audit_events_instance_id_idx ON audit_events (instance_id);
+CREATE INDEX IF NOT EXISTS audit_events_action_idx ON audit_events (action);
+CREATE OR REPLACE RULE audit_events_no_update AS ON UPDATE TO audit_events DO INSTEAD NOTHING;
+CREATE OR REPLACE RULE audit_events_no_delete AS ON DELETE TO audit_events DO INSTEAD NOTHING;
@@ -0,0 +1,5 @@
+-- Terminated rows would look live again without the column, so drop them first
+DELETE FROM agent_metadata WHERE terminated_at IS NOT NULL;
+DROP INDEX IF EXISTS agent_metadata_terminated_at_idx;
+ALTER TABLE agent_metadata DROP COLUMN IF EXISTS termination_reason;
+ALTER TABLE agent_metadata DROP COLUMN IF EXISTS terminated_at;
@@ -0,0 +1,4 @@
+-- Soft delete: killed/dismissed/crashed/expired agents keep their row for history
+ALTER TABLE agent_metadata ADD COLUMN IF NOT EXISTS terminated_at TIMESTAMPTZ;
+ALTER TABLE agent_metadata ADD COLUMN IF NOT EXISTS termination_reason TEXT;
+CREATE INDEX IF NOT EXISTS agent_metadata_terminated_at_idx ON agent_metadata (terminated_at);
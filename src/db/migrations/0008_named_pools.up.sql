@@ -0,0 +1,2 @@
+-- Which named pool an agent was claimed from (see src/pools.js)
+ALTER TABLE agent_metadata ADD COLUMN IF NOT EXISTS pool TEXT NOT NULL DEFAULT 'default';
@@ -0,0 +1,7 @@
+-- Runtime settings changed through /api/pool/config (one row; see src/poolConfig.js)
+CREATE TABLE IF NOT EXISTS pool_config (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  settings JSONB NOT NULL,
+  updated_by TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1 @@
+ALTER TABLE agent_metadata DROP COLUMN IF EXISTS expires_at;
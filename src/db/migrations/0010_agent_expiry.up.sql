@@ -0,0 +1,2 @@
+-- Optional deadline set at claim time (ttlMs / expiresAt); see src/expiry.js
+ALTER TABLE agent_metadata ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
@@ -0,0 +1,12 @@
+-- Changes made to a running agent's name or instructions (PATCH /api/pool/instances/:id)
+CREATE TABLE IF NOT EXISTS agent_edits (
+  id BIGSERIAL PRIMARY KEY,
+  instance_id TEXT NOT NULL,
+  edited_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  edited_by TEXT NOT NULL,
+  previous_agent_name TEXT,
+  previous_instructions TEXT,
+  agent_name TEXT,
+  instructions TEXT
+);
+CREATE INDEX IF NOT EXISTS agent_edits_instance_id_idx ON agent_edits (instance_id);
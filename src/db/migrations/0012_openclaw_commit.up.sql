@@ -0,0 +1,2 @@
+-- OpenClaw commit the agent ran when it was claimed; see src/openclaw.js
+ALTER TABLE agent_metadata ADD COLUMN IF NOT EXISTS openclaw_commit TEXT;
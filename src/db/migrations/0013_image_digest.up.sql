@@ -0,0 +1,3 @@
+-- Digest of the pre-built image the agent ran when it was claimed (null when
+-- its pool builds from source); see src/registry.js
+ALTER TABLE agent_metadata ADD COLUMN IF NOT EXISTS image_digest TEXT;
@@ -0,0 +1,38 @@
+import { sql } from "./connection.js";
+
+export async function insertKey({ id, name, keyHash, keyPrefix, scopes, createdBy, expiresAt }) {
+  await sql`
+    INSERT INTO api_keys (id, name, key_hash, key_prefix, scopes, created_by, expires_at)
+    VALUES (${id}, ${name}, ${keyHash}, ${keyPrefix}, ${scopes}, ${createdBy || null}, ${expiresAt || null})
+  `;
+}
+
+// List keys that are neither revoked nor expired.
+export async function listActive() {
+  const result = await sql`
+    SELECT * FROM api_keys
+    WHERE revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+    ORDER BY created_at DESC
+  `;
+  return result.rows;
+}
+
+// List every key, including revoked and expired ones (for the admin listing).
+export async function listAll() {
+  const result = await sql`
+    SELECT * FROM api_keys ORDER BY created_at DESC
+  `;
+  return result.rows;
+}
+
+// Mark a key revoked. Returns false if no active key had that ID.
+export async function revoke(id) {
+  const result = await sql`
+    UPDATE api_keys SET revoked_at = NOW() WHERE id = ${id} AND revoked_at IS NULL
+  `;
+  return result.rowCount > 0;
+}
+
+export async function touchLastUsed(id, lastUsedAt) {
+  await sql`UPDATE api_keys SET last_used_at = ${lastUsedAt} WHERE id = ${id}`;
+}
@@ -0,0 +1,25 @@
+import { sql } from "./connection.js";
+
+export async function insertEvent({ actorType, actor, action, instanceId, payload, result, error, requestId }) {
+  await sql`
+    INSERT INTO audit_events (actor_type, actor, action, instance_id, payload, result, error, request_id)
+    VALUES (${actorType}, ${actor}, ${action}, ${instanceId || null}, ${payload ? JSON.stringify(payload) : null}, ${result}, ${error || null}, ${requestId || null})
+  `;
+}
+
+// Newest first. Null filters match everything; `before` is an id cursor.
+export async function listEvents({ action, actor, instanceId, result, since, until, before, limit }) {
+  const found = await sql`
+    SELECT * FROM audit_events
+    WHERE (${action || null}::text IS NULL OR action = ${action || null})
+      AND (${actor || null}::text IS NULL OR actor = ${actor || null})
+      AND (${instanceId || null}::text IS NULL OR instance_id = ${instanceId || null})
+      AND (${result || null}::text IS NULL OR result = ${result || null})
+      AND (${since || null}::timestamptz IS NULL OR created_at >= ${since || null})
+      AND (${until || null}::timestamptz IS NULL OR created_at < ${until || null})
+      AND (${before || null}::bigint IS NULL OR id < ${before || null})
+    ORDER BY id DESC
+    LIMIT ${limit}
+  `;
+  return found.rows;
+}
@@ -0,0 +1,8 @@
+// Neon/Postgres storage backend.
+export * as metadata from "./pool.js";
+export * as apiKeys from "./apiKeys.js";
+export * as webhooks from "./webhooks.js";
+export * as operators from "./operators.js";
+export * as audit from "./audit.js";
+export * as schemaMigrations from "./schemaMigrations.js";
+export * as poolConfig from "./poolConfig.js";
@@ -0,0 +1,18 @@
+import { sql } from "./connection.js";
+
+// Find an operator by username (for dashboard login).
+export async function findByUsername(username) {
+  const result = await sql`
+    SELECT * FROM operators WHERE username = ${username}
+  `;
+  return result.rows[0] || null;
+}
+
+// Create or update an operator's password hash.
+export async function upsertOperator(username, passwordHash) {
+  await sql`
+    INSERT INTO operators (username, password_hash)
+    VALUES (${username}, ${passwordHash})
+    ON CONFLICT (username) DO UPDATE SET password_hash = EXCLUDED.password_hash
+  `;
+}
@@ -0,0 +1,122 @@
+import { sql } from "./connection.js";
+
+// Insert metadata when an instance is claimed.
+export async function insertMetadata({ id, railwayServiceId, pool, agentName, conversationId, inviteUrl, instructions, idempotencyKey, claimResponse, expiresAt, openclawCommit, imageDigest }) {
+  await sql`
+    INSERT INTO agent_metadata (id, railway_service_id, pool, agent_name, conversation_id, invite_url, instructions, idempotency_key, claim_response, claimed_at, expires_at, openclaw_commit, image_digest)
+    VALUES (${id}, ${railwayServiceId}, ${pool}, ${agentName}, ${conversationId}, ${inviteUrl || null}, ${instructions || null}, ${idempotencyKey || null}, ${claimResponse ? JSON.stringify(claimResponse) : null}, NOW(), ${expiresAt || null}, ${openclawCommit || null}, ${imageDigest || null})
+  `;
+}
+
+// Find the most recent claim made with an idempotency key within the retention window.
+export async function findByIdempotencyKey(idempotencyKey, retentionMs) {
+  const result = await sql`
+    SELECT * FROM agent_metadata
+    WHERE idempotency_key = ${idempotencyKey}
+      AND claimed_at > NOW() - make_interval(secs => ${retentionMs / 1000})
+      AND terminated_at IS NULL
+    ORDER BY claimed_at DESC
+    LIMIT 1
+  `;
+  return result.rows[0] || null;
+}
+
+// Find live (not terminated) metadata by Railway service ID.
+export async function findByServiceId(railwayServiceId) {
+  const result = await sql`
+    SELECT * FROM agent_metadata WHERE railway_service_id = ${railwayServiceId} AND terminated_at IS NULL
+  `;
+  return result.rows[0] || null;
+}
+
+// Find metadata by instance ID.
+export async function findById(id) {
+  const result = await sql`
+    SELECT * FROM agent_metadata WHERE id = ${id}
+  `;
+  return result.rows[0] || null;
+}
+
+// List live metadata rows (for enriching cache with instructions).
+export async function listActive() {
+  const result = await sql`
+    SELECT * FROM agent_metadata WHERE terminated_at IS NULL ORDER BY claimed_at DESC
+  `;
+  return result.rows;
+}
+
+// Soft-delete: keep the row for history, stamped with when and why it ended.
+export async function terminateByServiceId(railwayServiceId, reason) {
+  await sql`
+    UPDATE agent_metadata SET terminated_at = NOW(), termination_reason = ${reason}
+    WHERE railway_service_id = ${railwayServiceId} AND terminated_at IS NULL
+  `;
+}
+
+// Terminated agents, most recently ended first. `search` matches agent name,
+// conversation ID or instructions (case-insensitive); `before` is a
+// terminated_at cursor.
+export async function listTerminated({ search, reason, before, limit }) {
+  const pattern = search ? `%${search.replace(/[\\%_]/g, "\\$&")}%` : null;
+  // Keyset on (terminated_at, id), with terminated_cursor keeping the
+  // microseconds a JS Date would drop, so rows sharing a timestamp aren't skipped
+  const result = await sql`
+    SELECT *, to_char(terminated_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS terminated_cursor
+    FROM agent_metadata
+    WHERE terminated_at IS NOT NULL
+      AND (${pattern}::text IS NULL
+        OR agent_name ILIKE ${pattern} OR conversation_id ILIKE ${pattern} OR instructions ILIKE ${pattern})
+      AND (${reason || null}::text IS NULL OR termination_reason = ${reason || null})
+      AND (${before?.terminatedAt || null}::timestamptz IS NULL
+        OR (terminated_at, id) < (${before?.terminatedAt || null}::timestamptz, ${before?.id || null}::text))
+    ORDER BY terminated_at DESC, id DESC
+    LIMIT ${limit}
+  `;
+  return result.rows;
+}
+
+// How many claims on a service ended with it going back to the pool.
+export async function countReleased(railwayServiceId) {
+  const result = await sql`
+    SELECT COUNT(*)::int AS count FROM agent_metadata
+    WHERE railway_service_id = ${railwayServiceId} AND termination_reason = 'released'
+  `;
+  return result.rows[0].count;
+}
+
+// Change a live agent's name and/or instructions (undefined keeps the current
+// value) and log the change in agent_edits. Returns the updated row, or null
+// if there is no live agent with that ID.
+export async function updateAgent(id, { agentName, instructions }, editedBy) {
+  const result = await sql`
+    WITH old AS (
+      SELECT id, agent_name, instructions FROM agent_metadata
+      WHERE id = ${id} AND terminated_at IS NULL
+      FOR UPDATE
+    ), updated AS (
+      UPDATE agent_metadata m
+      SET agent_name = COALESCE(${agentName ?? null}, m.agent_name),
+          instructions = COALESCE(${instructions ?? null}, m.instructions)
+      FROM old WHERE m.id = old.id
+      RETURNING m.*
+    ), edit AS (
+      INSERT INTO agent_edits (instance_id, edited_by, previous_agent_name, previous_instructions, agent_name, instructions)
+      SELECT updated.id, ${editedBy}, old.agent_name, old.instructions, updated.agent_name, updated.instructions
+      FROM updated JOIN old ON old.id = updated.id
+    )
+    SELECT * FROM updated
+  `;
+  return result.rows[0] || null;
+}
+
+// An agent's edits, oldest first.
+export async function listEdits(id) {
+  const result = await sql`
+    SELECT * FROM agent_edits WHERE instance_id = ${id} ORDER BY id
+  `;
+  return result.rows;
+}
+
+export async function deleteById(id) {
+  await sql`DELETE FROM agent_metadata WHERE id = ${id}`;
+}
@@ -0,0 +1,18 @@
+import { sql } from "./connection.js";
+
+// The saved /api/pool/config overrides (a single row), or null.
+export async function getConfig() {
+  const result = await sql`SELECT * FROM pool_config WHERE id = 1`;
+  return result.rows[0] || null;
+}
+
+// Replace the saved overrides. Returns the new row.
+export async function saveConfig(settings, updatedBy) {
+  const result = await sql`
+    INSERT INTO pool_config (id, settings, updated_by, updated_at)
+    VALUES (1, ${JSON.stringify(settings)}, ${updatedBy}, NOW())
+    ON CONFLICT (id) DO UPDATE SET settings = EXCLUDED.settings, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+    RETURNING *
+  `;
+  return result.rows[0];
+}
@@ -0,0 +1,35 @@
+import { sql } from "./connection.js";
+import { splitStatements } from "../../migrations.js";
+
+export async function ensureTable() {
+  await sql`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `;
+}
+
+// Applied versions, ascending. Empty if the table doesn't exist yet.
+export async function listApplied() {
+  const exists = await sql`SELECT to_regclass('schema_migrations') IS NOT NULL AS present`;
+  if (!exists.rows[0].present) return [];
+  const result = await sql`SELECT version FROM schema_migrations ORDER BY version`;
+  return result.rows.map((r) => r.version);
+}
+
+// Run a migration's statements and record it, in one transaction.
+export async function applyUp(migration) {
+  await sql.transaction([
+    ...splitStatements(migration.up).map((statement) => sql.query(statement)),
+    sql`INSERT INTO schema_migrations (version, name) VALUES (${migration.version}, ${migration.name})`,
+  ]);
+}
+
+export async function applyDown(migration) {
+  await sql.transaction([
+    ...splitStatements(migration.down).map((statement) => sql.query(statement)),
+    sql`DELETE FROM schema_migrations WHERE version = ${migration.version}`,
+  ]);
+}
@@ -0,0 +1,55 @@
+import { sql } from "./connection.js";
+
+export async function insertSubscription({ id, url, secret, events, createdBy }) {
+  await sql`
+    INSERT INTO webhook_subscriptions (id, url, secret, events, created_by)
+    VALUES (${id}, ${url}, ${secret}, ${events}, ${createdBy || null})
+  `;
+}
+
+export async function listSubscriptions() {
+  const result = await sql`
+    SELECT * FROM webhook_subscriptions ORDER BY created_at
+  `;
+  return result.rows;
+}
+
+// Returns false if no subscription had that ID.
+export async function deleteSubscription(id) {
+  const result = await sql`DELETE FROM webhook_subscriptions WHERE id = ${id}`;
+  return result.rowCount > 0;
+}
+
+// Record an event that could not be delivered after every retry.
+export async function insertDeadLetter({ id, subscriptionId, event, attempts, lastError }) {
+  await sql`
+    INSERT INTO webhook_dead_letters (id, subscription_id, event, attempts, last_error)
+    VALUES (${id}, ${subscriptionId}, ${JSON.stringify(event)}, ${attempts}, ${lastError})
+  `;
+}
+
+export async function listDeadLetters() {
+  const result = await sql`
+    SELECT * FROM webhook_dead_letters ORDER BY failed_at DESC LIMIT 500
+  `;
+  return result.rows;
+}
+
+export async function findDeadLetter(id) {
+  const result = await sql`
+    SELECT * FROM webhook_dead_letters WHERE id = ${id}
+  `;
+  return result.rows[0] || null;
+}
+
+export async function updateDeadLetter(id, { attempts, lastError }) {
+  await sql`
+    UPDATE webhook_dead_letters
+    SET attempts = ${attempts}, last_error = ${lastError}, failed_at = NOW()
+    WHERE id = ${id}
+  `;
+}
+
+export async function deleteDeadLetter(id) {
+  await sql`DELETE FROM webhook_dead_letters WHERE id = ${id}`;
+}
@@ -0,0 +1,34 @@
+// Storage backend, chosen by the DATABASE_URL scheme:
+//
+//   postgres://, postgresql://   Neon/Postgres (production)
+//   memory:                      in-process tables, lost on exit (tests)
+//   file:<path>                  in-process tables saved to a JSON file (local dev)
+//
+// Both backends export the same stores with the same functions and return
+// rows shaped like Postgres rows (snake_case columns, Date timestamps).
+
+/**
+ * @typedef {object} MetadataStore  Claimed agents (agent_metadata)
+ * @property {(row: {id: string, railwayServiceId: string, pool: string, agentName: string, conversationId: string, inviteUrl?: string, instructions?: string, idempotencyKey?: string, claimResponse?: object, expiresAt?: string, openclawCommit?: string, imageDigest?: string}) => Promise<void>} insertMetadata
+ * @property {(idempotencyKey: string, retentionMs: number) => Promise<object|null>} findByIdempotencyKey
+ * @property {(railwayServiceId: string) => Promise<object|null>} findByServiceId  Live rows only
+ * @property {(id: string) => Promise<object|null>} findById
+ * @property {() => Promise<object[]>} listActive
+ * @property {(railwayServiceId: string, reason: string) => Promise<void>} terminateByServiceId
+ * @property {(filters: {search?: string, reason?: string, before?: {terminatedAt: string, id: string}, limit: number}) => Promise<object[]>} listTerminated  Newest first by (terminated_at, id); rows carry terminated_cursor, terminated_at as a full-precision string
+ * @property {(railwayServiceId: string) => Promise<number>} countReleased  Claims that ended with reason "released"
+ * @property {(id: string, changes: {agentName?: string, instructions?: string}, editedBy: string) => Promise<object|null>} updateAgent  Also logs the edit in agent_edits
+ * @property {(id: string) => Promise<object[]>} listEdits  Oldest first
+ * @property {(id: string) => Promise<void>} deleteById
+ */
+
+const url = process.env.DATABASE_URL || "";
+
+/** @type {"memory" | "postgres"} */
+export const backend = /^(memory|file):/.test(url) ? "memory" : "postgres";
+
+const adapter = backend === "memory" ? await import("./memory/index.js") : await import("./postgres/index.js");
+
+/** @type {MetadataStore} */
+export const metadata = adapter.metadata;
+export const { apiKeys, webhooks, operators, audit, schemaMigrations, poolConfig } = adapter;
@@ -0,0 +1,64 @@
+// Claim demand per pool, for predictive sizing. Records when claims arrive and
+// how long new instances take to turn idle; from those, the number of claims
+// expected while a replacement instance warms up. Kept in memory, so it starts
+// empty after a restart and builds up over POOL_DEMAND_WINDOW_MS.
+
+const WINDOW_MS = parseInt(process.env.POOL_DEMAND_WINDOW_MS || String(15 * 60 * 1000), 10);
+// Warm-up assumed until a pool has seen an instance go from starting to idle
+const DEFAULT_WARMUP_MS = parseInt(process.env.POOL_DEFAULT_WARMUP_MS || String(3 * 60 * 1000), 10);
+// Warm-up times kept per pool; the median is used
+const WARMUP_SAMPLES = 20;
+
+// Set POOL_PREDICTIVE_SCALING=false to report demand without acting on it.
+export const ENABLED = process.env.POOL_PREDICTIVE_SCALING !== "false";
+
+/** @type {Map<string, number[]>} claim times (ms), oldest first */
+const claims = new Map();
+/** @type {Map<string, number[]>} time-to-idle samples (ms), oldest first */
+const warmups = new Map();
+
+// Record a claim request, whether or not an instance was free to serve it.
+export function recordClaim(pool, at = Date.now()) {
+  const times = claims.get(pool) || [];
+  times.push(at);
+  while (times[0] <= at - WINDOW_MS) times.shift();
+  claims.set(pool, times);
+}
+
+// Record how long a new instance took from creation to its first idle check.
+export function recordWarmup(pool, ms) {
+  const samples = warmups.get(pool) || [];
+  samples.push(ms);
+  if (samples.length > WARMUP_SAMPLES) samples.shift();
+  warmups.set(pool, samples);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// A pool's demand as of `now`: the claim rate over the rolling window, the
+// median warm-up time, and the claims expected during one warm-up (rounded
+// up), which is how many idle instances it takes to serve them without waiting.
+export function forPool(pool, now = Date.now()) {
+  const recent = (claims.get(pool) || []).filter((t) => t > now - WINDOW_MS && t <= now).length;
+  const samples = warmups.get(pool) || [];
+  const warmupMs = samples.length ? Math.round(median(samples)) : DEFAULT_WARMUP_MS;
+  const perMs = recent / WINDOW_MS;
+  return {
+    windowMs: WINDOW_MS,
+    claims: recent,
+    claimsPerMinute: Math.round(perMs * 60_000 * 1000) / 1000,
+    warmupMs,
+    warmupSamples: samples.length,
+    expectedClaims: Math.ceil(perMs * warmupMs),
+  };
+}
+
+// Forget everything (tests).
+export function reset() {
+  claims.clear();
+  warmups.clear();
+}
@@ -0,0 +1,43 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.POOL_DEMAND_WINDOW_MS = "600000";
+process.env.POOL_DEFAULT_WARMUP_MS = "120000";
+
+const demand = await import("./demand.js");
+
+describe("demand", () => {
+  beforeEach(() => demand.reset());
+
+  it("assumes the default warm-up and no demand before any data", () => {
+    assert.deepEqual(demand.forPool("default"), {
+      windowMs: 600_000,
+      claims: 0,
+      claimsPerMinute: 0,
+      warmupMs: 120_000,
+      warmupSamples: 0,
+      expectedClaims: 0,
+    });
+  });
+
+  it("expects the claims that arrive during one warm-up", () => {
+    const now = Date.now();
+    // 10 claims in the last 10 minutes = 1 per minute
+    for (let i = 0; i < 10; i++) demand.recordClaim("default", now - i * 50_000);
+    for (const ms of [200_000, 240_000, 600_000]) demand.recordWarmup("default", ms);
+
+    const d = demand.forPool("default", now);
+    assert.equal(d.claimsPerMinute, 1);
+    assert.equal(d.warmupMs, 240_000);
+    assert.equal(d.expectedClaims, 4);
+    assert.equal(demand.forPool("canary", now).claims, 0);
+  });
+
+  it("forgets claims older than the window", () => {
+    const now = Date.now();
+    demand.recordClaim("default", now - 700_000);
+    demand.recordClaim("default", now - 1_000);
+    assert.equal(demand.forPool("default", now).claims, 1);
+    assert.equal(demand.forPool("default", now + 600_000).claims, 0);
+  });
+});
@@ -0,0 +1,135 @@
+import { randomBytes } from "node:crypto";
+import { EventEmitter } from "node:events";
+import { nanoid } from "nanoid";
+import { webhooks as db } from "./db/store.js";
+import * as webhooks from "./webhooks.js";
+import { createLogger } from "./logger.js";
+
+// Pool lifecycle events, delivered to webhook subscriptions with retries.
+// Events that exhaust their retries land in webhook_dead_letters.
+
+const POOL_ENVIRONMENT = process.env.POOL_ENVIRONMENT || "staging";
+const MAX_ATTEMPTS = parseInt(process.env.POOL_WEBHOOK_MAX_ATTEMPTS || "6", 10);
+
+const log = createLogger("events");
+
+/** @type {Array<{id: string, url: string, secret: string, events: string[]}>} */
+let subscriptions = [];
+
+// In-process listeners (e.g. the SSE stream) get every event too.
+const bus = new EventEmitter();
+
+export function onEvent(listener) {
+  bus.on("event", listener);
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    secret: row.secret,
+    events: row.events,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+}
+
+// Public view of a subscription (never includes the secret).
+function toPublic(sub) {
+  const { secret: _secret, ...rest } = sub;
+  return rest;
+}
+
+// Reload subscriptions from the DB.
+export async function sync() {
+  subscriptions = (await db.listSubscriptions()).map(fromRow);
+}
+
+// Emit an event to every matching subscription. Never throws.
+export function emit(type, data) {
+  const event = {
+    id: nanoid(16),
+    type,
+    environment: POOL_ENVIRONMENT,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+  bus.emit("event", event);
+  for (const sub of subscriptions) {
+    if (webhooks.matches(sub, type)) deliver(sub, event, 1);
+  }
+}
+
+async function deliver(sub, event, attempt) {
+  try {
+    await webhooks.postSigned(sub.url, event, sub.secret);
+  } catch (err) {
+    if (attempt < MAX_ATTEMPTS) {
+      setTimeout(() => deliver(sub, event, attempt + 1), webhooks.backoffMs(attempt)).unref();
+      return;
+    }
+    log.warn("Delivery dead-lettered", { eventId: event.id, type: event.type, webhookId: sub.id, attempts: attempt, err });
+    await db
+      .insertDeadLetter({ id: nanoid(12), subscriptionId: sub.id, event, attempts: attempt, lastError: err.message })
+      .catch((dbErr) => log.error("Failed to store dead letter", { eventId: event.id, err: dbErr }));
+  }
+}
+
+// --- Subscription management ---
+
+export async function createSubscription({ url, events, createdBy }) {
+  const sub = {
+    id: nanoid(12),
+    url,
+    secret: randomBytes(32).toString("base64url"),
+    events,
+    createdBy: createdBy || null,
+    createdAt: new Date().toISOString(),
+  };
+  await db.insertSubscription(sub);
+  subscriptions.push(sub);
+  log.info("Subscribed webhook", { webhookId: sub.id, url, events });
+  // The secret is only returned here
+  return sub;
+}
+
+export async function deleteSubscription(id) {
+  const deleted = await db.deleteSubscription(id);
+  if (!deleted) throw new Error(`Webhook ${id} not found`);
+  subscriptions = subscriptions.filter((s) => s.id !== id);
+  log.info("Unsubscribed webhook", { webhookId: id });
+}
+
+export async function listSubscriptions() {
+  return (await db.listSubscriptions()).map((r) => toPublic(fromRow(r)));
+}
+
+// --- Dead letters ---
+
+export async function listDeadLetters() {
+  const rows = await db.listDeadLetters();
+  return rows.map((r) => ({
+    id: r.id,
+    subscriptionId: r.subscription_id,
+    event: r.event,
+    attempts: r.attempts,
+    lastError: r.last_error,
+    failedAt: r.failed_at,
+  }));
+}
+
+// Try a dead letter once more. Removes it on success, throws on failure.
+export async function redeliver(id) {
+  const row = await db.findDeadLetter(id);
+  if (!row) throw new Error(`Dead letter ${id} not found`);
+  const sub = subscriptions.find((s) => s.id === row.subscription_id);
+  if (!sub) throw new Error(`Webhook ${row.subscription_id} not found`);
+
+  try {
+    await webhooks.postSigned(sub.url, row.event, sub.secret);
+  } catch (err) {
+    await db.updateDeadLetter(id, { attempts: row.attempts + 1, lastError: err.message });
+    throw new Error(`Redelivery failed: ${err.message}`);
+  }
+  await db.deleteDeadLetter(id);
+}
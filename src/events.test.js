@@ -0,0 +1,73 @@
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+
+process.env.DATABASE_URL = "memory:";
+process.env.LOG_LEVEL = "error";
+process.env.POOL_WEBHOOK_MAX_ATTEMPTS = "3";
+
+const events = await import("./events.js");
+const { backoffMs, SIGNATURE_HEADER } = await import("./webhooks.js");
+
+describe("events", () => {
+  // A subscriber that answers every delivery with `status`, recording when
+  // (in mocked time) each one arrived.
+  let server, url;
+  let status = 500;
+  const deliveries = [];
+
+  before(async () => {
+    server = createServer((req, res) => {
+      deliveries.push({ at: Date.now(), signature: req.headers[SIGNATURE_HEADER.toLowerCase()] });
+      res.writeHead(status);
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  afterEach(() => mock.timers.reset());
+
+  // Advance mocked time a second at a time until `condition` holds, letting
+  // real I/O (the deliveries) run in between.
+  async function until(condition) {
+    for (let i = 0; i < 10_000; i++) {
+      if (await condition()) return;
+      mock.timers.tick(1000);
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    assert.fail("condition never held");
+  }
+
+  it("retries a failing subscriber with backoff, then dead-letters the event", async () => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    const sub = await events.createSubscription({ url, events: ["instance.killed"] });
+
+    events.emit("instance.claimed", { instanceId: "other" });
+    events.emit("instance.killed", { instanceId: "abc" });
+    await until(async () => (await events.listDeadLetters()).length > 0);
+
+    assert.equal(deliveries.length, 3);
+    assert.ok(deliveries.every((d) => d.signature?.startsWith("t=")));
+    assert.ok(deliveries[1].at - deliveries[0].at >= backoffMs(1));
+    assert.ok(deliveries[2].at - deliveries[1].at >= backoffMs(2));
+
+    const [letter] = await events.listDeadLetters();
+    assert.equal(letter.subscriptionId, sub.id);
+    assert.equal(letter.event.type, "instance.killed");
+    assert.deepEqual(letter.event.data, { instanceId: "abc" });
+    assert.equal(letter.attempts, 3);
+    assert.equal(letter.lastError, "HTTP 500");
+
+    // Redelivery once the subscriber recovers clears the dead letter
+    status = 200;
+    await events.redeliver(letter.id);
+    assert.equal(deliveries.length, 4);
+    assert.deepEqual(await events.listDeadLetters(), []);
+  });
+});
@@ -0,0 +1,32 @@
+// When a claimed agent expires, and why. Three deadlines can apply; the
+// earliest wins:
+//
+//   ttl           the expiresAt given (or derived from ttlMs) at claim time
+//   max_lifetime  maxLifetimeMs after the claim (pool config)
+//   inactive      inactivityTimeoutMs after the agent's last message, as
+//                 reported by /convos/status (or after the claim, before any).
+//                 A lastMessageAt of null means no message yet; undefined
+//                 means the agent doesn't report it, so it has no deadline.
+//
+// A limit of 0 turns that deadline off.
+
+export const EXPIRY_CAUSES = ["ttl", "max_lifetime", "inactive"];
+
+function time(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+// { at: ISO string, cause } for a claimed cache entry, or null if it never expires.
+export function expiryOf({ claimedAt, expiresAt, lastMessageAt }, { maxLifetimeMs = 0, inactivityTimeoutMs = 0 } = {}) {
+  const claimed = time(claimedAt);
+  const deadlines = [];
+  if (expiresAt) deadlines.push({ at: time(expiresAt), cause: "ttl" });
+  if (claimed !== null && maxLifetimeMs > 0) deadlines.push({ at: claimed + maxLifetimeMs, cause: "max_lifetime" });
+  if (claimed !== null && inactivityTimeoutMs > 0 && lastMessageAt !== undefined) {
+    const active = Math.max(claimed, time(lastMessageAt) ?? claimed);
+    deadlines.push({ at: active + inactivityTimeoutMs, cause: "inactive" });
+  }
+  if (deadlines.length === 0) return null;
+  const first = deadlines.reduce((a, b) => (b.at < a.at ? b : a));
+  return { at: new Date(first.at).toISOString(), cause: first.cause };
+}
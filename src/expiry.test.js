@@ -0,0 +1,41 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { expiryOf } from "./expiry.js";
+
+const HOUR = 60 * 60 * 1000;
+const claimedAt = "2026-03-04T10:00:00.000Z";
+
+describe("expiryOf", () => {
+  it("never expires without a deadline", () => {
+    assert.equal(expiryOf({ claimedAt }), null);
+    assert.equal(expiryOf({ claimedAt }, { maxLifetimeMs: 0, inactivityTimeoutMs: 0 }), null);
+  });
+
+  it("picks the earliest deadline", () => {
+    const limits = { maxLifetimeMs: 8 * HOUR, inactivityTimeoutMs: 2 * HOUR };
+    assert.deepEqual(expiryOf({ claimedAt, expiresAt: "2026-03-04T11:00:00.000Z" }, limits), {
+      at: "2026-03-04T11:00:00.000Z",
+      cause: "ttl",
+    });
+    assert.deepEqual(expiryOf({ claimedAt, lastMessageAt: null }, limits), { at: "2026-03-04T12:00:00.000Z", cause: "inactive" });
+    assert.deepEqual(expiryOf({ claimedAt, lastMessageAt: "2026-03-04T17:00:00.000Z" }, limits), {
+      at: "2026-03-04T18:00:00.000Z",
+      cause: "max_lifetime",
+    });
+  });
+
+  it("counts inactivity from the claim until the first message", () => {
+    const limits = { inactivityTimeoutMs: HOUR };
+    // A message from before the claim (e.g. a joined conversation) doesn't count
+    assert.equal(expiryOf({ claimedAt, lastMessageAt: "2026-03-04T09:00:00.000Z" }, limits).at, "2026-03-04T11:00:00.000Z");
+    assert.equal(expiryOf({ claimedAt, lastMessageAt: "2026-03-04T10:30:00.000Z" }, limits).at, "2026-03-04T11:30:00.000Z");
+  });
+
+  it("skips the inactivity deadline for agents that don't report lastMessageAt", () => {
+    assert.equal(expiryOf({ claimedAt, lastMessageAt: undefined }, { inactivityTimeoutMs: HOUR }), null);
+    assert.deepEqual(expiryOf({ claimedAt }, { maxLifetimeMs: 8 * HOUR, inactivityTimeoutMs: HOUR }), {
+      at: "2026-03-04T18:00:00.000Z",
+      cause: "max_lifetime",
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { createServer } from "node:http";
+
+// In-process stand-in for OpenClaw agents, for tests. One HTTP server hosts
+// any number of agents under /agents/<id>; each serves /convos/status,
+// /convos/conversation, /convos/join, /convos/update and /convos/reset behind
+// its own gateway token.
+//
+//   const agents = await startFakeAgents();
+//   const agent = agents.add("svc-1", "token");
+//   agent.url                                  // http://127.0.0.1:<port>/agents/svc-1
+//   agent.failNext("/convos/conversation", 500)
+//   agent.down = true                          // every request gets a 503
+//   agent.lastMessageAt = new Date().toISOString() // reported by /convos/status
+//   agent.lastMessageAt = undefined            // status leaves the field out
+//   agent.resetting = true                     // status reports a reset in progress
+//   agents.requests                            // [{ agentId, method, path, auth, body }]
+//   await agents.close();
+
+export async function startFakeAgents() {
+  /** @type {Map<string, object>} */
+  const agents = new Map();
+  const requests = [];
+  let conversations = 0;
+
+  function reply(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  function handle(agent, req, res, path, body) {
+    if (agent.down) return reply(res, 503, { error: "Agent is down" });
+    if (req.headers.authorization !== `Bearer ${agent.token}`) return reply(res, 401, { error: "Unauthorized" });
+
+    const injected = agent.failures.get(path)?.shift();
+    if (injected) return reply(res, injected, { error: "Injected failure" });
+
+    if (req.method === "GET" && path === "/convos/status") {
+      if (!agent.ready) return reply(res, 503, { ready: false });
+      if (agent.resetting) return reply(res, 200, { ready: false, resetting: true, conversation: null });
+      return reply(res, 200, { ready: true, conversation: agent.conversation, lastMessageAt: agent.lastMessageAt });
+    }
+    if (req.method === "POST" && path === "/convos/update") {
+      if (!agent.conversation) return reply(res, 409, { error: "Not in a conversation" });
+      if (body.instructions !== undefined) agent.instructions = body.instructions;
+      if (body.profileName !== undefined) agent.profileName = body.profileName;
+      return reply(res, 200, { ok: true });
+    }
+    if (req.method === "POST" && path === "/convos/reset") {
+      agent.conversation = null;
+      agent.instructions = null;
+      agent.profileName = null;
+      agent.lastMessageAt = null;
+      agent.resets++;
+      return reply(res, 200, { ok: true });
+    }
+    if (req.method === "POST" && (path === "/convos/conversation" || path === "/convos/join")) {
+      if (agent.conversation) return reply(res, 409, { error: "Already in a conversation" });
+      if (path === "/convos/join" && !body.inviteUrl) return reply(res, 400, { error: "inviteUrl is required" });
+      const id = `conv-${++conversations}`;
+      agent.conversation = { id, name: body.name || body.profileName || null };
+      agent.instructions = body.instructions;
+      agent.profileName = body.profileName || null;
+      if (path === "/convos/join") return reply(res, 200, { conversationId: id });
+      return reply(res, 200, { conversationId: id, inviteUrl: `https://dev.convos.org/v2?i=${id}` });
+    }
+    return reply(res, 404, { error: "Not found" });
+  }
+
+  const server = createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const match = req.url.match(/^\/agents\/([^/]+)(\/.*)$/);
+      const agent = match && agents.get(decodeURIComponent(match[1]));
+      let body = {};
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch {
+        return reply(res, 400, { error: "Invalid JSON" });
+      }
+      if (!agent) return reply(res, 404, { error: "No such agent" });
+
+      const path = match[2];
+      requests.push({ agentId: agent.id, method: req.method, path, auth: req.headers.authorization, body });
+      setTimeout(() => handle(agent, req, res, path, body), agent.delayMs);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const host = `127.0.0.1:${server.address().port}`;
+
+  return {
+    requests,
+
+    // Start an agent. It's ready (idle) immediately unless ready: false.
+    add(id, token, { ready = true } = {}) {
+      const agent = {
+        id,
+        token,
+        ready,
+        conversation: null,
+        instructions: null,
+        profileName: null,
+        lastMessageAt: null,
+        resetting: false,
+        resets: 0,
+        down: false,
+        delayMs: 0,
+        failures: new Map(),
+        // What Railway would call the service's domain
+        domain: `${host}/agents/${encodeURIComponent(id)}`,
+        url: `http://${host}/agents/${encodeURIComponent(id)}`,
+        // Answer the next request to `path` with an HTTP error status.
+        failNext(path, status = 500) {
+          if (!agent.failures.has(path)) agent.failures.set(path, []);
+          agent.failures.get(path).push(status);
+        },
+      };
+      agents.set(id, agent);
+      return agent;
+    },
+
+    get(id) {
+      return agents.get(id) || null;
+    },
+
+    remove(id) {
+      agents.delete(id);
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,48 @@
+import { createServer } from "node:http";
+
+// In-process fake of the GitHub commits API (GET /repos/:owner/:repo/commits/:ref),
+// for resolving OpenClaw refs in tests. Point the client at it with GITHUB_API_URL.
+//
+//   const github = await startFakeGitHub();
+//   github.refs.set("main", "0123abc...")        // unknown refs get a 422, like GitHub
+//   github.down = true                           // every call gets an HTTP 503
+//   github.requests                              // [{ repo, ref, auth }]
+//   await github.close();
+
+export async function startFakeGitHub() {
+  /** @type {Map<string, string>} */
+  const refs = new Map();
+  const requests = [];
+
+  function reply(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  const fake = {
+    refs,
+    requests,
+    down: false,
+    url: null,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+
+  const server = createServer((req, res) => {
+    if (fake.down) return reply(res, 503, { message: "Service unavailable" });
+    const match = req.url.match(/^\/repos\/([^/]+\/[^/]+)\/commits\/([^/?]+)$/);
+    if (req.method !== "GET" || !match) return reply(res, 404, { message: "Not Found" });
+    const ref = decodeURIComponent(match[2]);
+    requests.push({ repo: match[1], ref, auth: req.headers.authorization || null });
+    const sha = refs.get(ref);
+    if (!sha) return reply(res, 422, { message: `No commit found for SHA: ${ref}` });
+    reply(res, 200, { sha });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  fake.url = `http://127.0.0.1:${server.address().port}`;
+  return fake;
+}
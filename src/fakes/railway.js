@@ -0,0 +1,192 @@
+import { createServer } from "node:http";
+import { operationName } from "../railway.js";
+
+// In-process fake of the Railway GraphQL API, covering the queries and
+// mutations in src/railway.js. Point the client at it with RAILWAY_API_URL.
+// Pass the fake agents from ./agent.js and every created service gets a live
+// agent (with the service's GATEWAY_AUTH_TOKEN) whose address is the
+// service's domain; set RAILWAY_DOMAIN_SCHEME=http to reach it.
+//
+//   const railway = await startFakeRailway({ agents });
+//   railway.failNext("serviceCreate")           // next serviceCreate returns a GraphQL error
+//   railway.down = true                          // every call gets an HTTP 503
+//   railway.setDeployStatus(serviceId, "CRASHED")
+//   railway.requests                             // [{ operation, variables }]
+
+export async function startFakeRailway({
+  token = "test-token",
+  projectId = "project-1",
+  agents = null,
+  deployStatus = "SUCCESS",
+} = {}) {
+  /** @type {Map<string, object>} */
+  const services = new Map();
+  const requests = [];
+  const failures = new Map();
+  let nextId = 0;
+
+  function service(id) {
+    const svc = services.get(id);
+    if (!svc) throw new Error(`Service ${id} not found`);
+    return svc;
+  }
+
+  function addService({ name, environmentId, variables = {}, image = null, status = deployStatus, createdAt = new Date().toISOString() }) {
+    const id = `svc-${++nextId}`;
+    const svc = {
+      id,
+      name,
+      createdAt,
+      environmentIds: [environmentId],
+      variables: { ...variables },
+      image,
+      deployments: [{ id: `dep-${++nextId}`, status }],
+      domains: [],
+    };
+    services.set(id, svc);
+    agents?.add(id, svc.variables.GATEWAY_AUTH_TOKEN);
+    return svc;
+  }
+
+  function deploymentEdges(svc) {
+    return { edges: svc.deployments.map((d) => ({ node: { id: d.id, status: d.status } })) };
+  }
+
+  // operation → (variables) => data
+  const resolvers = {
+    serviceCreate: ({ input }) => {
+      if (input.projectId !== projectId) throw new Error(`Project ${input.projectId} not found`);
+      const { name, environmentId, variables, source } = input;
+      return { id: addService({ name, environmentId, variables, image: source?.image || null }).id };
+    },
+    serviceInstanceUpdate: ({ serviceId }) => {
+      service(serviceId);
+      return true;
+    },
+    service: ({ id }) => {
+      const svc = services.get(id);
+      return svc ? { id: svc.id, name: svc.name, deployments: deploymentEdges(svc) } : null;
+    },
+    deploymentCancel: ({ id }) => {
+      for (const svc of services.values()) {
+        const dep = svc.deployments.find((d) => d.id === id);
+        if (dep) dep.status = "REMOVED";
+      }
+      return true;
+    },
+    serviceInstanceDeploy: ({ serviceId, commitSha }) => {
+      service(serviceId).deployments.unshift({ id: `dep-${++nextId}`, status: deployStatus, commitSha });
+      return true;
+    },
+    serviceDisconnect: ({ id }) => ({ id: service(id).id }),
+    variableCollectionUpsert: ({ input }) => {
+      Object.assign(service(input.serviceId).variables, input.variables);
+      return true;
+    },
+    serviceDomainCreate: ({ input }) => {
+      const svc = service(input.serviceId);
+      const domain = agents?.get(svc.id)?.domain || `${svc.id}.up.railway.app`;
+      svc.domains.push(domain);
+      return { domain };
+    },
+    serviceUpdate: ({ id, input }) => {
+      Object.assign(service(id), input);
+      return { id };
+    },
+    serviceDelete: ({ id }) => {
+      service(id);
+      services.delete(id);
+      agents?.remove(id);
+      return true;
+    },
+    project: ({ id }) => {
+      if (id !== projectId) return null;
+      return {
+        services: {
+          edges: [...services.values()].map((svc) => ({
+            node: {
+              id: svc.id,
+              name: svc.name,
+              createdAt: svc.createdAt,
+              serviceInstances: {
+                edges: svc.environmentIds.map((environmentId) => ({ node: { environmentId, source: { image: svc.image } } })),
+              },
+              deployments: deploymentEdges(svc),
+            },
+          })),
+        },
+      };
+    },
+    domains: ({ serviceId }) => ({
+      serviceDomains: service(serviceId).domains.map((domain) => ({ domain })),
+      customDomains: [],
+    }),
+    variables: ({ serviceId }) => ({ ...service(serviceId).variables }),
+  };
+
+  function reply(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  const fake = {
+    services,
+    requests,
+    down: false,
+
+    // Return a GraphQL error from the next call to `operation`.
+    failNext(operation, message = "Injected failure") {
+      if (!failures.has(operation)) failures.set(operation, []);
+      failures.get(operation).push(message);
+    },
+
+    setDeployStatus(id, status) {
+      service(id).deployments[0].status = status;
+    },
+
+    // Add a service directly, as if created outside the pool manager.
+    addService,
+  };
+
+  const server = createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      if (fake.down) {
+        res.writeHead(503, { "Content-Type": "text/plain" });
+        return res.end("upstream connect error");
+      }
+      if (req.headers.authorization !== `Bearer ${token}`) {
+        return reply(res, 200, { errors: [{ message: "Not Authorized" }] });
+      }
+
+      let query, variables;
+      try {
+        ({ query, variables = {} } = JSON.parse(raw));
+      } catch {
+        return reply(res, 400, { errors: [{ message: "Invalid JSON" }] });
+      }
+      const operation = operationName(query);
+      requests.push({ operation, variables });
+
+      const injected = failures.get(operation)?.shift();
+      if (injected) return reply(res, 200, { errors: [{ message: injected }] });
+
+      const resolve = resolvers[operation];
+      if (!resolve) return reply(res, 200, { errors: [{ message: `Unknown operation ${operation}` }] });
+      try {
+        reply(res, 200, { data: { [operation]: resolve(variables) } });
+      } catch (err) {
+        reply(res, 200, { errors: [{ message: err.message }] });
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  fake.url = `http://127.0.0.1:${server.address().port}/graphql/v2`;
+  fake.close = () => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  };
+  return fake;
+}
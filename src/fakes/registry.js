@@ -0,0 +1,68 @@
+import { createServer } from "node:http";
+
+// In-process fake of a container registry's manifest API (Docker Registry
+// HTTP API v2), for resolving image tags in tests. Like ghcr.io, it answers
+// anonymous requests with a Bearer challenge pointing at its own /token
+// endpoint. Set REGISTRY_SCHEME=http and use fake.host as the registry in
+// image references.
+//
+//   const registry = await startFakeRegistry();
+//   registry.tags.set("xmtplabs/openclaw-agent:staging", "sha256:…")
+//   `${registry.host}/xmtplabs/openclaw-agent:staging`  // image reference
+//   registry.down = true                                // every call gets an HTTP 503
+//   registry.requests                                   // [{ method, path, auth }]
+//   await registry.close();
+
+const TOKEN = "fake-registry-token";
+
+export async function startFakeRegistry() {
+  /** @type {Map<string, string>} "repository:tag" → digest */
+  const tags = new Map();
+  const requests = [];
+
+  const fake = {
+    tags,
+    requests,
+    down: false,
+    host: null,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+
+  const server = createServer((req, res) => {
+    const path = req.url.split("?")[0];
+    requests.push({ method: req.method, path, auth: req.headers.authorization || null });
+    if (fake.down) {
+      res.writeHead(503);
+      return res.end();
+    }
+    if (path === "/token") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ token: TOKEN }));
+    }
+    const match = path.match(/^\/v2\/(.+)\/manifests\/([^/]+)$/);
+    if (!match) {
+      res.writeHead(404);
+      return res.end();
+    }
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      res.writeHead(401, {
+        "WWW-Authenticate": `Bearer realm="http://${fake.host}/token",service="${fake.host}",scope="repository:${match[1]}:pull"`,
+      });
+      return res.end();
+    }
+    const digest = tags.get(`${match[1]}:${match[2]}`);
+    if (!digest) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { "Docker-Content-Digest": digest, "Content-Type": "application/vnd.oci.image.index.v1+json" });
+    res.end();
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  fake.host = `127.0.0.1:${server.address().port}`;
+  return fake;
+}
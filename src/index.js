@@ -1,36 +1,63 @@
 import express from "express";
 import * as pool from "./pool.js";
 import * as cache from "./cache.js";
+import * as pools from "./pools.js";
+import * as poolConfig from "./poolConfig.js";
+import * as claimQueue from "./claimQueue.js";
+import * as claimJobs from "./claimJobs.js";
+import * as keys from "./keys.js";
+import * as events from "./events.js";
+import * as sse from "./sse.js";
+import * as metrics from "./metrics.js";
+import * as audit from "./audit.js";
+import * as schema from "./schema.js";
+import { createLogger, requestContext } from "./logger.js";
+import { EVENT_TYPES } from "./webhooks.js";
+import { operators } from "./db/store.js";
+import { SCOPES, hasScope } from "./keyCache.js";
+import {
+  requireAuth,
+  requireScope,
+  callerId,
+  verifyPassword,
+  createSession,
+  destroySession,
+  sessionFromRequest,
+  setSessionCookie,
+  clearSessionCookie,
+} from "./auth.js";
 
 const PORT = parseInt(process.env.PORT || "3001", 10);
-const POOL_API_KEY = process.env.POOL_API_KEY;
 const POOL_ENVIRONMENT = process.env.POOL_ENVIRONMENT || "staging";
+const CLAIM_WAIT_MAX_MS = parseInt(process.env.POOL_CLAIM_WAIT_MAX_MS || "120000", 10);
+
+const log = createLogger("api");
+const authLog = createLogger("auth");
 
 const app = express();
 app.disable("x-powered-by");
+app.set("trust proxy", 1);
+app.use(requestContext);
 app.use(express.json());
 
-// --- Auth middleware ---
-function requireAuth(req, res, next) {
-  const header = req.headers.authorization || "";
-  const match = header.match(/^Bearer\s+(.+)$/i);
-  if (!match || match[1] !== POOL_API_KEY) {
-    return res.status(401).json({ error: "Invalid or missing API key" });
-  }
-  return next();
-}
-
 // --- Routes ---
 
 app.get("/healthz", (_req, res) => res.json({ ok: true }));
 
 // Version — check this to verify what code is deployed.
 const BUILD_VERSION = "2026-02-12T01:cache-v1";
-app.get("/version", (_req, res) => res.json({ version: BUILD_VERSION, environment: POOL_ENVIRONMENT }));
+// Returns 503 until the database schema has every migration applied.
+app.get("/version", (_req, res) => {
+  const body = { version: BUILD_VERSION, environment: POOL_ENVIRONMENT, schema: schema.getStatus() };
+  if (!schema.isCurrent()) {
+    return res.status(503).json({ ...body, error: "Database schema is not up to date" });
+  }
+  res.json(body);
+});
 
-// Pool counts (no auth — used by the launch form)
+// Pool counts, in total and per pool (no auth — used by the launch form)
 app.get("/api/pool/counts", (_req, res) => {
-  res.json(cache.getCounts());
+  res.json({ ...cache.getCounts(), pools: cache.getCountsByPool(pools.names()) });
 });
 
 // List launched agents (no auth — used by the page)
@@ -40,30 +67,294 @@ app.get("/api/pool/agents", (_req, res) => {
   res.json({ claimed, crashed });
 });
 
+// Prometheus metrics
+app.get("/metrics", requireScope("read"), (_req, res) => {
+  for (const [poolName, counts] of Object.entries(cache.getCountsByPool(pools.names()))) {
+    for (const [status, count] of Object.entries(counts)) {
+      metrics.instances.set({ pool: poolName, status }, count);
+    }
+  }
+  metrics.claimQueueLength.set({}, claimQueue.size());
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// Live stream of pool changes (Server-Sent Events). Pass ?instanceId= to
+// watch a single instance, e.g. one just claimed.
+app.get("/api/pool/events", requireScope("read", "claim"), (req, res) => {
+  const instanceId = typeof req.query.instanceId === "string" ? req.query.instanceId : null;
+  sse.attach(req, res, { instanceId });
+});
+
+// What the audit log keeps about an instance that is about to disappear.
+function instanceSummary(inst) {
+  return {
+    name: inst.name,
+    agentName: inst.agentName,
+    instructions: inst.instructions,
+    conversationId: inst.conversationId,
+    inviteUrl: inst.inviteUrl,
+    claimedAt: inst.claimedAt,
+  };
+}
+
 // Kill a launched instance
-app.delete("/api/pool/instances/:id", requireAuth, async (req, res) => {
+app.delete("/api/pool/instances/:id", requireScope("admin"), async (req, res) => {
   try {
-    await pool.killInstance(req.params.id);
+    const inst = await pool.killInstance(req.params.id);
+    await audit.record(req.auth, "kill", { instanceId: inst.id, payload: instanceSummary(inst) });
     res.json({ ok: true });
   } catch (err) {
-    console.error("[api] Kill failed:", err);
+    log.error("Kill failed", { instanceId: req.params.id, err });
+    await audit.record(req.auth, "kill", { instanceId: req.params.id, error: err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change a launched agent's instructions and/or name, keeping its conversation
+app.patch("/api/pool/instances/:id", requireScope("admin"), async (req, res) => {
+  const { agentName, instructions } = req.body || {};
+  if (agentName === undefined && instructions === undefined) {
+    return res.status(400).json({ error: "agentName or instructions is required" });
+  }
+  for (const [name, value] of Object.entries({ agentName, instructions })) {
+    if (value !== undefined && (typeof value !== "string" || !value.trim())) {
+      return res.status(400).json({ error: `${name} must be a non-empty string if provided` });
+    }
+  }
+  const payload = { agentName, instructions };
+  try {
+    const inst = await pool.updateAgent(req.params.id, { agentName, instructions }, req.auth.username || req.auth.name);
+    await audit.record(req.auth, "update", { instanceId: inst.id, payload });
+    res.json({ ok: true, instance: inst });
+  } catch (err) {
+    log.error("Update failed", { instanceId: req.params.id, err });
+    await audit.record(req.auth, "update", { instanceId: req.params.id, payload, error: err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Earlier names and instructions of an agent, oldest edit first
+app.get("/api/pool/instances/:id/edits", requireScope("read"), async (req, res) => {
+  try {
+    res.json({ edits: await pool.listEdits(req.params.id) });
+  } catch (err) {
+    log.error("List edits failed", { instanceId: req.params.id, err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Release a launched instance back to the pool (or replace it once it has
+// been recycled too often)
+app.post("/api/pool/instances/:id/release", requireScope("admin"), async (req, res) => {
+  try {
+    const { instance: inst, recycled, recycles, newInstanceId, reason } = await pool.releaseInstance(req.params.id);
+    await audit.record(req.auth, "release", {
+      instanceId: inst.id,
+      payload: { ...instanceSummary(inst), recycled, recycles, newInstanceId, reason },
+    });
+    res.json({ ok: true, recycled, recycles, newInstanceId, ...(reason && { reason }) });
+  } catch (err) {
+    log.error("Release failed", { instanceId: req.params.id, err });
+    await audit.record(req.auth, "release", { instanceId: req.params.id, error: err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Move a launched agent onto its pool's current OpenClaw commit
+app.post("/api/pool/instances/:id/upgrade", requireScope("admin"), async (req, res) => {
+  try {
+    const { instance: inst, newInstanceId, conversationId, to } = await pool.upgradeAgent(req.params.id);
+    await audit.record(req.auth, "upgrade", {
+      instanceId: inst.id,
+      payload: { ...instanceSummary(inst), from: { commit: inst.commit, imageDigest: inst.imageDigest || null }, to, newInstanceId },
+    });
+    res.json({ ok: true, instanceId: newInstanceId, conversationId, ...to });
+  } catch (err) {
+    log.error("Upgrade failed", { instanceId: req.params.id, err });
+    await audit.record(req.auth, "upgrade", { instanceId: req.params.id, error: err });
     res.status(500).json({ error: err.message });
   }
 });
 
 // Dismiss a crashed agent
-app.delete("/api/pool/crashed/:id", requireAuth, async (req, res) => {
+app.delete("/api/pool/crashed/:id", requireScope("admin"), async (req, res) => {
   try {
-    await pool.dismissCrashed(req.params.id);
+    const inst = await pool.dismissCrashed(req.params.id);
+    await audit.record(req.auth, "dismiss", { instanceId: inst.id, payload: instanceSummary(inst) });
     res.json({ ok: true });
   } catch (err) {
-    console.error("[api] Dismiss failed:", err);
+    log.error("Dismiss failed", { instanceId: req.params.id, err });
+    await audit.record(req.auth, "dismiss", { instanceId: req.params.id, error: err });
     res.status(500).json({ error: err.message });
   }
 });
 
+// --- Operator login ---
+
+const DUMMY_PASSWORD_HASH = `scrypt$${"00".repeat(16)}$${"00".repeat(64)}`;
+
+app.post("/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string") {
+    return res.status(400).json({ error: "username and password are required" });
+  }
+  try {
+    const operator = await operators.findByUsername(username);
+    // Always run the hash check so unknown usernames take as long as bad passwords
+    const ok = await verifyPassword(password, operator?.password_hash || DUMMY_PASSWORD_HASH);
+    if (!operator || !ok) {
+      authLog.warn("Failed login", { username });
+      await audit.record({ type: "session", username }, "login", { error: "Invalid username or password" });
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    const session = createSession(operator.username);
+    setSessionCookie(req, res, session);
+    authLog.info("Logged in", { username: operator.username });
+    await audit.record({ type: "session", username: operator.username }, "login");
+    res.json({ ok: true });
+  } catch (err) {
+    authLog.error("Login failed", { err });
+    res.status(500).json({ error: "Login failed" });
+  }
+});
+
+app.post("/logout", requireAuth, async (req, res) => {
+  const session = sessionFromRequest(req);
+  if (session) destroySession(session.id);
+  clearSessionCookie(res);
+  await audit.record(req.auth, "logout");
+  res.json({ ok: true });
+});
+
+// Login page
+app.get("/login", (req, res) => {
+  if (sessionFromRequest(req)) return res.redirect("/");
+  res.type("html").send(`<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Convos Agent Pool — Sign in</title>
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+
+    body {
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Helvetica Neue', Arial, sans-serif;
+      background: #FFF;
+      min-height: 100vh;
+      padding: 32px;
+      color: #000;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      -webkit-font-smoothing: antialiased;
+    }
+
+    .card {
+      width: 100%;
+      max-width: 380px;
+      border: 1px solid #EBEBEB;
+      border-radius: 24px;
+      padding: 32px;
+    }
+
+    .card h3 {
+      font-size: 16px;
+      font-weight: 700;
+      margin-bottom: 20px;
+      letter-spacing: -0.08px;
+    }
+
+    .setting-group { margin-bottom: 20px; }
+
+    .setting-label {
+      display: block;
+      color: #666;
+      font-size: 14px;
+      font-weight: 500;
+      margin-bottom: 8px;
+    }
+
+    .setting-input {
+      width: 100%;
+      border: 1px solid #EBEBEB;
+      border-radius: 12px;
+      padding: 12px 16px;
+      font-size: 15px;
+      font-family: inherit;
+    }
+
+    .setting-input:focus { outline: none; border-color: #000; }
+
+    .btn-primary {
+      width: 100%;
+      background: #FC4F37;
+      color: #FFF;
+      border: none;
+      border-radius: 40px;
+      padding: 16px 32px;
+      font-size: 16px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+
+    .btn-primary:disabled { opacity: 0.5; cursor: not-allowed; }
+
+    .error-message {
+      display: none;
+      margin-top: 16px;
+      color: #DC2626;
+      font-size: 14px;
+    }
+
+    body.env-production { border-top: 3px solid #DC2626; }
+    body.env-staging { border-top: 3px solid #F59E0B; }
+  </style>
+</head>
+<body class="env-${POOL_ENVIRONMENT}">
+  <div class="card">
+    <h3>Convos Agent Pool · ${POOL_ENVIRONMENT}</h3>
+    <form id="login">
+      <div class="setting-group">
+        <label class="setting-label" for="username">Username</label>
+        <input id="username" name="username" class="setting-input" autocomplete="username" required />
+      </div>
+      <div class="setting-group">
+        <label class="setting-label" for="password">Password</label>
+        <input id="password" name="password" type="password" class="setting-input" autocomplete="current-password" required />
+      </div>
+      <button type="submit" id="btn" class="btn-primary">Sign in</button>
+    </form>
+    <div class="error-message" id="error"></div>
+  </div>
+  <script>
+    var form=document.getElementById('login'),btn=document.getElementById('btn'),errorEl=document.getElementById('error');
+    form.onsubmit=async function(e){
+      e.preventDefault();
+      btn.disabled=true;errorEl.style.display='none';
+      try{
+        var res=await fetch('/login',{method:'POST',headers:{'Content-Type':'application/json'},
+          body:JSON.stringify({username:form.username.value.trim(),password:form.password.value})
+        });
+        var data=await res.json();
+        if(!res.ok)throw new Error(data.error||'Sign in failed');
+        location.href='/';
+      }catch(err){
+        errorEl.textContent=err.message;errorEl.style.display='block';
+      }finally{btn.disabled=false;}
+    };
+  </script>
+</body>
+</html>`);
+});
+
 // Dashboard page
-app.get("/", (_req, res) => {
+app.get("/", (req, res) => {
+  const session = sessionFromRequest(req);
+  if (!session) return res.redirect("/login");
   res.type("html").send(`<!doctype html>
 <html lang="en">
 <head>
@@ -117,6 +408,17 @@ app.get("/", (_req, res) => {
       font-weight: 400;
     }
 
+    .header-right {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    }
+
+    .operator-name {
+      font-size: 13px;
+      color: #999;
+    }
+
     /* Pool bar */
     .pool-bar {
       display: flex;
@@ -411,6 +713,97 @@ app.get("/", (_req, res) => {
       display: none;
     }
 
+    /* Tabs + archive/audit tables */
+    .tab-bar {
+      display: flex;
+      gap: 4px;
+      margin-bottom: 20px;
+    }
+
+    .tab-btn {
+      padding: 8px 16px;
+      border: 1px solid #EBEBEB;
+      border-radius: 12px;
+      background: #FFF;
+      font-size: 13px;
+      font-weight: 600;
+      color: #666;
+      cursor: pointer;
+    }
+
+    .tab-btn.active {
+      background: #000;
+      border-color: #000;
+      color: #FFF;
+    }
+
+    .table-filters {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      margin-bottom: 16px;
+    }
+
+    .table-filters input,
+    .table-filters select {
+      padding: 8px 12px;
+      border: 1px solid #EBEBEB;
+      border-radius: 10px;
+      font-size: 13px;
+    }
+
+    .data-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+
+    .data-table th {
+      text-align: left;
+      font-size: 11px;
+      font-weight: 600;
+      color: #999;
+      text-transform: uppercase;
+      padding: 8px;
+      border-bottom: 1px solid #EBEBEB;
+    }
+
+    .data-table td {
+      padding: 8px;
+      border-bottom: 1px solid #F5F5F5;
+      vertical-align: top;
+    }
+
+    .data-table td.failure {
+      color: #DC2626;
+    }
+
+    .table-detail {
+      font-family: ui-monospace, monospace;
+      font-size: 11px;
+      color: #666;
+      word-break: break-all;
+    }
+
+    .table-more {
+      margin-top: 16px;
+      text-align: center;
+    }
+
+    .data-table input {
+      width: 80px;
+      padding: 6px 8px;
+      border: 1px solid #EBEBEB;
+      border-radius: 8px;
+      font-size: 13px;
+    }
+
+    .settings-meta {
+      margin-top: 12px;
+      font-size: 12px;
+      color: #999;
+    }
+
     /* Agent feed (right column) */
     .feed-column {
       display: flex;
@@ -654,6 +1047,10 @@ app.get("/", (_req, res) => {
         <span class="logo-text">Convos Agent Pool<span class="env-badge env-${POOL_ENVIRONMENT}">${POOL_ENVIRONMENT}</span></span>
         <span class="logo-sub">Internal tool for quickly spinning up agents with new instructions.</span>
       </div>
+      <div class="header-right">
+        <span class="operator-name">${session.username}</span>
+        <button class="pool-btn" id="logout-btn">Log out</button>
+      </div>
     </header>
 
     <div class="pool-bar">
@@ -671,7 +1068,14 @@ app.get("/", (_req, res) => {
       </div>
     </div>
 
-    <div class="main-content">
+    <div class="tab-bar">
+      <button class="tab-btn active" id="tab-agents">Agents</button>
+      <button class="tab-btn" id="tab-archive">Archive</button>
+      <button class="tab-btn" id="tab-audit">Audit log</button>
+      <button class="tab-btn" id="tab-settings">Settings</button>
+    </div>
+
+    <div class="main-content" id="agents-panel">
       <div class="card">
         <h3>Launch an Agent</h3>
         <div id="unavailable" class="unavailable-msg" style="display:none">
@@ -680,7 +1084,7 @@ app.get("/", (_req, res) => {
               <animateTransform attributeName="transform" type="rotate" from="0 12 12" to="360 12 12" dur="1s" repeatCount="indefinite"/>
             </circle>
           </svg>
-          No instances ready. Waiting for pool to warm up...
+          No instances ready. Launching will wait for the pool to warm up...
         </div>
         <form id="f">
           <div class="mode-toggle">
@@ -695,6 +1099,10 @@ app.get("/", (_req, res) => {
             <label class="setting-label" for="name">Name</label>
             <input id="name" name="name" class="setting-input" placeholder="e.g. Tokyo Trip" required />
           </div>
+          <div class="setting-group" id="pool-group" style="display:none">
+            <label class="setting-label" for="pool">Pool</label>
+            <select id="pool" name="pool" class="setting-input"></select>
+          </div>
           <div class="setting-group">
             <label class="setting-label" for="instructions">Instructions</label>
             <textarea id="instructions" name="instructions" class="setting-input" placeholder="You are a helpful trip planner for Tokyo..." required></textarea>
@@ -722,6 +1130,91 @@ app.get("/", (_req, res) => {
         <div id="feed"></div>
       </div>
     </div>
+
+    <div class="card" id="archive-panel" style="display:none">
+      <h3>Archive</h3>
+      <form class="table-filters" id="archive-filters">
+        <input name="q" placeholder="Search name, conversation ID or instructions" size="40" />
+        <select name="reason">
+          <option value="">Any reason</option>
+          <option value="killed">Killed</option>
+          <option value="dismissed">Dismissed</option>
+          <option value="crashed">Crashed</option>
+          <option value="expired">Expired</option>
+          <option value="released">Released</option>
+          <option value="upgraded">Upgraded</option>
+        </select>
+        <button type="submit" class="pool-btn">Search</button>
+      </form>
+      <table class="data-table">
+        <thead><tr><th>Agent</th><th>Conversation</th><th>Claimed</th><th>Ended</th><th>Lived</th><th>Reason</th><th>Instructions</th></tr></thead>
+        <tbody id="archive-rows"></tbody>
+      </table>
+      <div class="table-more"><button class="pool-btn" id="archive-more" style="display:none">Load more</button></div>
+    </div>
+
+    <div class="card" id="audit-panel" style="display:none">
+      <h3>Audit Log</h3>
+      <form class="table-filters" id="audit-filters">
+        <input name="action" placeholder="Action (e.g. kill)" />
+        <input name="actor" placeholder="Actor" />
+        <input name="instanceId" placeholder="Instance ID" />
+        <select name="result">
+          <option value="">Any result</option>
+          <option value="success">Success</option>
+          <option value="failure">Failure</option>
+        </select>
+        <input name="since" type="datetime-local" title="From" />
+        <input name="until" type="datetime-local" title="Until" />
+        <button type="submit" class="pool-btn">Filter</button>
+      </form>
+      <table class="data-table">
+        <thead><tr><th>Time</th><th>Actor</th><th>Action</th><th>Instance</th><th>Result</th><th>Details</th></tr></thead>
+        <tbody id="audit-rows"></tbody>
+      </table>
+      <div class="table-more"><button class="pool-btn" id="audit-more" style="display:none">Load more</button></div>
+    </div>
+
+    <div class="card" id="settings-panel" style="display:none">
+      <h3>Settings</h3>
+      <form id="settings-form">
+        <table class="data-table">
+          <thead><tr><th>Pool</th><th>Min idle</th><th>Max total</th></tr></thead>
+          <tbody id="settings-pools"></tbody>
+        </table>
+        <div class="setting-group">
+          <label class="setting-label" for="settings-stuck">Stuck timeout (seconds)</label>
+          <input id="settings-stuck" name="stuck" type="number" min="60" class="setting-input" required />
+        </div>
+        <div class="setting-group">
+          <label class="setting-label" for="settings-tick">Tick interval (seconds)</label>
+          <input id="settings-tick" name="tick" type="number" min="5" class="setting-input" required />
+        </div>
+        <div class="setting-group">
+          <label class="setting-label" for="settings-lifetime">Max agent lifetime (minutes, 0 = no limit)</label>
+          <input id="settings-lifetime" name="lifetime" type="number" min="0" class="setting-input" required />
+        </div>
+        <div class="setting-group">
+          <label class="setting-label" for="settings-inactivity">Inactivity timeout (minutes, 0 = no limit)</label>
+          <input id="settings-inactivity" name="inactivity" type="number" min="0" class="setting-input" required />
+        </div>
+        <div class="setting-group">
+          <label class="setting-label" for="settings-env">Instance env defaults (KEY=value, one per line)</label>
+          <textarea id="settings-env" name="env" class="setting-input"></textarea>
+        </div>
+        <div class="setting-group">
+          <label class="setting-label" for="settings-schedules">Schedules (JSON)</label>
+          <textarea id="settings-schedules" name="schedules" class="setting-input"
+            placeholder='[{"pool":"default","days":"mon-fri","start":"09:00","end":"18:00","timezone":"America/Los_Angeles","minIdle":8}]'></textarea>
+        </div>
+        <div class="table-filters">
+          <button type="submit" class="pool-btn">Save</button>
+          <button type="button" class="pool-btn danger" id="settings-reset">Reset to defaults</button>
+        </div>
+      </form>
+      <div class="settings-meta" id="settings-meta"></div>
+      <div class="settings-meta" id="settings-targets"></div>
+    </div>
   </div>
 
   <div class="modal-overlay" id="qr-modal">
@@ -734,9 +1227,14 @@ app.get("/", (_req, res) => {
   </div>
 
   <script>
-    const API_KEY='${POOL_API_KEY}';
+    const CSRF_TOKEN='${session.csrfToken}';
     const POOL_ENV='${POOL_ENVIRONMENT}';
-    const authHeaders={'Authorization':'Bearer '+API_KEY,'Content-Type':'application/json'};
+    const authHeaders={'X-CSRF-Token':CSRF_TOKEN,'Content-Type':'application/json'};
+
+    document.getElementById('logout-btn').onclick=async function(){
+      await fetch('/logout',{method:'POST',headers:authHeaders}).catch(function(){});
+      location.href='/login';
+    };
 
     function copyText(el){
       navigator.clipboard.writeText(el.textContent.trim()).then(function(){
@@ -748,7 +1246,12 @@ app.get("/", (_req, res) => {
 
     function timeAgo(dateStr){
       if(!dateStr)return '';
-      var ms=Date.now()-new Date(dateStr).getTime();
+      return duration(Date.now()-new Date(dateStr).getTime());
+    }
+    function timeUntil(dateStr){
+      return duration(new Date(dateStr).getTime()-Date.now());
+    }
+    function duration(ms){
       var s=Math.floor(ms/1000),m=Math.floor(s/60),h=Math.floor(m/60),d=Math.floor(h/24);
       if(d>0)return d+'d '+h%24+'h';
       if(h>0)return h+'h '+m%60+'m';
@@ -761,19 +1264,35 @@ app.get("/", (_req, res) => {
     var sCrashed=document.getElementById('s-crashed'),sCrashedWrap=document.getElementById('s-crashed-wrap');
     var unavail=document.getElementById('unavailable'),btn=document.getElementById('btn');
     var liveCount=document.getElementById('live-count');
-    var launching=false;
+    var poolSelect=document.getElementById('pool'),poolGroup=document.getElementById('pool-group');
+    var launching=false,lastCounts=null;
+
+    function applyCounts(c){
+      lastCounts=c;
+      sIdle.textContent=c.idle;sStarting.textContent=c.starting+(c.resetting||0);sClaimed.textContent=c.claimed;
+      if(c.crashed>0){sCrashed.textContent=c.crashed;sCrashedWrap.style.display='';}
+      else{sCrashedWrap.style.display='none';}
+      // Offer a pool picker only when there's more than one pool
+      var names=Object.keys(c.pools||{});
+      var current=Array.prototype.map.call(poolSelect.options,function(o){return o.value;});
+      if(names.join()!==current.join()){
+        var selected=poolSelect.value;
+        poolSelect.innerHTML=names.map(function(n){return '<option value="'+esc(n)+'">'+esc(n)+'</option>';}).join('');
+        if(names.indexOf(selected)!==-1)poolSelect.value=selected;
+      }
+      poolGroup.style.display=names.length>1?'block':'none';
+      var pc=(c.pools&&c.pools[poolSelect.value])||c;
+      if(!launching){
+        btn.disabled=false;
+        unavail.style.display=pc.idle>0?'none':'block';
+      }
+    }
+    poolSelect.onchange=function(){if(lastCounts)applyCounts(lastCounts);};
 
     async function refreshStatus(){
       try{
         var res=await fetch('/api/pool/counts');
-        var c=await res.json();
-        sIdle.textContent=c.idle;sStarting.textContent=c.starting;sClaimed.textContent=c.claimed;
-        if(c.crashed>0){sCrashed.textContent=c.crashed;sCrashedWrap.style.display='';}
-        else{sCrashedWrap.style.display='none';}
-        if(!launching){
-          if(c.idle>0){btn.disabled=false;unavail.style.display='none'}
-          else{btn.disabled=true;unavail.style.display='block'}
-        }
+        applyCounts(await res.json());
       }catch{}
     }
 
@@ -824,11 +1343,12 @@ app.get("/", (_req, res) => {
         html+='<div class="agent-card" id="agent-'+a.id+'">'+
           '<div class="agent-header">'+
             '<span class="agent-name">'+name+'</span>'+
-            '<span class="agent-uptime">'+timeAgo(a.claimedAt)+'</span>'+
+            '<span class="agent-uptime">'+timeAgo(a.claimedAt)+(a.expiry?' · expires in '+timeUntil(a.expiry.at):'')+'</span>'+
           '</div>'+
           '<div class="agent-instructions">'+instr+'</div>'+
           '<div class="agent-actions">'+
             '<button class="btn-secondary" data-qr="'+a.id+'">Show QR</button>'+
+            '<button class="btn-secondary" data-release="'+a.id+'">Release</button>'+
             '<button class="btn-danger" data-kill="'+a.id+'">Kill</button>'+
           '</div>'+
         '</div>';
@@ -850,6 +1370,12 @@ app.get("/", (_req, res) => {
         if(a2)killAgent(a2.id,a2.agentName||a2.id);
         return;
       }
+      var releaseId=e.target.getAttribute('data-release');
+      if(releaseId){
+        var a4=claimedCache.find(function(x){return x.id===releaseId;});
+        if(a4)releaseAgent(a4.id,a4.agentName||a4.id);
+        return;
+      }
       var dismissId=e.target.getAttribute('data-dismiss');
       if(dismissId){
         var a3=crashedCache.find(function(x){return x.id===dismissId;});
@@ -902,6 +1428,26 @@ app.get("/", (_req, res) => {
       }
     }
 
+    // Release an agent's instance back to the pool
+    async function releaseAgent(id,name){
+      var confirmMsg=(POOL_ENV==='production'?'[PRODUCTION] ':'')+
+        'Release "'+name+'"? The agent leaves its conversation and the instance is reset for the next claim.';
+      if(!confirm(confirmMsg))return;
+      markDestroying(id);
+      try{
+        var res=await fetch('/api/pool/instances/'+id+'/release',{method:'POST',headers:authHeaders});
+        var data=await res.json();
+        if(!res.ok)throw new Error(data.error||'Release failed');
+        var card=document.getElementById('agent-'+id);
+        if(card)card.remove();
+        refreshStatus();
+      }catch(err){
+        alert('Failed to release: '+err.message);
+        var card2=document.getElementById('agent-'+id);
+        if(card2)card2.classList.remove('destroying');
+      }
+    }
+
     // Dismiss crashed agent
     async function dismissAgent(id,name){
       var confirmMsg=(POOL_ENV==='production'?'[PRODUCTION] ':'')+
@@ -950,7 +1496,8 @@ app.get("/", (_req, res) => {
     f.onsubmit=async function(e){
       e.preventDefault();
       var agentName=f.name.value.trim();
-      var payload={agentName:agentName,instructions:f.instructions.value.trim()};
+      var payload={agentName:agentName,instructions:f.instructions.value.trim(),wait:true};
+      if(poolGroup.style.display!=='none')payload.pool=poolSelect.value;
       if(isJoinMode){
         var jUrl=joinUrlInput.value.trim();
         if(!jUrl){errorEl.textContent='Conversation link is required';errorEl.style.display='block';return;}
@@ -962,7 +1509,8 @@ app.get("/", (_req, res) => {
         }
         payload.joinUrl=jUrl;
       }
-      launching=true;btn.disabled=true;btn.textContent=isJoinMode?'Joining...':'Launching...';
+      launching=true;btn.disabled=true;
+      btn.textContent=unavail.style.display==='block'?'Waiting for an instance...':isJoinMode?'Joining...':'Launching...';
       errorEl.style.display='none';successEl.classList.remove('active');
       try{
         var res=await fetch('/api/pool/claim',{method:'POST',headers:authHeaders,
@@ -1024,24 +1572,275 @@ app.get("/", (_req, res) => {
       }finally{drainBtn.disabled=false;drainBtn.textContent='Drain';}
     };
 
-    // Initial load + polling
-    refreshStatus();refreshFeed();
-    setInterval(function(){refreshStatus();refreshFeed();},15000);
+    // Tabs
+    var tabs=[
+      {btn:document.getElementById('tab-agents'),panel:document.getElementById('agents-panel'),display:''},
+      {btn:document.getElementById('tab-archive'),panel:document.getElementById('archive-panel'),display:'block',load:function(){loadArchive(false);}},
+      {btn:document.getElementById('tab-audit'),panel:document.getElementById('audit-panel'),display:'block',load:function(){loadAudit(false);}},
+      {btn:document.getElementById('tab-settings'),panel:document.getElementById('settings-panel'),display:'block',load:loadSettings}
+    ];
+    tabs.forEach(function(tab){
+      tab.btn.onclick=function(){
+        tabs.forEach(function(t){
+          t.btn.classList.toggle('active',t===tab);
+          t.panel.style.display=t===tab?t.display:'none';
+        });
+        if(tab.load)tab.load();
+      };
+    });
+
+    // Archive
+    var archiveFilters=document.getElementById('archive-filters');
+    var archiveRows=document.getElementById('archive-rows'),archiveMore=document.getElementById('archive-more');
+    var archiveBefore=null;
+    function lifetime(from,to){
+      if(!from||!to)return '';
+      var m=Math.floor((new Date(to)-new Date(from))/60000),h=Math.floor(m/60),d=Math.floor(h/24);
+      if(d>0)return d+'d '+h%24+'h';
+      if(h>0)return h+'h '+m%60+'m';
+      return m+'m';
+    }
+    async function loadArchive(more){
+      var params=new URLSearchParams();
+      var q=archiveFilters.q.value.trim();if(q)params.set('q',q);
+      if(archiveFilters.reason.value)params.set('reason',archiveFilters.reason.value);
+      if(more&&archiveBefore)params.set('before',archiveBefore);
+      try{
+        var res=await fetch('/api/pool/history?'+params.toString());
+        var data=await res.json();
+        if(!res.ok)throw new Error(data.error||'Failed');
+        var html=data.agents.map(function(a){
+          return '<tr><td>'+esc(a.agentName)+'</td><td>'+esc(a.conversationId)+'</td>'+
+            '<td>'+esc(a.claimedAt?new Date(a.claimedAt).toLocaleString():'')+'</td>'+
+            '<td>'+esc(new Date(a.terminatedAt).toLocaleString())+'</td>'+
+            '<td>'+lifetime(a.claimedAt,a.terminatedAt)+'</td><td>'+esc(a.reason)+'</td>'+
+            '<td class="table-detail">'+esc(a.instructions)+'</td></tr>';
+        }).join('');
+        if(more)archiveRows.insertAdjacentHTML('beforeend',html);else archiveRows.innerHTML=html;
+        archiveBefore=data.nextBefore;
+        archiveMore.style.display=archiveBefore?'':'none';
+      }catch(err){
+        alert('Failed to load archive: '+err.message);
+      }
+    }
+    archiveFilters.onsubmit=function(e){e.preventDefault();loadArchive(false);};
+    archiveMore.onclick=function(){loadArchive(true);};
+
+    // Audit log
+    var auditFilters=document.getElementById('audit-filters');
+    var auditRows=document.getElementById('audit-rows'),auditMore=document.getElementById('audit-more');
+    var auditBefore=null;
+    async function loadAudit(more){
+      var params=new URLSearchParams();
+      ['action','actor','instanceId','result'].forEach(function(k){
+        var v=auditFilters[k].value.trim();if(v)params.set(k,v);
+      });
+      ['since','until'].forEach(function(k){
+        if(auditFilters[k].value)params.set(k,new Date(auditFilters[k].value).toISOString());
+      });
+      if(more&&auditBefore)params.set('before',auditBefore);
+      try{
+        var res=await fetch('/api/pool/audit?'+params.toString());
+        var data=await res.json();
+        if(!res.ok)throw new Error(data.error||'Failed');
+        var html=data.events.map(function(ev){
+          return '<tr><td>'+esc(new Date(ev.createdAt).toLocaleString())+'</td>'+
+            '<td>'+esc(ev.actor)+'</td><td>'+esc(ev.action)+'</td><td>'+esc(ev.instanceId)+'</td>'+
+            '<td class="'+ev.result+'">'+esc(ev.result)+(ev.error?': '+esc(ev.error):'')+'</td>'+
+            '<td class="table-detail">'+esc(ev.payload?JSON.stringify(ev.payload):'')+'</td></tr>';
+        }).join('');
+        if(more)auditRows.insertAdjacentHTML('beforeend',html);else auditRows.innerHTML=html;
+        auditBefore=data.nextBefore;
+        auditMore.style.display=auditBefore?'':'none';
+      }catch(err){
+        alert('Failed to load audit log: '+err.message);
+      }
+    }
+    auditFilters.onsubmit=function(e){e.preventDefault();loadAudit(false);};
+    auditMore.onclick=function(){loadAudit(true);};
+
+    // Settings
+    var settingsForm=document.getElementById('settings-form'),settingsPools=document.getElementById('settings-pools');
+    var settingsMeta=document.getElementById('settings-meta'),settingsTargets=document.getElementById('settings-targets');
+    var settingsLoaded=null;
+    async function loadSettings(){
+      try{
+        var res=await fetch('/api/pool/config');
+        var data=await res.json();
+        if(!res.ok)throw new Error(data.error||'Failed');
+        var c=settingsLoaded=data.config;
+        settingsPools.innerHTML=Object.keys(c.pools).map(function(name){
+          var p=c.pools[name];
+          return '<tr><td>'+esc(name)+'</td>'+
+            '<td><input type="number" min="0" data-pool="'+esc(name)+'" data-field="minIdle" value="'+p.minIdle+'" /></td>'+
+            '<td><input type="number" min="1" data-pool="'+esc(name)+'" data-field="maxTotal" value="'+p.maxTotal+'" /></td></tr>';
+        }).join('');
+        settingsForm.stuck.value=c.stuckTimeoutMs/1000;
+        settingsForm.tick.value=c.tickIntervalMs/1000;
+        settingsForm.lifetime.value=c.maxLifetimeMs/60000;
+        settingsForm.inactivity.value=c.inactivityTimeoutMs/60000;
+        settingsForm.env.value=Object.keys(c.instanceEnv).map(function(k){return k+'='+c.instanceEnv[k];}).join('\\n');
+        settingsForm.schedules.value=c.schedules.length?JSON.stringify(c.schedules,null,2):'';
+        settingsMeta.textContent=data.updatedBy
+          ?'Last changed by '+data.updatedBy+' on '+new Date(data.updatedAt).toLocaleString()
+          :'Using the defaults from the environment';
+        var tres=await fetch('/api/pool/target');
+        var tdata=await tres.json();
+        if(tres.ok)settingsTargets.textContent='Idle target now: '+tdata.pools.map(function(t){
+          var w=t.schedule;
+          return t.pool+' '+t.minIdle+(w?' ('+w.days+' '+w.start+'–'+w.end+' '+w.timezone+')':'')+
+            (t.minIdle>t.scheduledMinIdle?' (demand '+t.demand.claimsPerMinute+'/min)':'');
+        }).join(', ');
+      }catch(err){
+        alert('Failed to load settings: '+err.message);
+      }
+    }
+    async function saveSettings(changes){
+      try{
+        var res=await fetch('/api/pool/config',{method:'PUT',headers:authHeaders,body:JSON.stringify(changes)});
+        var data=await res.json();
+        if(!res.ok)throw new Error(data.error||'Failed');
+        loadSettings();
+      }catch(err){
+        alert('Failed to save settings: '+err.message);
+      }
+    }
+    settingsForm.onsubmit=function(e){
+      e.preventDefault();
+      // Send only what changed, so untouched settings keep following their defaults
+      var changes={},poolChanges={},env={};
+      settingsPools.querySelectorAll('input').forEach(function(input){
+        var name=input.dataset.pool,field=input.dataset.field,v=parseInt(input.value,10);
+        if(v!==settingsLoaded.pools[name][field])(poolChanges[name]=poolChanges[name]||{})[field]=v;
+      });
+      if(Object.keys(poolChanges).length)changes.pools=poolChanges;
+      var stuck=Math.round(parseFloat(settingsForm.stuck.value)*1000),tick=Math.round(parseFloat(settingsForm.tick.value)*1000);
+      if(stuck!==settingsLoaded.stuckTimeoutMs)changes.stuckTimeoutMs=stuck;
+      if(tick!==settingsLoaded.tickIntervalMs)changes.tickIntervalMs=tick;
+      var lifetime=Math.round(parseFloat(settingsForm.lifetime.value)*60000),inactivity=Math.round(parseFloat(settingsForm.inactivity.value)*60000);
+      if(lifetime!==settingsLoaded.maxLifetimeMs)changes.maxLifetimeMs=lifetime;
+      if(inactivity!==settingsLoaded.inactivityTimeoutMs)changes.inactivityTimeoutMs=inactivity;
+      settingsForm.env.value.split('\\n').forEach(function(line){
+        var i=line.indexOf('=');
+        if(i>0)env[line.slice(0,i).trim()]=line.slice(i+1).trim();
+      });
+      if(JSON.stringify(env)!==JSON.stringify(settingsLoaded.instanceEnv))changes.instanceEnv=env;
+      var schedules;
+      try{schedules=settingsForm.schedules.value.trim()?JSON.parse(settingsForm.schedules.value):[];}
+      catch{alert('Schedules must be a JSON array');return;}
+      if(JSON.stringify(schedules)!==JSON.stringify(settingsLoaded.schedules))changes.schedules=schedules;
+      if(Object.keys(changes).length)saveSettings(changes);
+    };
+    document.getElementById('settings-reset').onclick=function(){
+      if(!confirm('Reset every setting to its default?'))return;
+      saveSettings({pools:null,stuckTimeoutMs:null,tickIntervalMs:null,instanceEnv:null,schedules:null,maxLifetimeMs:null,inactivityTimeoutMs:null});
+    };
+
+    // Live updates over SSE, falling back to polling while the stream is down
+    var pollTimer=null;
+    function startPolling(){
+      if(pollTimer)return;
+      refreshStatus();refreshFeed();
+      pollTimer=setInterval(function(){refreshStatus();refreshFeed();},15000);
+    }
+    function stopPolling(){
+      if(pollTimer){clearInterval(pollTimer);pollTimer=null;}
+    }
+
+    var instancesById={};
+    function applyInstances(){
+      var all=Object.keys(instancesById).map(function(k){return instancesById[k];});
+      claimedCache=all.filter(function(i){return i.status==='claimed';});
+      crashedCache=all.filter(function(i){return i.status==='crashed';});
+      renderFeed();
+    }
+
+    if(window.EventSource){
+      var stream=new EventSource('/api/pool/events');
+      stream.onopen=stopPolling;
+      stream.onerror=startPolling;
+      stream.addEventListener('snapshot',function(e){
+        var data=JSON.parse(e.data);
+        instancesById={};
+        data.instances.forEach(function(i){instancesById[i.serviceId]=i;});
+        applyCounts(data.counts);applyInstances();
+      });
+      stream.addEventListener('instance',function(e){
+        var i=JSON.parse(e.data);
+        instancesById[i.serviceId]=i;applyInstances();
+      });
+      stream.addEventListener('instance.removed',function(e){
+        delete instancesById[JSON.parse(e.data).serviceId];applyInstances();
+      });
+      stream.addEventListener('counts',function(e){applyCounts(JSON.parse(e.data));});
+    }else{
+      startPolling();
+    }
   </script>
 </body>
 </html>`);
 });
 
 // Pool status overview
-app.get("/api/pool/status", requireAuth, (_req, res) => {
+app.get("/api/pool/status", requireScope("read"), (_req, res) => {
   const counts = cache.getCounts();
+  const byPool = cache.getCountsByPool(pools.names());
+  const targets = new Map(pool.targets().map(({ pool: name, ...target }) => [name, target]));
+  const poolList = pools.list().map((def) => ({
+    ...pools.toPublic(def),
+    ...poolConfig.get().pools[def.name],
+    counts: byPool[def.name],
+    queued: claimQueue.size(def.name),
+    target: targets.get(def.name),
+  }));
   const instances = cache.getAll();
-  res.json({ counts, instances });
+  res.json({ counts, pools: poolList, instances, queue: claimQueue.list() });
+});
+
+// Each pool's effective idle target right now (or at ?at=<ISO time>), after
+// time-of-day schedules and predicted demand.
+app.get("/api/pool/target", requireScope("read"), (req, res) => {
+  const at = req.query.at === undefined ? new Date() : new Date(req.query.at);
+  if (Number.isNaN(at.getTime())) {
+    return res.status(400).json({ error: "at must be an ISO timestamp" });
+  }
+  res.json({ at: at.toISOString(), pools: pool.targets(at) });
+});
+
+// Which instances run an outdated OpenClaw build
+app.get("/api/pool/rollout", requireScope("read"), async (_req, res) => {
+  try {
+    res.json(await pool.rolloutStatus());
+  } catch (err) {
+    log.error("Rollout status failed", { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Agents that have been killed, dismissed, crashed or expired, newest first.
+// ?q= searches agent name, conversation ID and instructions; page with ?before=<nextBefore>.
+app.get("/api/pool/history", requireScope("read"), async (req, res) => {
+  const { q, reason, before } = req.query;
+  if (reason !== undefined && !pool.TERMINATION_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `reason must be one of ${pool.TERMINATION_REASONS.join(", ")}` });
+  }
+  if (before !== undefined && !pool.parseHistoryCursor(before)) {
+    return res.status(400).json({ error: "before must be the nextBefore of a previous page" });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  try {
+    res.json(await pool.listHistory({ search: q?.trim() || null, reason, before, limit }));
+  } catch (err) {
+    log.error("List history failed", { err });
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Launch an agent — claim an idle instance and provision it with instructions.
-app.post("/api/pool/claim", requireAuth, async (req, res) => {
-  const { agentName, instructions, joinUrl } = req.body || {};
+app.post("/api/pool/claim", requireScope("claim"), async (req, res) => {
+  const { agentName, instructions, joinUrl, wait, timeoutMs, callbackUrl, ttlMs, expiresAt: requestedExpiry, pool: poolName = pools.DEFAULT_POOL } = req.body || {};
+  const runAsync = req.body?.async;
   if (!instructions || typeof instructions !== "string") {
     return res.status(400).json({ error: "instructions (string) is required" });
   }
@@ -1051,85 +1850,399 @@ app.post("/api/pool/claim", requireAuth, async (req, res) => {
   if (joinUrl && typeof joinUrl !== "string") {
     return res.status(400).json({ error: "joinUrl must be a string if provided" });
   }
+  if (typeof poolName !== "string" || !pools.get(poolName)) {
+    return res.status(400).json({ error: `pool must be one of ${pools.names().join(", ")}` });
+  }
   if (joinUrl && POOL_ENVIRONMENT === "production" && /dev\.convos\.org/i.test(joinUrl)) {
     return res.status(400).json({ error: "dev.convos.org links cannot be used in the production environment" });
   }
   if (joinUrl && POOL_ENVIRONMENT !== "production" && /popup\.convos\.org/i.test(joinUrl)) {
     return res.status(400).json({ error: `popup.convos.org links cannot be used in the ${POOL_ENVIRONMENT} environment` });
   }
+  if (wait !== undefined && typeof wait !== "boolean") {
+    return res.status(400).json({ error: "wait must be a boolean if provided" });
+  }
+  if (timeoutMs !== undefined && (!Number.isInteger(timeoutMs) || timeoutMs <= 0)) {
+    return res.status(400).json({ error: "timeoutMs must be a positive integer if provided" });
+  }
+  const waitMs = timeoutMs ? Math.min(timeoutMs, CLAIM_WAIT_MAX_MS) : wait ? CLAIM_WAIT_MAX_MS : 0;
+  if (ttlMs !== undefined && requestedExpiry !== undefined) {
+    return res.status(400).json({ error: "Pass ttlMs or expiresAt, not both" });
+  }
+  if (ttlMs !== undefined && (!Number.isInteger(ttlMs) || ttlMs <= 0 || ttlMs > poolConfig.AGENT_LIMIT_MAX_MS)) {
+    return res.status(400).json({ error: `ttlMs must be a positive integer up to ${poolConfig.AGENT_LIMIT_MAX_MS} if provided` });
+  }
+  let expiresAt = ttlMs ? new Date(Date.now() + ttlMs).toISOString() : null;
+  if (requestedExpiry !== undefined) {
+    const at = typeof requestedExpiry === "string" ? new Date(requestedExpiry) : null;
+    if (!at || Number.isNaN(at.getTime()) || at.getTime() <= Date.now()) {
+      return res.status(400).json({ error: "expiresAt must be a future ISO timestamp if provided" });
+    }
+    if (at.getTime() > Date.now() + poolConfig.AGENT_LIMIT_MAX_MS) {
+      return res.status(400).json({ error: `expiresAt must be within ${poolConfig.AGENT_LIMIT_MAX_MS} ms from now` });
+    }
+    expiresAt = at.toISOString();
+  }
+  if (runAsync !== undefined && typeof runAsync !== "boolean") {
+    return res.status(400).json({ error: "async must be a boolean if provided" });
+  }
+  if (callbackUrl !== undefined) {
+    if (!runAsync) {
+      return res.status(400).json({ error: "callbackUrl requires async: true" });
+    }
+    if (!claimJobs.callbacksEnabled()) {
+      return res.status(400).json({ error: "callbackUrl is unavailable: POOL_CALLBACK_SECRET is not configured" });
+    }
+    const callbackError = await claimJobs.callbackUrlError(callbackUrl);
+    if (callbackError) return res.status(400).json({ error: callbackError });
+  }
+  const idempotencyKey = req.get("Idempotency-Key");
+  if (idempotencyKey !== undefined && (!idempotencyKey || idempotencyKey.length > 255)) {
+    return res.status(400).json({ error: "Idempotency-Key must be 1-255 characters" });
+  }
+  // Scope keys to the caller so two clients can't replay each other's claims
+  const scopedKey = idempotencyKey && `${callerId(req.auth)}:${idempotencyKey}`;
+  const claimPayload = { agentName, instructions, joinUrl, pool: poolName, waitMs, expiresAt, async: runAsync, idempotencyKey };
+
+  // Async mode: return a job immediately and provision in the background
+  if (runAsync) {
+    const existing = scopedKey && claimJobs.findByIdempotencyKey(scopedKey);
+    if (existing) {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(202).json(claimJobs.toPublic(existing));
+    }
+    const job = claimJobs.create({ agentName, caller: callerId(req.auth), idempotencyKey: scopedKey, callbackUrl });
+    claimJobs
+      .run(job, (onProgress) =>
+        pool.provision(agentName, instructions, joinUrl || undefined, {
+          pool: poolName,
+          idempotencyKey: scopedKey,
+          waitMs,
+          expiresAt,
+          onProgress,
+        })
+      )
+      .then(() =>
+        audit.record(req.auth, "claim", {
+          instanceId: job.result?.instanceId,
+          payload: { ...claimPayload, jobId: job.id, conversationId: job.result?.conversationId },
+          error: job.error,
+        })
+      );
+    return res.status(202).json(claimJobs.toPublic(job));
+  }
+
+  // Stop waiting in the queue if the client goes away
+  const abort = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) abort.abort();
+  });
 
   try {
-    const result = await pool.provision(agentName, instructions, joinUrl || undefined);
+    const queueWasFull = waitMs > 0 && claimQueue.isFull();
+    const result = await pool.provision(agentName, instructions, joinUrl || undefined, {
+      pool: poolName,
+      idempotencyKey: scopedKey,
+      waitMs,
+      expiresAt,
+      signal: abort.signal,
+    });
     if (!result) {
+      await audit.record(req.auth, "claim", { payload: claimPayload, error: "No idle instances available" });
       return res.status(503).json({
-        error: "No idle instances available. Try again in a few minutes.",
+        error: queueWasFull
+          ? "No idle instances available and the claim queue is full. Try again in a few minutes."
+          : waitMs > 0
+            ? `No instance became available in pool ${poolName} within ${waitMs}ms. Try again in a few minutes.`
+            : `No idle instances available in pool ${poolName}. Try again in a few minutes.`,
       });
     }
-    res.json(result);
+    const { replayed, ...body } = result;
+    if (replayed) res.set("Idempotent-Replayed", "true");
+    await audit.record(req.auth, "claim", {
+      instanceId: body.instanceId,
+      payload: { ...claimPayload, conversationId: body.conversationId, replayed },
+    });
+    res.json(body);
   } catch (err) {
-    console.error("[api] Launch failed:", err);
+    log.error("Launch failed", { err });
+    await audit.record(req.auth, "claim", { payload: claimPayload, error: err });
     res.status(500).json({ error: err.message });
   }
 });
 
-// Manually trigger a replenish cycle, optionally creating N instances
-app.post("/api/pool/replenish", requireAuth, async (req, res) => {
+// Check on an async claim job. Callers only see their own jobs unless admin.
+app.get("/api/pool/claims/:jobId", requireScope("claim"), (req, res) => {
+  const job = claimJobs.get(req.params.jobId);
+  if (!job || (job.caller !== callerId(req.auth) && !hasScope(req.auth.scopes, "admin"))) {
+    return res.status(404).json({ error: "Claim job not found" });
+  }
+  res.json(claimJobs.toPublic(job));
+});
+
+// Look up the optional `pool` in a request body. Sends a 400 and returns
+// undefined for an unknown pool; returns null when no pool was given.
+function poolFromBody(req, res) {
+  const poolName = req.body?.pool;
+  if (poolName === undefined) return null;
+  if (typeof poolName === "string" && pools.get(poolName)) return poolName;
+  res.status(400).json({ error: `pool must be one of ${pools.names().join(", ")}` });
+  return undefined;
+}
+
+// Manually trigger a replenish cycle, optionally creating N instances (in
+// the default pool unless `pool` is given)
+app.post("/api/pool/replenish", requireScope("admin"), async (req, res) => {
+  const poolName = poolFromBody(req, res);
+  if (poolName === undefined) return;
   try {
     const count = Math.min(parseInt(req.body?.count) || 0, 20);
     if (count > 0) {
       const results = [];
       for (let i = 0; i < count; i++) {
         try {
-          const inst = await pool.createInstance();
+          const inst = await pool.createInstance(poolName || pools.DEFAULT_POOL);
           results.push(inst);
         } catch (err) {
-          console.error(`[pool] Failed to create instance:`, err);
+          log.error("Failed to create instance", { err });
         }
       }
+      await audit.record(req.auth, "replenish", {
+        payload: { requested: count, pool: poolName || pools.DEFAULT_POOL, created: results.map((r) => r.id) },
+        error: results.length < count ? `Created ${results.length} of ${count}` : null,
+      });
       return res.json({ ok: true, created: results.length, counts: cache.getCounts() });
     }
     await pool.tick();
+    await audit.record(req.auth, "replenish", { payload: { requested: 0 } });
     res.json({ ok: true, counts: cache.getCounts() });
   } catch (err) {
+    await audit.record(req.auth, "replenish", { payload: req.body, error: err });
     res.status(500).json({ error: err.message });
   }
 });
 
 // Manually trigger a tick (replaces old reconcile endpoint)
-app.post("/api/pool/reconcile", requireAuth, async (_req, res) => {
+app.post("/api/pool/reconcile", requireScope("admin"), async (req, res) => {
   try {
     await pool.tick();
+    await audit.record(req.auth, "reconcile");
     res.json({ ok: true, counts: cache.getCounts() });
   } catch (err) {
-    console.error("[api] Tick failed:", err);
+    log.error("Tick failed", { err });
+    await audit.record(req.auth, "reconcile", { error: err });
     res.status(500).json({ error: err.message });
   }
 });
 
-// Drain idle instances from the pool
-app.post("/api/pool/drain", requireAuth, async (req, res) => {
+// Drain idle instances, from one pool if `pool` is given
+app.post("/api/pool/drain", requireScope("admin"), async (req, res) => {
+  const poolName = poolFromBody(req, res);
+  if (poolName === undefined) return;
   try {
     const count = Math.min(parseInt(req.body?.count) || 1, 20);
-    const drained = await pool.drainPool(count);
+    const drained = await pool.drainPool(count, poolName);
+    await audit.record(req.auth, "drain", { payload: { requested: count, pool: poolName, drained } });
     res.json({ ok: true, drained: drained.length, counts: cache.getCounts() });
   } catch (err) {
-    console.error("[api] Drain failed:", err);
+    log.error("Drain failed", { err });
+    await audit.record(req.auth, "drain", { payload: req.body, error: err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- API keys (admin) ---
+
+app.get("/api/pool/keys", requireScope("admin"), async (_req, res) => {
+  try {
+    res.json({ keys: await keys.listKeys() });
+  } catch (err) {
+    log.error("List keys failed", { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a key. The plaintext key is only ever returned in this response.
+app.post("/api/pool/keys", requireScope("admin"), async (req, res) => {
+  const { name, scopes, expiresAt } = req.body || {};
+  if (!name || typeof name !== "string") {
+    return res.status(400).json({ error: "name (string) is required" });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((s) => SCOPES.includes(s))) {
+    return res.status(400).json({ error: `scopes must be a non-empty array of ${SCOPES.join(", ")}` });
+  }
+  if (expiresAt != null && (typeof expiresAt !== "string" || !(new Date(expiresAt).getTime() > Date.now()))) {
+    return res.status(400).json({ error: "expiresAt must be a future ISO timestamp if provided" });
+  }
+
+  try {
+    const createdBy = req.auth.username || req.auth.name;
+    const key = await keys.createKey({ name, scopes: [...new Set(scopes)], expiresAt: expiresAt || null, createdBy });
+    await audit.record(req.auth, "key.create", { payload: { keyId: key.id, name, scopes: key.scopes, expiresAt: key.expiresAt } });
+    res.status(201).json(key);
+  } catch (err) {
+    log.error("Create key failed", { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/pool/keys/:id", requireScope("admin"), async (req, res) => {
+  try {
+    await keys.revokeKey(req.params.id);
+    await audit.record(req.auth, "key.revoke", { payload: { keyId: req.params.id } });
+    res.json({ ok: true });
+  } catch (err) {
+    log.error("Revoke key failed", { err });
+    await audit.record(req.auth, "key.revoke", { payload: { keyId: req.params.id }, error: err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Webhooks (admin) ---
+
+app.get("/api/pool/webhooks", requireScope("admin"), async (_req, res) => {
+  try {
+    res.json({ webhooks: await events.listSubscriptions(), eventTypes: EVENT_TYPES });
+  } catch (err) {
+    log.error("List webhooks failed", { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Subscribe a URL. The signing secret is only ever returned in this response.
+app.post("/api/pool/webhooks", requireScope("admin"), async (req, res) => {
+  const { url, events: eventTypes = [] } = req.body || {};
+  if (typeof url !== "string" || !URL.canParse(url) || new URL(url).protocol !== "https:") {
+    return res.status(400).json({ error: "url must be an https URL" });
+  }
+  if (!Array.isArray(eventTypes) || !eventTypes.every((t) => EVENT_TYPES.includes(t))) {
+    return res.status(400).json({ error: `events must be an array of ${EVENT_TYPES.join(", ")}` });
+  }
+
+  try {
+    const createdBy = req.auth.username || req.auth.name;
+    const sub = await events.createSubscription({ url, events: [...new Set(eventTypes)], createdBy });
+    await audit.record(req.auth, "webhook.create", { payload: { webhookId: sub.id, url, events: sub.events } });
+    res.status(201).json(sub);
+  } catch (err) {
+    log.error("Create webhook failed", { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/pool/webhooks/:id", requireScope("admin"), async (req, res) => {
+  try {
+    await events.deleteSubscription(req.params.id);
+    await audit.record(req.auth, "webhook.delete", { payload: { webhookId: req.params.id } });
+    res.json({ ok: true });
+  } catch (err) {
+    log.error("Delete webhook failed", { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/pool/webhooks/dead-letters", requireScope("admin"), async (_req, res) => {
+  try {
+    res.json({ deadLetters: await events.listDeadLetters() });
+  } catch (err) {
+    log.error("List dead letters failed", { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/pool/webhooks/dead-letters/:id/redeliver", requireScope("admin"), async (req, res) => {
+  try {
+    await events.redeliver(req.params.id);
+    await audit.record(req.auth, "webhook.redeliver", { payload: { deadLetterId: req.params.id } });
+    res.json({ ok: true });
+  } catch (err) {
+    log.error("Redeliver failed", { err });
+    await audit.record(req.auth, "webhook.redeliver", { payload: { deadLetterId: req.params.id }, error: err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Pool config (admin) ---
+
+// Effective settings, the overrides saved through this API, the defaults they
+// override, and who last changed them.
+app.get("/api/pool/config", requireScope("admin"), async (_req, res) => {
+  await poolConfig.load();
+  res.json(poolConfig.view());
+});
+
+// Change settings. Omitted settings are kept; null resets one to its default.
+// Applied from the next tick.
+app.put("/api/pool/config", requireScope("admin"), async (req, res) => {
+  let next;
+  try {
+    next = poolConfig.prepare(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  // Env values can be secrets, so the audit log only gets their names
+  const changes = { ...req.body };
+  if (changes.instanceEnv) changes.instanceEnv = Object.keys(changes.instanceEnv);
+
+  try {
+    const result = await poolConfig.save(next, req.auth.username || req.auth.name);
+    await audit.record(req.auth, "config.update", { payload: changes });
+    res.json(result);
+  } catch (err) {
+    log.error("Update pool config failed", { err });
+    await audit.record(req.auth, "config.update", { payload: changes, error: err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Audit log (admin) ---
+
+// Newest first. Filters: action, actor, instanceId, result, since, until.
+// Page with ?before=<nextBefore from the previous page>.
+app.get("/api/pool/audit", requireScope("admin"), async (req, res) => {
+  const { action, actor, instanceId, result, since, until, before } = req.query;
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: `${name} must be an ISO timestamp` });
+    }
+  }
+  if (before !== undefined && !/^\d+$/.test(before)) {
+    return res.status(400).json({ error: "before must be an event id" });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  try {
+    const events = await audit.list({ action, actor, instanceId, result, since, until, before, limit });
+    res.json({ events, nextBefore: events.length === limit ? events[events.length - 1].id : null });
+  } catch (err) {
+    log.error("List audit events failed", { err });
     res.status(500).json({ error: err.message });
   }
 });
 
 // --- Background tick ---
-// Rebuild cache from Railway + health checks every 30 seconds.
-const TICK_INTERVAL = parseInt(process.env.TICK_INTERVAL_MS || "30000", 10);
-setInterval(() => {
-  pool.tick().catch((err) => console.error("[tick] Error:", err));
-}, TICK_INTERVAL);
+// Rebuild cache from Railway + health checks every tickIntervalMs (30 seconds
+// by default). Rescheduled after each run so a changed interval applies to
+// the next one.
+function scheduleTick() {
+  setTimeout(() => {
+    if (!schema.isCurrent()) schema.check().catch((err) => log.error("Schema check error", { err }));
+    pool.tick().catch((err) => log.error("Tick error", { err }));
+    keys.sync().catch((err) => log.error("Key sync error", { err }));
+    events.sync().catch((err) => log.error("Webhook sync error", { err }));
+    scheduleTick();
+  }, poolConfig.get().tickIntervalMs);
+}
+scheduleTick();
 
-// Run initial tick on startup
+// Check the schema, load API keys and webhooks, then run initial tick on startup
+schema.check().catch((err) => log.error("Initial schema check error", { err }));
+keys.sync().catch((err) => log.error("Initial key sync error", { err }));
+events.sync().catch((err) => log.error("Initial webhook sync error", { err }));
 setTimeout(() => {
-  pool.tick().catch((err) => console.error("[tick] Initial tick error:", err));
+  pool.tick().catch((err) => log.error("Initial tick error", { err }));
 }, 2000);
 
 app.listen(PORT, () => {
-  console.log(`Pool manager listening on :${PORT}`);
+  log.info("Pool manager listening", { port: PORT });
 });
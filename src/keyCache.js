@@ -0,0 +1,77 @@
+import { createHash, randomBytes } from "node:crypto";
+
+// In-memory copy of the api_keys table, keyed by SHA-256 of the token.
+// Loaded at startup and refreshed every tick so auth never waits on the DB.
+
+export const SCOPES = ["read", "claim", "admin"];
+
+/** @type {Map<string, {id: string, name: string, keyHash: string, keyPrefix: string, scopes: string[], createdBy: string|null, createdAt: string, expiresAt: string|null, lastUsedAt: string|null}>} */
+const keys = new Map();
+
+/** @type {Set<string>} key hashes whose lastUsedAt hasn't been written to the DB yet */
+const dirty = new Set();
+
+export function generateKey() {
+  return `pk_${randomBytes(32).toString("base64url")}`;
+}
+
+export function hashKey(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+// admin implies every other scope.
+export function hasScope(scopes, required) {
+  return scopes.includes("admin") || scopes.includes(required);
+}
+
+export function set(key) {
+  keys.set(key.keyHash, key);
+}
+
+export function remove(id) {
+  for (const [hash, key] of keys) {
+    if (key.id === id) {
+      keys.delete(hash);
+      dirty.delete(hash);
+    }
+  }
+}
+
+// Replace the whole cache (from a fresh DB read), keeping unflushed usage.
+export function replaceAll(list) {
+  const pending = new Map([...dirty].map((h) => [h, keys.get(h)?.lastUsedAt]));
+  keys.clear();
+  for (const key of list) {
+    if (pending.has(key.keyHash)) key.lastUsedAt = pending.get(key.keyHash);
+    keys.set(key.keyHash, key);
+  }
+  for (const hash of dirty) {
+    if (!keys.has(hash)) dirty.delete(hash);
+  }
+}
+
+export function getAll() {
+  return [...keys.values()];
+}
+
+// Resolve a bearer token to an unexpired key, recording the use.
+export function findByToken(token) {
+  const hash = hashKey(token);
+  const key = keys.get(hash);
+  if (!key) return null;
+  if (key.expiresAt && new Date(key.expiresAt).getTime() <= Date.now()) return null;
+  key.lastUsedAt = new Date().toISOString();
+  dirty.add(hash);
+  return key;
+}
+
+// Drain keys with unflushed usage: [{id, lastUsedAt}].
+export function takeUsage() {
+  const usage = [];
+  for (const hash of dirty) {
+    const key = keys.get(hash);
+    if (key) usage.push({ id: key.id, lastUsedAt: key.lastUsedAt });
+  }
+  dirty.clear();
+  return usage;
+}
@@ -0,0 +1,55 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { generateKey, hashKey, hasScope, set, remove, getAll, findByToken, takeUsage, replaceAll } from "./keyCache.js";
+
+function addKey(id, token, extra = {}) {
+  set({ id, name: id, keyHash: hashKey(token), keyPrefix: token.slice(0, 10), scopes: ["read"], expiresAt: null, lastUsedAt: null, ...extra });
+}
+
+describe("keyCache", () => {
+  beforeEach(() => {
+    for (const key of getAll()) remove(key.id);
+    takeUsage();
+  });
+
+  it("hasScope treats admin as every scope", () => {
+    assert.equal(hasScope(["admin"], "claim"), true);
+    assert.equal(hasScope(["read"], "claim"), false);
+    assert.equal(hasScope(["claim"], "claim"), true);
+  });
+
+  it("findByToken resolves a known key", () => {
+    const token = generateKey();
+    addKey("k1", token);
+    assert.equal(findByToken(token).id, "k1");
+    assert.equal(findByToken(generateKey()), null);
+  });
+
+  it("findByToken ignores expired keys", () => {
+    const token = generateKey();
+    addKey("k1", token, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    assert.equal(findByToken(token), null);
+  });
+
+  it("records usage until taken", () => {
+    const token = generateKey();
+    addKey("k1", token);
+    findByToken(token);
+    const usage = takeUsage();
+    assert.equal(usage.length, 1);
+    assert.equal(usage[0].id, "k1");
+    assert.equal(takeUsage().length, 0);
+  });
+
+  it("replaceAll drops revoked keys but keeps unflushed usage", () => {
+    const t1 = generateKey();
+    const t2 = generateKey();
+    addKey("k1", t1);
+    addKey("k2", t2);
+    findByToken(t1);
+    replaceAll([{ id: "k1", name: "k1", keyHash: hashKey(t1), scopes: ["read"], expiresAt: null, lastUsedAt: null }]);
+    assert.equal(getAll().length, 1);
+    assert.ok(getAll()[0].lastUsedAt);
+    assert.equal(takeUsage().length, 1);
+  });
+});
@@ -0,0 +1,70 @@
+import { nanoid } from "nanoid";
+import { apiKeys as db } from "./db/store.js";
+import * as keyCache from "./keyCache.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("keys");
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyHash: row.key_hash,
+    keyPrefix: row.key_prefix,
+    scopes: row.scopes,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+// Public view of a key (never includes the hash).
+function toPublic(key) {
+  const { keyHash: _hash, ...rest } = key;
+  return rest;
+}
+
+// Flush last-used timestamps, then reload active keys from the DB.
+export async function sync() {
+  for (const { id, lastUsedAt } of keyCache.takeUsage()) {
+    await db.touchLastUsed(id, lastUsedAt).catch((err) => {
+      log.warn("Failed to record last use", { keyId: id, err });
+    });
+  }
+  const rows = await db.listActive();
+  keyCache.replaceAll(rows.map(fromRow));
+}
+
+// Create a key. The plaintext token is returned once and never stored.
+export async function createKey({ name, scopes, expiresAt, createdBy }) {
+  const token = keyCache.generateKey();
+  const key = {
+    id: nanoid(12),
+    name,
+    keyHash: keyCache.hashKey(token),
+    keyPrefix: token.slice(0, 10),
+    scopes,
+    createdBy: createdBy || null,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt || null,
+    lastUsedAt: null,
+  };
+  await db.insertKey(key);
+  keyCache.set(key);
+  log.info("Created key", { keyId: key.id, name, scopes });
+  return { ...toPublic(key), key: token };
+}
+
+export async function revokeKey(id) {
+  const revoked = await db.revoke(id);
+  if (!revoked) throw new Error(`Key ${id} not found`);
+  keyCache.remove(id);
+  log.info("Revoked key", { keyId: id });
+}
+
+export async function listKeys() {
+  const rows = await db.listAll();
+  return rows.map((r) => toPublic(fromRow(r)));
+}
@@ -0,0 +1,63 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+
+// JSON-lines logger. Every line carries level, component and message, plus
+// the fields of the current context (requestId for API calls, tickId for
+// ticks) so one claim can be followed from the route to the Railway rename.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+
+const context = new AsyncLocalStorage();
+
+// Run fn with fields (e.g. { requestId }) attached to every log line inside it.
+export function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export function currentContext() {
+  return context.getStore() || {};
+}
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+function write(level, component, bound, msg, fields) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg,
+    ...currentContext(),
+    ...bound,
+  };
+  for (const [k, v] of Object.entries(fields || {})) {
+    if (v !== undefined) line[k] = serialize(v);
+  }
+  process.stdout.write(JSON.stringify(line) + "\n");
+}
+
+// createLogger("pool").child({ instanceId, serviceId }).info("Claimed", { agentName })
+export function createLogger(component, bound = {}) {
+  return {
+    debug: (msg, fields) => write("debug", component, bound, msg, fields),
+    info: (msg, fields) => write("info", component, bound, msg, fields),
+    warn: (msg, fields) => write("warn", component, bound, msg, fields),
+    error: (msg, fields) => write("error", component, bound, msg, fields),
+    child: (fields) => createLogger(component, { ...bound, ...fields }),
+  };
+}
+
+// Express middleware: assign a request ID (reusing a well-formed X-Request-Id
+// from the caller), echo it back, and run the rest of the request inside it.
+export function requestContext(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+  res.set("X-Request-Id", req.id);
+  withContext({ requestId: req.id }, next);
+}
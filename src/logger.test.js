@@ -0,0 +1,62 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createLogger, withContext } from "./logger.js";
+
+describe("logger", () => {
+  let lines;
+  let originalWrite;
+
+  beforeEach(() => {
+    lines = [];
+    originalWrite = process.stdout.write;
+    // Capture log lines only; the test runner reports over stdout too
+    process.stdout.write = (chunk, ...rest) => {
+      if (typeof chunk === "string" && chunk.startsWith('{"time"')) {
+        lines.push(JSON.parse(chunk));
+        return true;
+      }
+      return originalWrite.call(process.stdout, chunk, ...rest);
+    };
+  });
+
+  afterEach(() => {
+    process.stdout.write = originalWrite;
+  });
+
+  it("writes JSON lines with level, component and fields", () => {
+    createLogger("pool").info("Claimed", { agentName: "trip" });
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, "info");
+    assert.equal(lines[0].component, "pool");
+    assert.equal(lines[0].msg, "Claimed");
+    assert.equal(lines[0].agentName, "trip");
+    assert.ok(lines[0].time);
+  });
+
+  it("skips levels below LOG_LEVEL (default info)", () => {
+    createLogger("pool").debug("noisy");
+    assert.equal(lines.length, 0);
+  });
+
+  it("children carry bound fields", () => {
+    createLogger("pool").child({ instanceId: "abc", serviceId: "svc-1" }).warn("Rename failed");
+    assert.equal(lines[0].instanceId, "abc");
+    assert.equal(lines[0].serviceId, "svc-1");
+  });
+
+  it("adds context fields across awaits", async () => {
+    await withContext({ requestId: "req-1" }, async () => {
+      await new Promise((r) => setTimeout(r, 1));
+      createLogger("railway").info("GraphQL call");
+    });
+    createLogger("railway").info("outside");
+    assert.equal(lines[0].requestId, "req-1");
+    assert.equal(lines[1].requestId, undefined);
+  });
+
+  it("serializes errors", () => {
+    createLogger("api").error("Kill failed", { err: new Error("boom") });
+    assert.equal(lines[0].err.message, "boom");
+    assert.ok(lines[0].err.stack);
+  });
+});
@@ -0,0 +1,138 @@
+// Minimal Prometheus metrics (text exposition format 0.0.4).
+
+/** @type {Array<Counter|Gauge|Histogram>} */
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labelString(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+// Series are keyed by their label string so each label combination is tracked once.
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    /** @type {Map<string, {labels: object, value: number}>} */
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${labelString(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help) {
+    super("counter", name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelString(labels);
+    const s = this.series.get(key) || { labels, value: 0 };
+    s.value += value;
+    this.series.set(key, s);
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help) {
+    super("gauge", name, help);
+  }
+
+  set(labels, value) {
+    this.series.set(labelString(labels), { labels, value });
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super("histogram", name, help);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = labelString(labels);
+    let s = this.series.get(key);
+    if (!s) {
+      s = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, s);
+    }
+    this.buckets.forEach((b, i) => {
+      if (value <= b) s.counts[i]++;
+    });
+    s.sum += value;
+    s.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((b, i) => {
+        lines.push(`${this.name}_bucket${labelString({ ...labels, le: b })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${labelString({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${labelString(labels)} ${sum}`);
+      lines.push(`${this.name}_count${labelString(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// Seconds elapsed since a performance.now() timestamp.
+export function secondsSince(start) {
+  return (performance.now() - start) / 1000;
+}
+
+export function render() {
+  return registry.flatMap((m) => m.render()).join("\n") + "\n";
+}
+
+// --- Pool metrics ---
+
+export const instances = new Gauge("pool_instances", "Instances by pool and status");
+export const claimQueueLength = new Gauge("pool_claim_queue_length", "Claims waiting for an idle instance");
+
+export const claimDuration = new Histogram(
+  "pool_claim_duration_seconds",
+  "Time to claim and provision an instance, by mode (create or join)",
+  [1, 2, 5, 10, 20, 30, 60]
+);
+export const claimFailures = new Counter(
+  "pool_claim_failures_total",
+  "Failed claims by reason (no_idle, agent_error, db_error)"
+);
+
+export const tickDuration = new Histogram("pool_tick_duration_seconds", "Duration of the background tick", [
+  0.5, 1, 2, 5, 10, 30, 60,
+]);
+
+export const railwayRequests = new Counter("railway_api_requests_total", "Railway GraphQL calls by operation");
+export const railwayErrors = new Counter("railway_api_errors_total", "Failed Railway GraphQL calls by operation");
+export const railwayDuration = new Histogram(
+  "railway_api_duration_seconds",
+  "Railway GraphQL call latency by operation",
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+
+export const healthChecks = new Counter("pool_health_checks_total", "Instance health checks by result (success, failure)");
+
+export const timeToIdle = new Histogram(
+  "pool_time_to_idle_seconds",
+  "Time from instance creation to its first idle health check",
+  [60, 120, 180, 300, 600, 900, 1800]
+);
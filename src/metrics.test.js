@@ -0,0 +1,48 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Counter, Gauge, Histogram, render } from "./metrics.js";
+
+describe("metrics", () => {
+  it("counters sum per label set", () => {
+    const c = new Counter("test_requests_total", "Test counter");
+    c.inc({ op: "a" });
+    c.inc({ op: "a" }, 2);
+    c.inc({ op: "b" });
+    const lines = c.render();
+    assert.ok(lines.includes('test_requests_total{op="a"} 3'));
+    assert.ok(lines.includes('test_requests_total{op="b"} 1'));
+    assert.equal(lines[1], "# TYPE test_requests_total counter");
+  });
+
+  it("gauges keep the last value", () => {
+    const g = new Gauge("test_gauge", "Test gauge");
+    g.set({}, 5);
+    g.set({}, 2);
+    assert.ok(g.render().includes("test_gauge 2"));
+  });
+
+  it("histograms are cumulative", () => {
+    const h = new Histogram("test_seconds", "Test histogram", [1, 5]);
+    h.observe({ mode: "create" }, 0.5);
+    h.observe({ mode: "create" }, 3);
+    h.observe({ mode: "create" }, 10);
+    const lines = h.render();
+    assert.ok(lines.includes('test_seconds_bucket{mode="create",le="1"} 1'));
+    assert.ok(lines.includes('test_seconds_bucket{mode="create",le="5"} 2'));
+    assert.ok(lines.includes('test_seconds_bucket{mode="create",le="+Inf"} 3'));
+    assert.ok(lines.includes('test_seconds_sum{mode="create"} 13.5'));
+    assert.ok(lines.includes('test_seconds_count{mode="create"} 3'));
+  });
+
+  it("escapes label values", () => {
+    const c = new Counter("test_escape_total", "Test escaping");
+    c.inc({ v: 'a"b\\c' });
+    assert.ok(c.render().includes('test_escape_total{v="a\\"b\\\\c"} 1'));
+  });
+
+  it("render includes registered pool metrics", () => {
+    const text = render();
+    assert.match(text, /# TYPE pool_claim_duration_seconds histogram/);
+    assert.match(text, /# TYPE railway_api_requests_total counter/);
+  });
+});
@@ -0,0 +1,98 @@
+import { readdirSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+
+// Numbered SQL migrations in src/db/migrations, named
+// <version>_<name>.up.sql and <version>_<name>.down.sql. Applied versions are
+// recorded in the schema_migrations table (see db/schemaMigrations.js).
+
+export const MIGRATIONS_DIR = new URL("./db/migrations/", import.meta.url).pathname;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Read every migration in dir, sorted by version.
+// Throws on stray files, duplicate versions or a missing up/down half.
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of readdirSync(dir).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) throw new Error(`Unexpected file in migrations directory: ${file}`);
+    const [, digits, name, direction] = match;
+    const version = parseInt(digits, 10);
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Duplicate migration version ${version}: ${migration.name} and ${name}`);
+    }
+    migration[direction] = readFileSync(join(dir, file), "utf8");
+    byVersion.set(version, migration);
+  }
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const m of migrations) {
+    if (m.up === undefined || m.down === undefined) {
+      throw new Error(`Migration ${m.version}_${m.name} needs both .up.sql and .down.sql`);
+    }
+  }
+  return migrations;
+}
+
+// Migrations not yet applied, oldest first.
+export function pending(migrations, appliedVersions) {
+  const applied = new Set(appliedVersions);
+  return migrations.filter((m) => !applied.has(m.version));
+}
+
+// The last `steps` applied migrations, newest first.
+export function toRevert(migrations, appliedVersions, steps = 1) {
+  const applied = new Set(appliedVersions);
+  return migrations
+    .filter((m) => applied.has(m.version))
+    .reverse()
+    .slice(0, steps);
+}
+
+// Split a SQL file into statements (the HTTP driver runs one statement per
+// query). Semicolons inside quotes, dollar-quoted bodies and comments don't
+// end a statement.
+export function splitStatements(text) {
+  const statements = [];
+  let current = "";
+  let i = 0;
+  // Index just past the first `close` at or after `from` (or the end of text).
+  const skipTo = (close, from) => {
+    const end = text.indexOf(close, from);
+    return end === -1 ? text.length : end + close.length;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    const tag = ch === "$" ? text.slice(i, i + 64).match(/^\$[A-Za-z_]*\$/)?.[0] : null;
+    let next;
+    if (text.startsWith("--", i)) {
+      i = skipTo("\n", i);
+      current += "\n";
+      continue;
+    }
+    if (text.startsWith("/*", i)) {
+      i = skipTo("*/", i + 2);
+      current += " ";
+      continue;
+    }
+    if (ch === ";") {
+      if (current.trim()) statements.push(current.trim());
+      current = "";
+      i++;
+      continue;
+    }
+    if (ch === "'" || ch === '"') {
+      // A doubled quote ('it''s') reads as two adjacent strings, which is fine here
+      next = skipTo(ch, i + 1);
+    } else if (tag) {
+      next = skipTo(tag, i + tag.length);
+    } else {
+      next = i + 1;
+    }
+    current += text.slice(i, next);
+    i = next;
+  }
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
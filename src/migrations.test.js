@@ -0,0 +1,115 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { loadMigrations, pending, toRevert, splitStatements } from "./migrations.js";
+
+describe("splitStatements", () => {
+  it("splits on semicolons", () => {
+    assert.deepEqual(splitStatements("CREATE TABLE a (id INT);\nDROP TABLE b;\n"), [
+      "CREATE TABLE a (id INT)",
+      "DROP TABLE b",
+    ]);
+  });
+
+  it("keeps semicolons inside strings, dollar quotes and comments", () => {
+    const sql = `
+      -- first; comment
+      INSERT INTO t VALUES ('a;b');
+      DO $$ BEGIN PERFORM 1; END $$;
+      /* block; comment */ SELECT $tag$ x; $tag$
+    `;
+    const statements = splitStatements(sql);
+    assert.equal(statements.length, 3);
+    assert.equal(statements[0], "INSERT INTO t VALUES ('a;b')");
+    assert.equal(statements[1], "DO $$ BEGIN PERFORM 1; END $$");
+    assert.equal(statements[2], "SELECT $tag$ x; $tag$");
+  });
+
+  it("does not treat positional parameters as dollar quotes", () => {
+    assert.deepEqual(splitStatements("SELECT $1; SELECT 2"), ["SELECT $1", "SELECT 2"]);
+  });
+
+  it("splits every bundled migration into non-empty statements", () => {
+    for (const m of loadMigrations()) {
+      assert.ok(splitStatements(m.up).length > 0, `${m.name} up`);
+      assert.ok(splitStatements(m.down).length > 0, `${m.name} down`);
+    }
+  });
+});
+
+describe("loadMigrations", () => {
+  const dirs = [];
+  after(() => dirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })));
+
+  // A fresh migrations directory containing `files`.
+  function write(files) {
+    const dir = mkdtempSync(join(tmpdir(), "migrations-"));
+    dirs.push(dir);
+    for (const [name, body] of Object.entries(files)) writeFileSync(join(dir, name), body);
+    return dir;
+  }
+
+  it("loads pairs sorted by version", () => {
+    const dir = write({
+      "0010_b.up.sql": "B",
+      "0010_b.down.sql": "-B",
+      "0002_a.up.sql": "A",
+      "0002_a.down.sql": "-A",
+    });
+    const migrations = loadMigrations(dir);
+    assert.deepEqual(
+      migrations.map((m) => [m.version, m.name, m.up, m.down]),
+      [
+        [2, "a", "A", "-A"],
+        [10, "b", "B", "-B"],
+      ]
+    );
+  });
+
+  it("rejects a missing down file", () => {
+    assert.throws(() => loadMigrations(write({ "0001_a.up.sql": "A" })), /needs both/);
+  });
+
+  it("rejects duplicate versions", () => {
+    const dir = write({ "0001_a.up.sql": "", "0001_a.down.sql": "", "0001_b.up.sql": "", "0001_b.down.sql": "" });
+    assert.throws(() => loadMigrations(dir), /Duplicate migration version 1/);
+  });
+
+  it("rejects stray files", () => {
+    assert.throws(() => loadMigrations(write({ "notes.txt": "" })), /Unexpected file/);
+  });
+
+  it("bundled migrations load and are numbered from 1 without gaps", () => {
+    const versions = loadMigrations().map((m) => m.version);
+    assert.deepEqual(
+      versions,
+      versions.map((_, i) => i + 1)
+    );
+  });
+});
+
+describe("pending / toRevert", () => {
+  const migrations = [1, 2, 3].map((version) => ({ version, name: `m${version}`, up: "", down: "" }));
+
+  it("lists unapplied migrations oldest first", () => {
+    assert.deepEqual(
+      pending(migrations, [1]).map((m) => m.version),
+      [2, 3]
+    );
+    assert.deepEqual(pending(migrations, [1, 2, 3]), []);
+  });
+
+  it("reverts the newest applied migrations first", () => {
+    assert.deepEqual(
+      toRevert(migrations, [1, 2, 3], 2).map((m) => m.version),
+      [3, 2]
+    );
+    assert.deepEqual(
+      toRevert(migrations, [1, 2], 5).map((m) => m.version),
+      [2, 1]
+    );
+    assert.deepEqual(toRevert(migrations, [], 1), []);
+  });
+});
@@ -0,0 +1,64 @@
+import { createLogger } from "./logger.js";
+
+// OpenClaw builds. Every instance fetches OPENCLAW_GIT_REPO at a commit when
+// it's built (agent/Dockerfile): the manager resolves its pool's git ref to a
+// commit through the GitHub API when creating it, and records that commit to
+// tell which instances are outdated. Refs are resolved at most once per
+// REF_CACHE_MS.
+
+const REPO = process.env.OPENCLAW_GIT_REPO || "https://github.com/xmtplabs/openclaw.git";
+const REF_CACHE_MS = parseInt(process.env.OPENCLAW_REF_CACHE_MS || String(5 * 60 * 1000), 10);
+
+const log = createLogger("openclaw");
+
+// "https://github.com/owner/repo.git" or "git@github.com:owner/repo" → "owner/repo"
+export function repoSlug(url) {
+  const match = url.match(/github\.com[/:]([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+// Commits match when one is a prefix of the other, so short SHAs work.
+export function sameCommit(a, b) {
+  if (!a || !b) return false;
+  const [x, y] = [a.toLowerCase(), b.toLowerCase()];
+  return x.startsWith(y) || y.startsWith(x);
+}
+
+/** @type {Map<string, {commit: string|null, resolvedAt: number}>} */
+const resolved = new Map();
+
+// The commit a git ref points at, or null if GitHub can't be reached (the
+// last known commit is kept). Full SHAs are returned as they are.
+export async function resolveRef(ref) {
+  if (/^[0-9a-f]{40}$/i.test(ref)) return ref.toLowerCase();
+  const cached = resolved.get(ref);
+  if (cached && Date.now() - cached.resolvedAt < REF_CACHE_MS) return cached.commit;
+
+  const slug = repoSlug(REPO);
+  if (!slug) {
+    log.warn("OPENCLAW_GIT_REPO is not a GitHub repository; can't resolve refs", { repo: REPO });
+    return null;
+  }
+  const headers = { Accept: "application/vnd.github.v3+json" };
+  if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  const api = process.env.GITHUB_API_URL || "https://api.github.com";
+  try {
+    const res = await fetch(`${api}/repos/${slug}/commits/${encodeURIComponent(ref)}`, {
+      headers,
+      signal: AbortSignal.timeout(10_000),
+    });
+    if (!res.ok) throw new Error(`GitHub API ${res.status}`);
+    const { sha } = await res.json();
+    if (cached?.commit !== sha) log.info("Resolved OpenClaw ref", { ref, commit: sha });
+    resolved.set(ref, { commit: sha, resolvedAt: Date.now() });
+    return sha;
+  } catch (err) {
+    log.warn("Failed to resolve OpenClaw ref", { ref, err });
+    return cached?.commit ?? null;
+  }
+}
+
+// Forget resolved refs (tests).
+export function reset() {
+  resolved.clear();
+}
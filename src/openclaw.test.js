@@ -0,0 +1,63 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "error";
+process.env.OPENCLAW_GIT_REPO = "https://github.com/xmtplabs/openclaw.git";
+process.env.GITHUB_TOKEN = "gh-token";
+
+const openclaw = await import("./openclaw.js");
+const { startFakeGitHub } = await import("./fakes/github.js");
+
+const SHA = "0123456789abcdef0123456789abcdef01234567";
+
+describe("openclaw", () => {
+  it("parses GitHub repository URLs", () => {
+    assert.equal(openclaw.repoSlug("https://github.com/xmtplabs/openclaw.git"), "xmtplabs/openclaw");
+    assert.equal(openclaw.repoSlug("https://github.com/xmtplabs/openclaw"), "xmtplabs/openclaw");
+    assert.equal(openclaw.repoSlug("git@github.com:xmtplabs/openclaw.git"), "xmtplabs/openclaw");
+    assert.equal(openclaw.repoSlug("https://gitlab.com/xmtplabs/openclaw.git"), null);
+  });
+
+  it("matches commits by prefix", () => {
+    assert.equal(openclaw.sameCommit(SHA, "0123456"), true);
+    assert.equal(openclaw.sameCommit("0123456", SHA.toUpperCase()), true);
+    assert.equal(openclaw.sameCommit(SHA, "fedcba9"), false);
+    assert.equal(openclaw.sameCommit(SHA, null), false);
+  });
+
+  describe("resolveRef", () => {
+    let github;
+
+    before(async () => {
+      github = await startFakeGitHub();
+      process.env.GITHUB_API_URL = github.url;
+    });
+
+    after(() => github.close());
+
+    beforeEach(() => {
+      openclaw.reset();
+      github.refs.clear();
+      github.requests.length = 0;
+      github.down = false;
+    });
+
+    it("asks GitHub for the commit a ref points at, once per cache period", async () => {
+      github.refs.set("staging", SHA);
+      assert.equal(await openclaw.resolveRef("staging"), SHA);
+      assert.equal(await openclaw.resolveRef("staging"), SHA);
+      assert.deepEqual(github.requests, [{ repo: "xmtplabs/openclaw", ref: "staging", auth: "Bearer gh-token" }]);
+    });
+
+    it("takes full SHAs as they are", async () => {
+      assert.equal(await openclaw.resolveRef(SHA.toUpperCase()), SHA);
+      assert.equal(github.requests.length, 0);
+    });
+
+    it("returns null for refs GitHub can't resolve", async () => {
+      assert.equal(await openclaw.resolveRef("no-such-branch"), null);
+      github.down = true;
+      assert.equal(await openclaw.resolveRef("staging"), null);
+    });
+  });
+});
@@ -1,103 +1,180 @@
+import { randomBytes } from "node:crypto";
 import { nanoid } from "nanoid";
-import * as db from "./db/pool.js";
-import * as railway from "./railway.js";
+import { metadata as db } from "./db/store.js";
+import { provider } from "./providers/index.js";
 import * as cache from "./cache.js";
+import * as pools from "./pools.js";
+import * as poolConfig from "./poolConfig.js";
+import { scheduledMinIdle } from "./schedule.js";
+import * as demand from "./demand.js";
+import * as claimQueue from "./claimQueue.js";
+import * as events from "./events.js";
+import * as metrics from "./metrics.js";
+import * as audit from "./audit.js";
+import { createLogger, withContext } from "./logger.js";
 import { deriveStatus } from "./status.js";
+import { expiryOf } from "./expiry.js";
+import * as openclaw from "./openclaw.js";
+import * as registry from "./registry.js";
 
-const POOL_API_KEY = process.env.POOL_API_KEY;
-const MIN_IDLE = parseInt(process.env.POOL_MIN_IDLE || "3", 10);
-const MAX_TOTAL = parseInt(process.env.POOL_MAX_TOTAL || "10", 10);
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.POOL_IDEMPOTENCY_TTL_MS || String(24 * 60 * 60 * 1000), 10);
 
-const IS_PRODUCTION = (process.env.POOL_ENVIRONMENT || "staging") === "production";
+// How long before a claimed agent expires to emit instance.expiring
+const EXPIRY_WARNING_MS = parseInt(process.env.POOL_EXPIRY_WARNING_MS || String(10 * 60 * 1000), 10);
 
-function instanceEnvVars() {
+// Times an instance can be released back to the pool before it's replaced
+const RECYCLE_LIMIT = parseInt(process.env.POOL_RECYCLE_LIMIT || "5", 10);
+
+// Most surplus idle instances drained per pool per tick after its target drops
+const TRIM_PER_TICK = parseInt(process.env.POOL_TRIM_PER_TICK || "1", 10);
+
+// Most outdated idle instances replaced per pool per tick (0 turns rollouts off)
+const ROLLOUT_PER_TICK = parseInt(process.env.POOL_ROLLOUT_PER_TICK || "1", 10);
+
+// Why an agent's metadata row was retired (agent_metadata.termination_reason).
+export const TERMINATION_REASONS = ["killed", "dismissed", "crashed", "expired", "released", "upgraded"];
+
+const log = createLogger("pool");
+const tickLog = createLogger("tick");
+
+// Each instance gets its own gateway token so a compromised agent can't call
+// other agents or the pool manager's API. The pool's env vars override the
+// instance defaults from the pool config. `gitRef` is what the instance builds
+// OpenClaw from: the commit the pool's ref was resolved to, if it could be.
+function instanceEnvVars(def, gatewayToken, gitRef = def.gitRef) {
   return {
     ANTHROPIC_API_KEY: process.env.INSTANCE_ANTHROPIC_API_KEY || "",
-    XMTP_ENV: process.env.INSTANCE_XMTP_ENV || "dev",
-    GATEWAY_AUTH_TOKEN: POOL_API_KEY,
-    OPENCLAW_GIT_REF: process.env.OPENCLAW_GIT_REF || (IS_PRODUCTION ? "main" : "staging"),
+    OPENCLAW_GIT_REF: gitRef,
+    ...poolConfig.get().instanceEnv,
+    ...def.env,
+    GATEWAY_AUTH_TOKEN: gatewayToken,
+    POOL_NAME: def.name,
     PORT: "8080",
   };
 }
 
+// XMTP network for conversations created by a pool's agents.
+function xmtpEnv(poolName) {
+  return pools.get(poolName)?.env.XMTP_ENV || poolConfig.get().instanceEnv.XMTP_ENV || "dev";
+}
+
 // Health-check a single instance via /convos/status.
 // Returns parsed JSON on success, null on failure.
-async function healthCheck(url) {
+async function healthCheck(url, token) {
   try {
     const res = await fetch(`${url}/convos/status`, {
-      headers: { Authorization: `Bearer ${POOL_API_KEY}` },
+      headers: { Authorization: `Bearer ${token}` },
       signal: AbortSignal.timeout(5000),
     });
-    if (!res.ok) return null;
-    return await res.json();
+    if (!res.ok) {
+      metrics.healthChecks.inc({ result: "failure" });
+      return null;
+    }
+    const body = await res.json();
+    metrics.healthChecks.inc({ result: "success" });
+    return body;
   } catch {
+    metrics.healthChecks.inc({ result: "failure" });
     return null;
   }
 }
 
-// Resolve a Railway service's public URL from its domain.
+// Resolve an instance's public URL.
 async function getServiceUrl(serviceId) {
   try {
-    const domain = await railway.getServiceDomain(serviceId);
-    return domain ? `https://${domain}` : null;
+    return await provider.getUrl(serviceId);
   } catch {
     return null;
   }
 }
 
-// Create a single new Railway service (no DB write).
-export async function createInstance() {
-  const id = nanoid(12);
-  const name = `convos-agent-${id}`;
+// Read an instance's gateway token and OpenClaw commit back from its
+// environment (needed after a manager restart, when the cache is empty). The
+// commit is only known when the instance was built from a resolved SHA.
+async function getInstanceVars(serviceId) {
+  const vars = await provider.getEnv(serviceId);
+  const gitRef = vars?.OPENCLAW_GIT_REF || "";
+  return {
+    token: vars?.GATEWAY_AUTH_TOKEN || null,
+    commit: /^[0-9a-f]{40}$/.test(gitRef) ? gitRef : null,
+  };
+}
 
-  console.log(`[pool] Creating instance ${name}...`);
+// Create a single new instance in the named pool on the compute provider (no DB write).
+export async function createInstance(poolName = pools.DEFAULT_POOL) {
+  const def = pools.get(poolName);
+  if (!def) throw new Error(`Unknown pool ${poolName}`);
+  const id = nanoid(12);
+  const name = `${def.namePrefix}${id}`;
 
-  const serviceId = await railway.createService(name, instanceEnvVars());
-  console.log(`[pool]   Railway service created: ${serviceId}`);
+  log.info("Creating instance", { instanceId: id, name, pool: def.name });
 
-  const domain = await railway.createDomain(serviceId);
-  const url = `https://${domain}`;
-  console.log(`[pool]   Domain: ${url}`);
+  const gatewayToken = randomBytes(32).toString("base64url");
+  // Pre-built images are deployed pinned to the digest their tag points at now
+  // (or by tag when the registry can't be reached)
+  const imageDigest = def.image ? await registry.resolveDigest(def.image) : null;
+  const image = imageDigest ? registry.pin(def.image, imageDigest) : def.image;
+  // Source builds are pinned to the commit the pool's ref points at now, which
+  // is recorded as the instance's build. If GitHub can't be reached the
+  // instance builds the ref itself and its commit stays unknown.
+  const commit = def.image ? null : await openclaw.resolveRef(def.gitRef);
+  const env = instanceEnvVars(def, gatewayToken, commit || def.gitRef);
+  const { id: serviceId, url } = await provider.createInstance(name, env, { image });
+  log.info("Instance created", {
+    instanceId: id,
+    serviceId,
+    url,
+    provider: provider.name,
+    ...(image ? { image } : { gitRef: def.gitRef, commit }),
+  });
 
   // Add to cache immediately as starting
   cache.set(serviceId, {
     serviceId,
     id,
+    pool: def.name,
     name,
     url,
     status: "starting",
     createdAt: new Date().toISOString(),
     deployStatus: "BUILDING",
+    commit,
+    imageDigest,
   });
+  cache.setToken(serviceId, gatewayToken);
+  events.emit("instance.created", { instanceId: id, serviceId, pool: def.name, name, url });
 
-  return { id, serviceId, url, name };
+  return { id, serviceId, pool: def.name, url, name };
 }
 
-// Unified tick: rebuild cache from Railway, health-check, replenish.
+// Unified tick: rebuild cache from the provider, health-check, replenish.
 export async function tick() {
-  const myEnvId = process.env.RAILWAY_ENVIRONMENT_ID;
-  if (!myEnvId) {
-    console.warn(`[tick] RAILWAY_ENVIRONMENT_ID not set, skipping tick`);
-    return;
+  const started = performance.now();
+  try {
+    await withContext({ tickId: nanoid(8) }, runTick);
+  } finally {
+    metrics.tickDuration.observe({}, metrics.secondsSince(started));
   }
+}
 
-  const allServices = await railway.listProjectServices();
+async function runTick() {
+  // Pick up settings changed through /api/pool/config
+  const config = await poolConfig.load();
+  const allServices = await provider.listInstances();
 
   if (allServices === null) {
-    console.warn(`[tick] listProjectServices failed, skipping tick`);
+    tickLog.warn("listInstances failed, skipping tick", { provider: provider.name });
     return;
   }
 
-  // Filter to agent services in our environment
+  // Filter to agent services of a configured pool (the provider already
+  // scoped them to our environment)
   const agentServices = allServices.filter(
-    (s) =>
-      s.name.startsWith("convos-agent-") &&
-      s.name !== "convos-agent-pool-manager" &&
-      s.environmentIds.includes(myEnvId)
+    (s) => pools.forServiceName(s.name) && s.name !== "convos-agent-pool-manager"
   );
 
   // Load metadata rows for enrichment
-  const metadataRows = await db.listAll();
+  const metadataRows = await db.listActive();
   const metadataByServiceId = new Map(metadataRows.map((r) => [r.railway_service_id, r]));
 
   // Health-check all SUCCESS services in parallel
@@ -129,15 +206,35 @@ export async function tick() {
     }
   }
 
+  // Fetch gateway tokens (and build commits) for services we don't have one for yet
+  const needTokens = successServices.filter((s) => !cache.getToken(s.id));
+  const envCommits = new Map();
+  if (needTokens.length > 0) {
+    const tokenResults = await Promise.allSettled(
+      needTokens.map(async (svc) => {
+        const vars = await getInstanceVars(svc.id);
+        return { id: svc.id, ...vars };
+      })
+    );
+    for (const r of tokenResults) {
+      if (r.status === "fulfilled" && r.value.token) {
+        cache.setToken(r.value.id, r.value.token);
+      }
+      if (r.status === "fulfilled" && r.value.commit) {
+        envCommits.set(r.value.id, r.value.commit);
+      }
+    }
+  }
+
   // Health-check SUCCESS services in parallel
   const healthResults = new Map();
   const toCheck = successServices.filter(
-    (s) => urlMap.has(s.id) && !cache.isBeingClaimed(s.id)
+    (s) => urlMap.has(s.id) && cache.getToken(s.id) && !cache.isBeingClaimed(s.id)
   );
 
   const checks = await Promise.allSettled(
     toCheck.map(async (svc) => {
-      const result = await healthCheck(urlMap.get(svc.id));
+      const result = await healthCheck(urlMap.get(svc.id), cache.getToken(svc.id));
       return { id: svc.id, result };
     })
   );
@@ -155,21 +252,39 @@ export async function tick() {
     if (cache.isBeingClaimed(svc.id)) continue;
 
     const hc = healthResults.get(svc.id) || null;
+    const previous = cache.get(svc.id);
     const status = deriveStatus({
       deployStatus: svc.deployStatus,
       healthCheck: hc,
       createdAt: svc.createdAt,
+      resetAt: previous?.resetAt,
+      stuckTimeoutMs: config.stuckTimeoutMs,
     });
 
     const metadata = metadataByServiceId.get(svc.id);
-    const url = urlMap.get(svc.id) || cache.get(svc.id)?.url || null;
+    const url = urlMap.get(svc.id) || previous?.url || null;
+    // Claimed services are renamed, so trust the metadata over the name
+    const poolName = metadata?.pool || previous?.pool || pools.forServiceName(svc.name).name;
 
     if (status === "dead" || status === "sleeping") {
       if (metadata) {
+        if (previous && previous.status !== "crashed") {
+          await audit.record(null, "instance.crashed", {
+            instanceId: metadata.id,
+            payload: { serviceId: svc.id, agentName: metadata.agent_name, deployStatus: svc.deployStatus },
+          });
+          events.emit("instance.crashed", {
+            instanceId: metadata.id,
+            serviceId: svc.id,
+            agentName: metadata.agent_name,
+            deployStatus: svc.deployStatus,
+          });
+        }
         // Was claimed — mark as crashed in cache for dashboard
         cache.set(svc.id, {
           serviceId: svc.id,
           id: metadata.id,
+          pool: poolName,
           name: svc.name,
           url,
           status: "crashed",
@@ -192,12 +307,16 @@ export async function tick() {
     // Build cache entry
     const entry = {
       serviceId: svc.id,
-      id: metadata?.id || svc.name.replace("convos-agent-", ""),
+      id: metadata?.id || svc.name.slice(pools.forServiceName(svc.name).namePrefix.length),
+      pool: poolName,
       name: svc.name,
       url,
       status,
       createdAt: svc.createdAt,
       deployStatus: svc.deployStatus,
+      // OpenClaw build, as recorded when the instance was created
+      commit: previous?.commit || envCommits.get(svc.id) || metadata?.openclaw_commit || null,
+      imageDigest: registry.pinnedDigest(svc.image) || previous?.imageDigest || metadata?.image_digest || null,
     };
 
     // Enrich with metadata
@@ -207,65 +326,439 @@ export async function tick() {
       entry.inviteUrl = metadata.invite_url;
       entry.conversationId = metadata.conversation_id;
       entry.claimedAt = metadata.claimed_at;
+      entry.expiresAt = metadata.expires_at || null;
+    }
+    if (status === "resetting") entry.resetAt = previous?.resetAt || new Date().toISOString();
+    if (status === "claimed") {
+      // Keep the last known activity through failed health checks. Agents
+      // that don't report lastMessageAt at all keep it undefined, which
+      // exempts them from the inactivity timeout (see expiryOf()).
+      const reportsActivity = hc ? "lastMessageAt" in hc : previous?.lastMessageAt !== undefined;
+      entry.lastMessageAt = reportsActivity ? hc?.lastMessageAt || previous?.lastMessageAt || null : undefined;
+      if (hc && !reportsActivity && config.inactivityTimeoutMs > 0 && !activityUnreported.has(entry.id)) {
+        activityUnreported.add(entry.id);
+        tickLog.warn("Agent doesn't report lastMessageAt, skipping its inactivity timeout", {
+          instanceId: entry.id,
+          serviceId: svc.id,
+        });
+      }
+      entry.expiry = expiryOf(entry, config);
     }
 
     cache.set(svc.id, entry);
+
+    // Only report transitions we saw happen (not everything after a restart)
+    if (status === "idle" && previous && previous.status !== "idle") {
+      if (previous.status === "starting") {
+        const warmupMs = Date.now() - new Date(svc.createdAt).getTime();
+        metrics.timeToIdle.observe({}, warmupMs / 1000);
+        demand.recordWarmup(poolName, warmupMs);
+      }
+      events.emit("instance.idle", { instanceId: entry.id, serviceId: svc.id, name: svc.name, url });
+    }
   }
 
-  // Remove cache entries for services no longer in Railway
-  const railwayServiceIds = new Set(agentServices.map((s) => s.id));
+  // Remove cache entries for services the provider no longer has
+  const liveServiceIds = new Set(agentServices.map((s) => s.id));
   for (const inst of cache.getAll()) {
-    if (!railwayServiceIds.has(inst.serviceId) && !cache.isBeingClaimed(inst.serviceId)) {
+    if (!liveServiceIds.has(inst.serviceId) && !cache.isBeingClaimed(inst.serviceId)) {
       cache.remove(inst.serviceId);
     }
   }
 
-  // Delete dead services from Railway
+  // Claimed agents whose service vanished outside the pool manager go to
+  // history. Checked against every service the provider has, not just the
+  // configured pools', so agents of a removed or renamed pool aren't archived
+  // while their services keep running.
+  const providerServiceIds = new Set(allServices.map((s) => s.id));
+  for (const row of metadataRows) {
+    if (providerServiceIds.has(row.railway_service_id)) continue;
+    try {
+      await db.terminateByServiceId(row.railway_service_id, "crashed");
+      tickLog.info("Archived agent whose service is gone", { instanceId: row.id, serviceId: row.railway_service_id });
+    } catch (err) {
+      tickLog.warn("Failed to archive orphaned metadata", { instanceId: row.id, err });
+    }
+  }
+
+  await reapExpired();
+
+  // Hand newly idle instances to queued claims
+  const served = claimQueue.fulfill((poolName) => {
+    const inst = cache.findClaimable(poolName);
+    if (inst) cache.startClaim(inst.serviceId);
+    return inst;
+  });
+  if (served > 0) tickLog.info("Handed instances to queued claims", { served });
+
+  // Delete dead services from the provider
   for (const svc of toDelete) {
     try {
-      await railway.deleteService(svc.id);
-      console.log(`[tick] Deleted dead service ${svc.id} (${svc.name})`);
+      await provider.deleteInstance(svc.id);
+      tickLog.info("Deleted dead service", { serviceId: svc.id, name: svc.name });
+      await audit.record(null, "instance.delete_dead", {
+        payload: { serviceId: svc.id, name: svc.name, deployStatus: svc.deployStatus },
+      });
     } catch (err) {
-      console.warn(`[tick] Failed to delete ${svc.id}: ${err.message}`);
+      tickLog.warn("Failed to delete dead service", { serviceId: svc.id, err });
+      await audit.record(null, "instance.delete_dead", { payload: { serviceId: svc.id, name: svc.name }, error: err });
     }
   }
 
-  // Replenish
-  const counts = cache.getCounts();
-  const total = counts.starting + counts.idle + counts.claimed;
-  const deficit = MIN_IDLE - (counts.idle + counts.starting);
+  // Replenish (or trim) each pool separately
+  for (const target of targets()) {
+    const def = pools.get(target.pool);
+    trackTarget(target);
+    await replenish(def, target);
+    await trimSurplus(def);
+    await rollOut(def, target);
+  }
+}
 
-  console.log(
-    `[tick] ${counts.idle} idle, ${counts.starting} starting, ${counts.claimed} claimed, ${counts.crashed || 0} crashed (total: ${total})`
-  );
+// Expiry times already warned about, by instance ID
+/** @type {Map<string, string>} */
+const expiryWarned = new Map();
+// Claimed agents already logged as not reporting lastMessageAt, by instance ID
+/** @type {Set<string>} */
+const activityUnreported = new Set();
 
-  if (deficit > 0) {
-    const canCreate = Math.min(deficit, MAX_TOTAL - total);
-    if (canCreate > 0) {
-      console.log(`[tick] Creating ${canCreate} new instance(s)...`);
-      for (let i = 0; i < canCreate; i++) {
-        try {
-          await createInstance();
-        } catch (err) {
-          console.error(`[tick] Failed to create instance:`, err);
-        }
-      }
+// Warn about claimed agents nearing their expiry (once per deadline) and tear
+// down the ones past it.
+async function reapExpired() {
+  const now = Date.now();
+  const claimed = cache.getByStatus("claimed").filter((i) => !cache.isBeingClaimed(i.serviceId));
+  for (const id of expiryWarned.keys()) {
+    if (!claimed.some((i) => i.id === id)) expiryWarned.delete(id);
+  }
+  for (const id of activityUnreported) {
+    if (!claimed.some((i) => i.id === id)) activityUnreported.delete(id);
+  }
+  for (const inst of claimed) {
+    if (!inst.expiry) continue;
+    const left = new Date(inst.expiry.at).getTime() - now;
+    if (left <= 0) {
+      await expireInstance(inst);
+    } else if (left <= EXPIRY_WARNING_MS && expiryWarned.get(inst.id) !== inst.expiry.at) {
+      expiryWarned.set(inst.id, inst.expiry.at);
+      tickLog.info("Agent expiring soon", { instanceId: inst.id, ...inst.expiry });
+      events.emit("instance.expiring", {
+        instanceId: inst.id,
+        serviceId: inst.serviceId,
+        agentName: inst.agentName || null,
+        expiresAt: inst.expiry.at,
+        cause: inst.expiry.cause,
+      });
+    }
+  }
+}
+
+async function expireInstance(inst) {
+  const { at, cause } = inst.expiry;
+  log.child({ instanceId: inst.id, serviceId: inst.serviceId }).info("Expiring agent", { agentName: inst.agentName, cause });
+  await teardown(inst, "expired");
+  expiryWarned.delete(inst.id);
+  await audit.record(null, "instance.expire", {
+    instanceId: inst.id,
+    payload: { serviceId: inst.serviceId, agentName: inst.agentName, claimedAt: inst.claimedAt, expiresAt: at, cause },
+  });
+  events.emit("instance.expired", {
+    instanceId: inst.id,
+    serviceId: inst.serviceId,
+    agentName: inst.agentName || null,
+    expiresAt: at,
+    cause,
+  });
+}
+
+// Each pool's sizing at `date`: its configured minIdle, or the minIdle of the
+// schedule window open at that time, raised to cover the claims expected
+// while a new instance warms up (see demand.js), and capped at maxTotal.
+// Demand is always the current rate, whatever the date.
+export function targets(date = new Date()) {
+  const config = poolConfig.get();
+  return pools.list().map((def) => {
+    const { minIdle: baseMinIdle, maxTotal } = config.pools[def.name];
+    const { minIdle: scheduled, schedule } = scheduledMinIdle(config.schedules, def.name, baseMinIdle, date);
+    const poolDemand = demand.forPool(def.name);
+    const predicted = demand.ENABLED ? poolDemand.expectedClaims : 0;
+    const minIdle = Math.min(Math.max(scheduled, predicted), maxTotal);
+    return { pool: def.name, minIdle, maxTotal, baseMinIdle, scheduledMinIdle: scheduled, schedule, demand: poolDemand };
+  });
+}
+
+// minIdle per pool at the last tick, and pools whose minIdle dropped since,
+// mapped to the level to trim their idle instances down to.
+/** @type {Map<string, number>} */
+const lastMinIdle = new Map();
+/** @type {Map<string, number>} */
+const trimTo = new Map();
+
+function trackTarget({ pool, minIdle }) {
+  const previous = lastMinIdle.get(pool);
+  lastMinIdle.set(pool, minIdle);
+  if (previous !== undefined && minIdle < previous) {
+    trimTo.set(pool, minIdle);
+  } else if (minIdle > (trimTo.get(pool) ?? Infinity)) {
+    trimTo.delete(pool);
+  }
+}
+
+// After a pool's target drops (e.g. a schedule window closes), drain its
+// surplus idle instances a few per tick. Stops once it's down to the target,
+// so instances added by hand later are left alone.
+async function trimSurplus(def) {
+  if (!trimTo.has(def.name)) return;
+  const surplus = claimableIdle(def.name).length - trimTo.get(def.name);
+  if (surplus <= 0) {
+    trimTo.delete(def.name);
+    return;
+  }
+  const count = Math.min(surplus, TRIM_PER_TICK);
+  tickLog.info("Trimming surplus idle instances", { pool: def.name, surplus, count });
+  const drained = await drainPool(count, def.name);
+  await audit.record(null, "drain", { payload: { pool: def.name, requested: count, drained, reason: "target_lowered" } });
+}
+
+// Pools whose last tick was held back by maxTotal, mapped to the deficit and
+// total it was held at, so pool.deficit_unfilled only fires when that changes.
+/** @type {Map<string, {deficit: number, total: number}>} */
+const capped = new Map();
+
+// Create instances until the pool has minIdle idle-or-starting instances
+// (plus one per queued claim), without going over its maxTotal.
+async function replenish(def, { minIdle, maxTotal }) {
+  const plog = tickLog.child({ pool: def.name });
+  const counts = cache.getCounts(def.name);
+  const total = counts.starting + counts.resetting + counts.idle + counts.claimed;
+  // Queued claims are demand on top of minIdle; resetting instances will be idle soon
+  const queued = claimQueue.size(def.name);
+  const deficit = minIdle + queued - (counts.idle + counts.starting + counts.resetting);
+
+  plog.info("Pool status", { ...counts, queued, total });
+
+  const canCreate = Math.min(deficit, maxTotal - total);
+  if (deficit <= 0 || canCreate >= deficit) {
+    capped.delete(def.name);
+    if (deficit <= 0) return;
+  } else {
+    const last = capped.get(def.name);
+    if (last?.deficit !== deficit || last?.total !== total) {
+      capped.set(def.name, { deficit, total });
+      plog.warn("Deficit capped by maxTotal", { deficit, creating: Math.max(canCreate, 0), maxTotal });
+      events.emit("pool.deficit_unfilled", {
+        pool: def.name,
+        deficit,
+        creating: Math.max(canCreate, 0),
+        total,
+        maxTotal,
+        queued,
+      });
+    }
+  }
+  if (canCreate <= 0) return;
+  plog.info("Creating new instances", { count: canCreate });
+  for (let i = 0; i < canCreate; i++) {
+    try {
+      const inst = await createInstance(def.name);
+      await audit.record(null, "instance.create", {
+        instanceId: inst.id,
+        payload: { serviceId: inst.serviceId, name: inst.name, pool: def.name },
+      });
+    } catch (err) {
+      plog.error("Failed to create instance", { err });
+      await audit.record(null, "instance.create", { payload: { pool: def.name }, error: err });
+    }
+  }
+}
+
+// What a pool's instances should run: for a pre-built image, the digest its
+// tag points at; otherwise the OpenClaw commit its git ref points at. `field`
+// is the cache entry field to compare; `value` is null when the tag or ref
+// can't be resolved.
+async function currentBuild(def) {
+  if (def.image) {
+    const digest = await registry.resolveDigest(def.image);
+    return { field: "imageDigest", value: digest, matches: (actual) => Boolean(actual) && actual === digest };
+  }
+  const commit = await openclaw.resolveRef(def.gitRef);
+  return { field: "commit", value: commit, matches: (actual) => openclaw.sameCommit(actual, commit) };
+}
+
+// Replace a pool's idle instances that run an older build than the pool's
+// current one (see currentBuild()), ROLLOUT_PER_TICK at a time. Outdated
+// instances are only deleted while the pool keeps minIdle idle ones;
+// otherwise replacements are created first, within maxTotal. Instances whose
+// build isn't known are left alone.
+async function rollOut(def, { minIdle, maxTotal }) {
+  if (ROLLOUT_PER_TICK <= 0) return;
+  const idle = cache.getByStatus("idle").filter((i) => i.pool === def.name && !cache.isBeingClaimed(i.serviceId));
+  const field = def.image ? "imageDigest" : "commit";
+  if (!idle.some((i) => i[field])) return;
+  const build = await currentBuild(def);
+  if (!build.value) return;
+  const outdated = idle.filter((i) => i[field] && !build.matches(i[field]));
+  if (outdated.length === 0) return;
+
+  const plog = tickLog.child({ pool: def.name });
+  const counts = cache.getCounts(def.name);
+  const total = counts.starting + counts.resetting + counts.idle + counts.claimed;
+  const retire = outdated.slice(0, Math.max(Math.min(ROLLOUT_PER_TICK, idle.length - minIdle), 0));
+  const replacements = Math.min(outdated.length - retire.length, ROLLOUT_PER_TICK - counts.starting, maxTotal - total);
+  plog.info("Rolling out new build", {
+    [field]: build.value,
+    outdated: outdated.length,
+    retiring: retire.length,
+    creating: Math.max(replacements, 0),
+  });
+
+  for (const inst of retire) {
+    try {
+      await provider.deleteInstance(inst.serviceId);
+      cache.remove(inst.serviceId);
+      plog.info("Deleted outdated instance", { instanceId: inst.id, serviceId: inst.serviceId, [field]: inst[field] });
+      await audit.record(null, "instance.delete_outdated", {
+        instanceId: inst.id,
+        payload: { serviceId: inst.serviceId, name: inst.name, [field]: inst[field], target: build.value },
+      });
+      events.emit("instance.drained", { instanceId: inst.id, serviceId: inst.serviceId, name: inst.name, reason: "outdated" });
+    } catch (err) {
+      plog.warn("Failed to delete outdated instance", { instanceId: inst.id, serviceId: inst.serviceId, err });
+      await audit.record(null, "instance.delete_outdated", { instanceId: inst.id, payload: { serviceId: inst.serviceId }, error: err });
     }
   }
+  for (let i = 0; i < replacements; i++) {
+    try {
+      const inst = await createInstance(def.name);
+      await audit.record(null, "instance.create", {
+        instanceId: inst.id,
+        payload: { serviceId: inst.serviceId, name: inst.name, pool: def.name, reason: "rollout" },
+      });
+    } catch (err) {
+      plog.error("Failed to create instance", { err });
+      await audit.record(null, "instance.create", { payload: { pool: def.name, reason: "rollout" }, error: err });
+    }
+  }
+}
+
+// Which instances run their pool's current build: per pool, idle instances
+// that are current, outdated, or of an unknown build, and every claimed agent
+// on an outdated build (see upgradeAgent()). A pool's commit (or imageDigest,
+// for image pools) is null when it can't be resolved.
+export async function rolloutStatus() {
+  const report = { pools: [], outdatedClaimed: [] };
+  for (const def of pools.list()) {
+    const build = await currentBuild(def);
+    const instances = cache.getAll().filter((i) => i.pool === def.name);
+    const isCurrent = (i) => Boolean(build.value) && build.matches(i[build.field]);
+    const isOutdated = (i) => Boolean(build.value && i[build.field]) && !build.matches(i[build.field]);
+    const idle = instances.filter((i) => i.status === "idle");
+    report.pools.push({
+      pool: def.name,
+      gitRef: def.gitRef,
+      image: def.image,
+      commit: build.field === "commit" ? build.value : null,
+      imageDigest: build.field === "imageDigest" ? build.value : null,
+      idle: {
+        current: idle.filter(isCurrent).length,
+        outdated: idle.filter(isOutdated).length,
+        unknown: idle.filter((i) => !i[build.field]).length,
+      },
+    });
+    const targetKey = build.field === "commit" ? "targetCommit" : "targetImageDigest";
+    for (const inst of instances.filter((i) => i.status === "claimed" && isOutdated(i))) {
+      report.outdatedClaimed.push({
+        id: inst.id,
+        pool: def.name,
+        agentName: inst.agentName || null,
+        claimedAt: inst.claimedAt || null,
+        commit: inst.commit,
+        imageDigest: inst.imageDigest || null,
+        [targetKey]: build.value,
+      });
+    }
+  }
+  return report;
 }
 
+// In-flight claims by idempotency key, so a retry that arrives while the
+// first request is still provisioning waits for the same result.
+/** @type {Map<string, Promise<object|null>>} */
+const inflightClaims = new Map();
+
 // Claim an idle instance and provision it.
-export async function provision(agentName, instructions, joinUrl) {
-  const instance = cache.findClaimable();
-  if (!instance) return null;
+// With an idempotencyKey, a repeat within the retention window returns the
+// original result (marked replayed) instead of claiming another instance.
+// With waitMs, an empty pool queues the claim until tick() frees an instance.
+// With expiresAt, tick() tears the agent down at that time (see expiry.js).
+// With build (from currentBuild()), only an instance running it is claimed.
+// With internal, the claim moves an existing agent (see upgradeAgent()) and
+// isn't counted as demand for the pool.
+// onProgress(stage) is called with "provisioning" and "renaming" as the claim advances.
+export async function provision(
+  agentName,
+  instructions,
+  joinUrl,
+  {
+    pool = pools.DEFAULT_POOL,
+    idempotencyKey,
+    waitMs = 0,
+    expiresAt = null,
+    build = null,
+    internal = false,
+    signal,
+    onProgress = () => {},
+  } = {}
+) {
+  const wait = { pool, waitMs, expiresAt, build, signal, onProgress };
+  const claim = () => {
+    if (!internal) demand.recordClaim(pool);
+    return provisionInstance(agentName, instructions, joinUrl, wait, idempotencyKey || null);
+  };
+  if (!idempotencyKey) return claim();
+
+  const pending = inflightClaims.get(idempotencyKey);
+  if (pending) return pending.then((r) => r && { ...r, replayed: true });
+
+  const promise = (async () => {
+    const existing = await db.findByIdempotencyKey(idempotencyKey, IDEMPOTENCY_TTL_MS);
+    if (existing?.claim_response) {
+      log.info("Replaying claim for idempotency key", { instanceId: existing.id, serviceId: existing.railway_service_id });
+      return { ...existing.claim_response, replayed: true };
+    }
+    return claim();
+  })();
+  inflightClaims.set(idempotencyKey, promise);
+  try {
+    return await promise;
+  } finally {
+    inflightClaims.delete(idempotencyKey);
+  }
+}
+
+async function provisionInstance(agentName, instructions, joinUrl, { pool, waitMs, expiresAt, build, signal, onProgress }, idempotencyKey = null) {
+  let instance = cache.findClaimable(pool, build && ((i) => build.matches(i[build.field])));
+  if (instance) {
+    cache.startClaim(instance.serviceId);
+  } else if (waitMs > 0 && !build) {
+    // Queued instances arrive already marked as being claimed
+    log.info("No idle instance, queueing claim", { agentName, pool, waitMs });
+    instance = await claimQueue.enqueue({ agentName, pool, timeoutMs: waitMs, signal });
+  }
+  if (!instance) {
+    metrics.claimFailures.inc({ reason: "no_idle" });
+    return null;
+  }
 
-  cache.startClaim(instance.serviceId);
+  const started = performance.now();
+  const ilog = log.child({ instanceId: instance.id, serviceId: instance.serviceId });
+  let stage = "agent";
   try {
-    console.log(`[pool] Claiming ${instance.id} for "${agentName}"${joinUrl ? " (join)" : ""}`);
+    ilog.info("Claiming instance", { agentName, mode: joinUrl ? "join" : "create" });
+    onProgress("provisioning");
 
     const headers = {
       "Content-Type": "application/json",
-      Authorization: `Bearer ${POOL_API_KEY}`,
+      Authorization: `Bearer ${cache.getToken(instance.serviceId)}`,
     };
 
     let result;
@@ -277,7 +770,7 @@ export async function provision(agentName, instructions, joinUrl) {
         body: JSON.stringify({
           inviteUrl: joinUrl,
           profileName: agentName,
-          env: process.env.INSTANCE_XMTP_ENV || "dev",
+          env: xmtpEnv(instance.pool),
           instructions,
         }),
       });
@@ -295,7 +788,7 @@ export async function provision(agentName, instructions, joinUrl) {
         body: JSON.stringify({
           name: agentName,
           profileName: agentName,
-          env: process.env.INSTANCE_XMTP_ENV || "dev",
+          env: xmtpEnv(instance.pool),
           instructions,
         }),
       });
@@ -311,14 +804,29 @@ export async function provision(agentName, instructions, joinUrl) {
       throw new Error(`API returned unexpected format: missing conversationId`);
     }
 
+    const response = {
+      inviteUrl: result.inviteUrl || null,
+      conversationId: result.conversationId,
+      instanceId: instance.id,
+      joined: result.joined,
+      expiresAt,
+    };
+
     // Insert metadata row
+    stage = "db";
     await db.insertMetadata({
       id: instance.id,
       railwayServiceId: instance.serviceId,
+      pool: instance.pool,
       agentName,
       conversationId: result.conversationId,
       inviteUrl: result.inviteUrl || joinUrl || null,
       instructions,
+      idempotencyKey,
+      claimResponse: idempotencyKey ? response : null,
+      expiresAt,
+      openclawCommit: instance.commit,
+      imageDigest: instance.imageDigest,
     });
 
     // Update cache
@@ -330,77 +838,336 @@ export async function provision(agentName, instructions, joinUrl) {
       inviteUrl: result.inviteUrl || joinUrl || null,
       instructions,
       claimedAt: new Date().toISOString(),
+      expiresAt,
     });
 
-    // Rename Railway service for dashboard visibility
+    // Rename the service for visibility in the provider's dashboard
+    onProgress("renaming");
     try {
-      await railway.renameService(instance.serviceId, `convos-agent-${agentName}`);
+      const prefix = pools.get(instance.pool)?.namePrefix || pools.defaultPrefix(instance.pool);
+      await provider.setLabel(instance.serviceId, `${prefix}${agentName}`);
     } catch (err) {
-      console.warn(`[pool] Failed to rename ${instance.id}:`, err.message);
+      ilog.warn("Failed to rename service", { err });
     }
 
-    console.log(`[pool] Provisioned ${instance.id}: ${result.joined ? "joined" : "created"} conversation ${result.conversationId}`);
-
-    return {
-      inviteUrl: result.inviteUrl || null,
-      conversationId: result.conversationId,
+    ilog.info("Provisioned instance", { conversationId: result.conversationId, joined: result.joined });
+    events.emit("instance.claimed", {
       instanceId: instance.id,
+      serviceId: instance.serviceId,
+      pool: instance.pool,
+      agentName,
+      conversationId: result.conversationId,
       joined: result.joined,
-    };
+    });
+
+    metrics.claimDuration.observe({ mode: joinUrl ? "join" : "create" }, metrics.secondsSince(started));
+    return response;
+  } catch (err) {
+    metrics.claimFailures.inc({ reason: `${stage}_error` });
+    ilog.error("Claim failed", { stage, err });
+    throw err;
   } finally {
     cache.endClaim(instance.serviceId);
   }
 }
 
-// Drain idle instances.
-export async function drainPool(count) {
-  const idle = cache.getByStatus("idle").slice(0, count);
-  console.log(`[pool] Draining ${idle.length} idle instance(s)...`);
+// Idle instances, from one pool or any, that no claim is provisioning (those
+// stay "idle" in the cache until the claim finishes).
+function claimableIdle(poolName = null) {
+  return cache
+    .getByStatus("idle")
+    .filter((i) => (!poolName || i.pool === poolName) && !cache.isBeingClaimed(i.serviceId));
+}
+
+// Drain idle instances, from one pool or any.
+export async function drainPool(count, poolName = null) {
+  const idle = claimableIdle(poolName).slice(0, count);
+  log.info("Draining idle instances", { count: idle.length, pool: poolName });
   const results = [];
   for (const inst of idle) {
+    // A claim may have picked it up while earlier ones were being deleted
+    if (cache.isBeingClaimed(inst.serviceId)) continue;
     try {
-      await railway.deleteService(inst.serviceId);
+      await provider.deleteInstance(inst.serviceId);
       cache.remove(inst.serviceId);
       results.push(inst.id);
-      console.log(`[pool]   Drained ${inst.id}`);
+      log.info("Drained instance", { instanceId: inst.id, serviceId: inst.serviceId });
+      events.emit("instance.drained", { instanceId: inst.id, serviceId: inst.serviceId, name: inst.name });
     } catch (err) {
-      console.error(`[pool]   Failed to drain ${inst.id}:`, err.message);
+      log.error("Failed to drain instance", { instanceId: inst.id, serviceId: inst.serviceId, err });
     }
   }
   return results;
 }
 
-// Kill a specific instance.
+// Delete an agent's service and archive its metadata with `reason`.
+async function teardown(inst, reason) {
+  const ilog = log.child({ instanceId: inst.id, serviceId: inst.serviceId });
+  try {
+    await provider.deleteInstance(inst.serviceId);
+  } catch (err) {
+    ilog.warn("Failed to delete service", { err });
+  }
+
+  cache.remove(inst.serviceId);
+  await db.terminateByServiceId(inst.serviceId, reason).catch((err) => {
+    ilog.warn("Failed to archive metadata", { err });
+  });
+}
+
+// Kill a specific instance. Returns the removed cache entry.
 export async function killInstance(id) {
   const inst = cache.getAll().find((i) => i.id === id);
   if (!inst) throw new Error(`Instance ${id} not found`);
 
-  console.log(`[pool] Killing instance ${inst.id} (${inst.agentName || inst.name})`);
+  log.child({ instanceId: inst.id, serviceId: inst.serviceId }).info("Killing instance", { agentName: inst.agentName || inst.name });
+  await teardown(inst, "killed");
+  events.emit("instance.killed", { instanceId: inst.id, serviceId: inst.serviceId, agentName: inst.agentName || null });
+  return inst;
+}
+
+// Change a running agent's instructions and/or name without losing its
+// conversation: pushes them to the agent (POST /convos/update), then updates
+// its metadata (logging the edit), the cache and the service name. Returns
+// the updated cache entry.
+export async function updateAgent(id, { agentName, instructions }, editedBy) {
+  const inst = cache.getAll().find((i) => i.id === id && i.status === "claimed");
+  if (!inst || cache.isBeingClaimed(inst.serviceId)) throw new Error(`Claimed instance ${id} not found`);
 
+  const ilog = log.child({ instanceId: inst.id, serviceId: inst.serviceId });
+  ilog.info("Updating agent", { agentName, instructions: instructions !== undefined });
+  // Keep the tick from rebuilding the entry from stale metadata meanwhile
+  cache.startClaim(inst.serviceId);
+  let updated;
   try {
-    await railway.deleteService(inst.serviceId);
-  } catch (err) {
-    console.warn(`[pool] Failed to delete Railway service:`, err.message);
+    const res = await fetch(`${inst.url}/convos/update`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${cache.getToken(inst.serviceId)}`,
+      },
+      signal: AbortSignal.timeout(30_000),
+      body: JSON.stringify({ profileName: agentName, instructions }),
+    });
+    if (!res.ok) throw new Error(`Update failed on ${inst.id}: ${res.status} ${await res.text()}`);
+
+    const row = await db.updateAgent(inst.id, { agentName, instructions }, editedBy);
+    if (!row) throw new Error(`Claimed instance ${id} not found`);
+    updated = { ...cache.get(inst.serviceId), agentName: row.agent_name, instructions: row.instructions };
+    cache.set(inst.serviceId, updated);
+
+    if (agentName !== undefined && agentName !== inst.agentName) {
+      try {
+        const prefix = pools.get(inst.pool)?.namePrefix || pools.defaultPrefix(inst.pool);
+        await provider.setLabel(inst.serviceId, `${prefix}${agentName}`);
+      } catch (err) {
+        ilog.warn("Failed to rename service", { err });
+      }
+    }
+  } finally {
+    cache.endClaim(inst.serviceId);
   }
 
-  cache.remove(inst.serviceId);
-  await db.deleteByServiceId(inst.serviceId).catch(() => {});
+  events.emit("instance.updated", {
+    instanceId: inst.id,
+    serviceId: inst.serviceId,
+    agentName: updated.agentName,
+    previousAgentName: inst.agentName || null,
+    instructionsChanged: instructions !== undefined && instructions !== inst.instructions,
+  });
+  return updated;
+}
+
+// Edits made to an agent through updateAgent(), oldest first.
+export async function listEdits(id) {
+  const rows = await db.listEdits(id);
+  return rows.map((r) => ({
+    id: r.id,
+    editedAt: r.edited_at,
+    editedBy: r.edited_by,
+    previousAgentName: r.previous_agent_name,
+    previousInstructions: r.previous_instructions,
+    agentName: r.agent_name,
+    instructions: r.instructions,
+  }));
+}
+
+// Move a claimed agent onto its pool's current build (see currentBuild()): an
+// idle instance already running it joins the agent's conversation through its
+// invite URL with the same name, instructions and expiry, then the old
+// instance is deleted and archived as "upgraded". The old agent is untouched
+// if no up-to-date instance is idle or the join fails. Returns
+// { instance, newInstanceId, conversationId, to }, where `to` is the build it
+// moved to: { commit } or { imageDigest }.
+export async function upgradeAgent(id) {
+  const inst = cache.getAll().find((i) => i.id === id && i.status === "claimed");
+  if (!inst || cache.isBeingClaimed(inst.serviceId)) throw new Error(`Claimed instance ${id} not found`);
+  const def = pools.get(inst.pool);
+  if (!def) throw new Error(`Unknown pool ${inst.pool}`);
+  if (!inst.inviteUrl) throw new Error(`Instance ${id} has no invite URL to rejoin its conversation`);
+  const build = await currentBuild(def);
+  if (!build.value) throw new Error(`Can't resolve ${def.image || `OpenClaw ref ${def.gitRef}`}`);
+  if (build.matches(inst[build.field])) throw new Error(`Instance ${id} already runs ${build.value}`);
+
+  const from = { commit: inst.commit, imageDigest: inst.imageDigest || null };
+  const to = { [build.field]: build.value };
+  const ilog = log.child({ instanceId: inst.id, serviceId: inst.serviceId });
+  ilog.info("Upgrading agent", { agentName: inst.agentName, from, to });
+  const result = await provision(inst.agentName, inst.instructions, inst.inviteUrl, {
+    pool: inst.pool,
+    expiresAt: inst.expiresAt || null,
+    build,
+    internal: true,
+  });
+  if (!result) throw new Error(`No idle instance runs ${build.value} yet`);
+
+  await teardown(inst, "upgraded");
+  ilog.info("Upgraded agent", { newInstanceId: result.instanceId });
+  events.emit("instance.upgraded", {
+    instanceId: inst.id,
+    serviceId: inst.serviceId,
+    agentName: inst.agentName || null,
+    newInstanceId: result.instanceId,
+    from,
+    to,
+  });
+  return { instance: inst, newInstanceId: result.instanceId, conversationId: result.conversationId, to };
 }
 
-// Dismiss a crashed agent (user-initiated from dashboard).
+// Hand a claimed agent's instance back to the pool instead of deleting it.
+// The agent leaves its conversation and wipes its workspace (POST
+// /convos/reset), the claim is archived as "released", and the service is
+// renamed under a new instance ID; the tick marks it idle once it reports
+// ready again. After RECYCLE_LIMIT releases, or when the reset fails, the
+// instance is deleted instead and the tick builds a fresh one.
+// Returns { instance, recycled, recycles, newInstanceId, reason }, where
+// reason says why an instance wasn't recycled ("recycle_limit" or "reset_failed").
+export async function releaseInstance(id) {
+  const inst = cache.getAll().find((i) => i.id === id && i.status === "claimed");
+  if (!inst || cache.isBeingClaimed(inst.serviceId)) throw new Error(`Claimed instance ${id} not found`);
+
+  const ilog = log.child({ instanceId: inst.id, serviceId: inst.serviceId });
+  const recycles = await db.countReleased(inst.serviceId);
+  // Delete it and let the tick build a fresh one
+  const replace = async (reason) => {
+    await teardown(inst, "released");
+    events.emit("instance.released", {
+      instanceId: inst.id,
+      serviceId: inst.serviceId,
+      agentName: inst.agentName || null,
+      recycled: false,
+      recycles,
+      reason,
+    });
+    return { instance: inst, recycled: false, recycles, newInstanceId: null, reason };
+  };
+  if (recycles >= RECYCLE_LIMIT) {
+    ilog.info("Recycle limit reached, replacing instance", { recycles, limit: RECYCLE_LIMIT });
+    return replace("recycle_limit");
+  }
+
+  // Keep the tick and claims away while the agent resets
+  cache.startClaim(inst.serviceId);
+  try {
+    const def = pools.get(inst.pool);
+    if (!def) throw new Error(`Unknown pool ${inst.pool}`);
+    ilog.info("Resetting instance", { agentName: inst.agentName, recycles });
+    const res = await fetch(`${inst.url}/convos/reset`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${cache.getToken(inst.serviceId)}` },
+      signal: AbortSignal.timeout(30_000),
+    });
+    if (!res.ok) throw new Error(`Reset failed on ${inst.id}: ${res.status} ${await res.text()}`);
+
+    const newId = nanoid(12);
+    const name = `${def.namePrefix}${newId}`;
+    await db.terminateByServiceId(inst.serviceId, "released");
+    await provider.setLabel(inst.serviceId, name);
+    cache.set(inst.serviceId, {
+      serviceId: inst.serviceId,
+      id: newId,
+      pool: inst.pool,
+      name,
+      url: inst.url,
+      status: "resetting",
+      createdAt: inst.createdAt,
+      deployStatus: inst.deployStatus,
+      resetAt: new Date().toISOString(),
+    });
+    ilog.info("Released instance back to the pool", { newInstanceId: newId, recycles: recycles + 1 });
+    events.emit("instance.released", {
+      instanceId: inst.id,
+      serviceId: inst.serviceId,
+      agentName: inst.agentName || null,
+      recycled: true,
+      recycles: recycles + 1,
+      newInstanceId: newId,
+    });
+    return { instance: inst, recycled: true, recycles: recycles + 1, newInstanceId: newId };
+  } catch (err) {
+    ilog.warn("Recycling failed, replacing instance", { err });
+    return replace("reset_failed");
+  } finally {
+    cache.endClaim(inst.serviceId);
+  }
+}
+
+// Dismiss a crashed agent (user-initiated from dashboard). Returns the removed cache entry.
 export async function dismissCrashed(id) {
   const inst = cache.getAll().find((i) => i.id === id && i.status === "crashed");
   if (!inst) throw new Error(`Crashed instance ${id} not found`);
 
-  console.log(`[pool] Dismissing crashed ${inst.id} (${inst.agentName || inst.name})`);
+  const ilog = log.child({ instanceId: inst.id, serviceId: inst.serviceId });
+  ilog.info("Dismissing crashed instance", { agentName: inst.agentName || inst.name });
 
   try {
-    await railway.deleteService(inst.serviceId);
+    await provider.deleteInstance(inst.serviceId);
   } catch (err) {
     // Service might already be gone
-    console.warn(`[pool] Failed to delete Railway service:`, err.message);
+    ilog.warn("Failed to delete service", { err });
   }
 
   cache.remove(inst.serviceId);
-  await db.deleteByServiceId(inst.serviceId).catch(() => {});
+  await db.terminateByServiceId(inst.serviceId, "dismissed").catch((err) => {
+    ilog.warn("Failed to archive metadata", { err });
+  });
+  events.emit("instance.dismissed", { instanceId: inst.id, serviceId: inst.serviceId, agentName: inst.agentName || null });
+  return inst;
+}
+
+// History pages are keyed on (terminated_at, id), so agents terminated at the
+// same moment aren't skipped. The cursor is opaque to clients: base64url JSON
+// of the last row's full-precision terminated_at and ID.
+function encodeHistoryCursor(row) {
+  return Buffer.from(JSON.stringify({ t: row.terminated_cursor, id: row.id })).toString("base64url");
+}
+
+// The { terminatedAt, id } position in a nextBefore cursor, or null if it isn't one.
+export function parseHistoryCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof t !== "string" || Number.isNaN(new Date(t).getTime()) || typeof id !== "string") return null;
+    return { terminatedAt: t, id };
+  } catch {
+    return null;
+  }
+}
+
+// Terminated agents for the history/archive view, newest first. `before` is
+// the nextBefore of the previous page; nextBefore is null on the last page.
+export async function listHistory({ search, reason, before, limit }) {
+  const rows = await db.listTerminated({ search, reason, before: before ? parseHistoryCursor(before) : null, limit });
+  const agents = rows.map((r) => ({
+    id: r.id,
+    serviceId: r.railway_service_id,
+    pool: r.pool || pools.DEFAULT_POOL,
+    agentName: r.agent_name,
+    conversationId: r.conversation_id,
+    inviteUrl: r.invite_url,
+    instructions: r.instructions,
+    claimedAt: r.claimed_at,
+    terminatedAt: r.terminated_at,
+    reason: r.termination_reason,
+  }));
+  return { agents, nextBefore: rows.length === limit ? encodeHistoryCursor(rows[rows.length - 1]) : null };
 }
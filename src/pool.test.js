@@ -0,0 +1,756 @@
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { randomBytes } from "node:crypto";
+
+// Run the pool against the in-memory store, the fake Railway API and fake agents.
+process.env.DATABASE_URL = "memory:";
+process.env.LOG_LEVEL = "error";
+process.env.POOL_PROVIDER = "railway";
+process.env.POOL_MIN_IDLE = "2";
+process.env.POOL_MAX_TOTAL = "4";
+process.env.POOL_RECYCLE_LIMIT = "1";
+// Image pools resolve their tag against a fake registry, which has to be up
+// before the pool definitions are read
+const { startFakeRegistry } = await import("./fakes/registry.js");
+const registryServer = await startFakeRegistry();
+process.env.REGISTRY_SCHEME = "http";
+const IMAGE = `${registryServer.host}/xmtplabs/openclaw-agent`;
+// New instances resolve their pool's git ref against a fake GitHub (refs it
+// doesn't know are built by name, with no commit recorded)
+const { startFakeGitHub } = await import("./fakes/github.js");
+const github = await startFakeGitHub();
+process.env.GITHUB_API_URL = github.url;
+// More pools that stay empty unless a test asks for them
+process.env.POOL_DEFINITIONS = JSON.stringify([
+  { name: "default" },
+  { name: "canary", minIdle: 0, maxTotal: 1, gitRef: "main", env: { XMTP_ENV: "production" } },
+  { name: "prebuilt", minIdle: 0, maxTotal: 2, image: `${IMAGE}:staging` },
+]);
+process.env.RAILWAY_API_TOKEN = "test-token";
+process.env.RAILWAY_PROJECT_ID = "project-1";
+process.env.RAILWAY_ENVIRONMENT_ID = "env-1";
+process.env.RAILWAY_DOMAIN_SCHEME = "http";
+delete process.env.RAILWAY_SOURCE_BRANCH;
+delete process.env.RAILWAY_SOURCE_ROOT_DIR;
+
+const pool = await import("./pool.js");
+const cache = await import("./cache.js");
+const claimQueue = await import("./claimQueue.js");
+const poolConfig = await import("./poolConfig.js");
+const demand = await import("./demand.js");
+const openclaw = await import("./openclaw.js");
+const registry = await import("./registry.js");
+const pools = await import("./pools.js");
+const { metadata } = await import("./db/store.js");
+const { reset } = await import("./db/memory/index.js");
+const { tables } = await import("./db/memory/tables.js");
+const { startFakeAgents } = await import("./fakes/agent.js");
+const { startFakeRailway } = await import("./fakes/railway.js");
+const events = await import("./events.js");
+
+describe("pool (fake Railway and agents)", () => {
+  let agents, railway;
+
+  after(() => Promise.all([registryServer.close(), github.close()]));
+
+  beforeEach(async () => {
+    for (const inst of cache.getAll()) cache.remove(inst.serviceId);
+    reset();
+    demand.reset();
+    openclaw.reset();
+    github.refs.clear();
+    github.down = false;
+    agents = await startFakeAgents();
+    railway = await startFakeRailway({ agents });
+    process.env.RAILWAY_API_URL = railway.url;
+  });
+
+  afterEach(async () => {
+    await railway.close();
+    await agents.close();
+  });
+
+  // Fill the pool and let the instances pass their health checks.
+  async function warmPool() {
+    await pool.tick();
+    await pool.tick();
+    return cache.getByStatus("idle");
+  }
+
+  describe("tick", () => {
+    it("creates instances up to POOL_MIN_IDLE, which turn idle once healthy", async () => {
+      await pool.tick();
+      assert.equal(railway.services.size, 2);
+      assert.equal(cache.getCounts().starting, 2);
+
+      await pool.tick();
+      assert.equal(cache.getCounts().idle, 2);
+      assert.equal(railway.services.size, 2);
+      for (const svc of railway.services.values()) {
+        assert.match(svc.name, /^convos-agent-/);
+        assert.ok(svc.variables.GATEWAY_AUTH_TOKEN);
+      }
+    });
+
+    it("keeps instances starting while their agent isn't ready", async () => {
+      await pool.tick();
+      for (const id of railway.services.keys()) agents.get(id).ready = false;
+      await pool.tick();
+      assert.equal(cache.getCounts().starting, 2);
+    });
+
+    it("ignores the manager's own service and other environments", async () => {
+      railway.addService({ name: "convos-agent-pool-manager", environmentId: "env-1" });
+      railway.addService({ name: "convos-agent-other", environmentId: "env-2" });
+      await warmPool();
+      assert.equal(cache.getAll().length, 2);
+    });
+
+    it("deletes dead idle services and replaces them", async () => {
+      const [idle] = await warmPool();
+      railway.setDeployStatus(idle.serviceId, "CRASHED");
+
+      await pool.tick();
+      assert.equal(railway.services.has(idle.serviceId), false);
+      assert.equal(railway.services.size, 2);
+    });
+
+    it("marks claimed instances crashed and archives them when dismissed", async () => {
+      await warmPool();
+      const { instanceId } = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      const serviceId = cache.getAll().find((i) => i.id === instanceId).serviceId;
+      railway.setDeployStatus(serviceId, "CRASHED");
+
+      await pool.tick();
+      assert.equal(cache.get(serviceId).status, "crashed");
+
+      await pool.dismissCrashed(instanceId);
+      assert.equal(railway.services.has(serviceId), false);
+      const { agents: [archived] } = await pool.listHistory({ limit: 10 });
+      assert.equal(archived.reason, "dismissed");
+    });
+
+    it("archives claimed agents whose service disappeared", async () => {
+      await warmPool();
+      const { instanceId } = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      const serviceId = cache.getAll().find((i) => i.id === instanceId).serviceId;
+      railway.services.delete(serviceId);
+
+      await pool.tick();
+      assert.equal(cache.get(serviceId), null);
+      const { agents: [archived] } = await pool.listHistory({ limit: 10 });
+      assert.equal(archived.id, instanceId);
+      assert.equal(archived.reason, "crashed");
+    });
+
+    it("keeps claimed agents whose pool is no longer defined", async () => {
+      await warmPool();
+      const { instanceId } = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      const serviceId = cache.getAll().find((i) => i.id === instanceId).serviceId;
+      // As if its pool (and so its name prefix) were removed from the definitions
+      railway.services.get(serviceId).name = "legacy-agent-Tokyo-Trip";
+
+      await pool.tick();
+      assert.equal(cache.get(serviceId), null);
+      assert.equal((await metadata.findById(instanceId)).terminated_at, null);
+      assert.deepEqual((await pool.listHistory({ limit: 10 })).agents, []);
+    });
+
+    it("skips the tick when Railway is down", async () => {
+      await warmPool();
+      railway.down = true;
+      await pool.tick();
+      assert.equal(cache.getCounts().idle, 2);
+    });
+
+    it("applies pool config changes on the next tick", async () => {
+      await warmPool();
+      await poolConfig.save(poolConfig.prepare({ pools: { default: { minIdle: 3 } }, instanceEnv: { XMTP_ENV: "local" } }), "test");
+
+      await pool.tick();
+      assert.equal(railway.services.size, 3);
+      const newest = [...railway.services.values()].at(-1);
+      assert.equal(newest.variables.XMTP_ENV, "local");
+    });
+
+    it("follows schedules and trims the surplus when a window closes", async () => {
+      await warmPool();
+      const allDay = { start: "00:00", end: "24:00", minIdle: 4 };
+      await poolConfig.save(poolConfig.prepare({ schedules: [allDay] }), "test");
+      assert.equal(pool.targets().find((t) => t.pool === "default").minIdle, 4);
+
+      await warmPool();
+      assert.equal(cache.getCounts("default").idle, 4);
+
+      // Window closes: back to POOL_MIN_IDLE, one instance per tick
+      await poolConfig.save(poolConfig.prepare({ schedules: null }), "test");
+      await pool.tick();
+      assert.equal(cache.getCounts("default").idle, 3);
+      await pool.tick();
+      assert.equal(cache.getCounts("default").idle, 2);
+      await pool.tick();
+      assert.equal(railway.services.size, 2);
+    });
+
+    it("doesn't trim an instance a claim is still provisioning", async () => {
+      await warmPool();
+      const allDay = { start: "00:00", end: "24:00", minIdle: 4 };
+      await poolConfig.save(poolConfig.prepare({ schedules: [allDay] }), "test");
+      await warmPool();
+
+      const claiming = pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      const [claimed] = cache.getByStatus("idle").filter((i) => cache.isBeingClaimed(i.serviceId));
+      agents.get(claimed.serviceId).delayMs = 200;
+      await poolConfig.save(poolConfig.prepare({ schedules: null }), "test");
+      await pool.tick();
+      assert.equal(railway.services.size, 3);
+      assert.equal(railway.services.has(claimed.serviceId), true);
+
+      const result = await claiming;
+      assert.equal(result.instanceId, claimed.id);
+      assert.equal(cache.get(claimed.serviceId).status, "claimed");
+      assert.equal(cache.getCounts("default").idle, 2);
+    });
+
+    it("raises the idle target to cover predicted demand", async () => {
+      await warmPool();
+      assert.equal(demand.forPool("default").warmupSamples, 2);
+      for (let i = 0; i < 2; i++) await pool.provision(`Agent ${i}`, "Help", undefined);
+
+      // The fake agents warm up in milliseconds, so pretend it takes longer
+      for (let i = 0; i < 10; i++) demand.recordWarmup("default", 30 * 60 * 1000);
+      const target = pool.targets().find((t) => t.pool === "default");
+      assert.equal(target.demand.claims, 2);
+      assert.equal(target.scheduledMinIdle, 2);
+      assert.equal(target.minIdle, 4); // capped at POOL_MAX_TOTAL
+
+      await pool.tick();
+      assert.equal(railway.services.size, 4);
+    });
+
+    it("reports a deficit capped by maxTotal once, and again only when it changes", async () => {
+      await poolConfig.save(poolConfig.prepare({ pools: { default: { minIdle: 4 } } }), "test");
+      await warmPool();
+      const seen = [];
+      events.onEvent((e) => e.type === "pool.deficit_unfilled" && seen.push(e.data));
+
+      await pool.provision("Agent 1", "Help", undefined);
+      await pool.tick();
+      await pool.tick();
+      assert.deepEqual(seen, [{ pool: "default", deficit: 1, creating: 0, total: 4, maxTotal: 4, queued: 0 }]);
+
+      await pool.provision("Agent 2", "Help", undefined);
+      await pool.tick();
+      await pool.tick();
+      assert.equal(seen.length, 2);
+      assert.equal(seen[1].deficit, 2);
+    });
+
+    it("keeps going when creating an instance fails", async () => {
+      railway.failNext("serviceCreate");
+      await pool.tick();
+      assert.equal(railway.services.size, 1);
+    });
+  });
+
+  describe("named pools", () => {
+    it("builds each pool's instances from its own definition", async () => {
+      await warmPool();
+      const sha = randomBytes(20).toString("hex");
+      github.refs.set("main", sha);
+      const canary = await pool.createInstance("canary");
+      const svc = railway.services.get(canary.serviceId);
+
+      assert.match(svc.name, /^convos-agent-canary-/);
+      assert.equal(svc.variables.OPENCLAW_GIT_REF, sha);
+      assert.equal(cache.get(canary.serviceId).commit, sha);
+      assert.equal(svc.variables.XMTP_ENV, "production");
+      assert.equal(svc.variables.POOL_NAME, "canary");
+      await assert.rejects(pool.createInstance("nope"), /Unknown pool nope/);
+
+      await pool.tick();
+      assert.deepEqual(cache.getCountsByPool(["default", "canary"]), {
+        default: { starting: 0, resetting: 0, idle: 2, claimed: 0, crashed: 0 },
+        canary: { starting: 0, resetting: 0, idle: 1, claimed: 0, crashed: 0 },
+      });
+    });
+
+    it("claims from the requested pool only", async () => {
+      await warmPool();
+      assert.equal(await pool.provision("Canary", "Try it", undefined, { pool: "canary" }), null);
+
+      const canary = await pool.createInstance("canary");
+      await pool.tick();
+      const result = await pool.provision("Canary", "Try it", undefined, { pool: "canary" });
+      assert.equal(result.instanceId, canary.id);
+      assert.equal(railway.services.get(canary.serviceId).name, "convos-agent-canary-Canary");
+      assert.equal((await metadata.findByServiceId(canary.serviceId)).pool, "canary");
+      assert.equal(cache.getCounts("default").idle, 2);
+
+      // Still counted in its pool after the rename
+      await pool.tick();
+      assert.equal(cache.get(canary.serviceId).pool, "canary");
+    });
+
+    it("replenishes a pool for its queued claims", async () => {
+      await warmPool();
+      const waiting = pool.provision("Canary", "Try it", undefined, { pool: "canary", waitMs: 5000 });
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.equal(claimQueue.size("canary"), 1);
+
+      await pool.tick();
+      assert.equal(cache.getCounts("canary").starting, 1);
+      await pool.tick();
+      const result = await waiting;
+      assert.equal(cache.getAll().find((i) => i.id === result.instanceId).pool, "canary");
+    });
+  });
+
+  describe("updateAgent", () => {
+    it("pushes new instructions and name to the agent and keeps the old ones", async () => {
+      await warmPool();
+      const { instanceId, conversationId } = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      const serviceId = cache.getAll().find((i) => i.id === instanceId).serviceId;
+      const agent = agents.get(serviceId);
+
+      await pool.updateAgent(instanceId, { instructions: "Plan a cheap trip" }, "alice");
+      const updated = await pool.updateAgent(instanceId, { agentName: "Osaka Trip" }, "bob");
+
+      assert.equal(agent.instructions, "Plan a cheap trip");
+      assert.equal(agent.profileName, "Osaka Trip");
+      assert.equal(agent.conversation.id, conversationId);
+      assert.equal(updated.agentName, "Osaka Trip");
+      assert.equal(updated.instructions, "Plan a cheap trip");
+      assert.equal(railway.services.get(serviceId).name, "convos-agent-Osaka Trip");
+      const row = await metadata.findById(instanceId);
+      assert.equal(row.agent_name, "Osaka Trip");
+      assert.equal(row.instructions, "Plan a cheap trip");
+
+      const edits = await pool.listEdits(instanceId);
+      assert.deepEqual(
+        edits.map((e) => [e.editedBy, e.previousAgentName, e.previousInstructions, e.agentName, e.instructions]),
+        [
+          ["alice", "Tokyo Trip", "Plan a trip", "Tokyo Trip", "Plan a cheap trip"],
+          ["bob", "Tokyo Trip", "Plan a cheap trip", "Osaka Trip", "Plan a cheap trip"],
+        ]
+      );
+
+      // The next tick keeps the new values
+      await pool.tick();
+      assert.equal(cache.get(serviceId).agentName, "Osaka Trip");
+    });
+
+    it("changes nothing when the agent rejects the update", async () => {
+      await warmPool();
+      const { instanceId } = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      const serviceId = cache.getAll().find((i) => i.id === instanceId).serviceId;
+      agents.get(serviceId).failNext("/convos/update", 500);
+
+      await assert.rejects(pool.updateAgent(instanceId, { instructions: "x" }, "alice"), /Update failed on [\w-]+: 500/);
+      assert.equal((await metadata.findById(instanceId)).instructions, "Plan a trip");
+      assert.deepEqual(await pool.listEdits(instanceId), []);
+      await assert.rejects(pool.updateAgent("nope", { instructions: "x" }, "alice"), /not found/);
+    });
+  });
+
+  describe("release", () => {
+    it("resets the instance and puts it back in the pool under a new ID", async () => {
+      await warmPool();
+      const { instanceId } = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      const serviceId = cache.getAll().find((i) => i.id === instanceId).serviceId;
+      const agent = agents.get(serviceId);
+
+      const result = await pool.releaseInstance(instanceId);
+      assert.equal(result.recycled, true);
+      assert.equal(result.recycles, 1);
+      assert.equal(agent.resets, 1);
+      assert.equal(cache.get(serviceId).status, "resetting");
+      assert.equal(railway.services.get(serviceId).name, `convos-agent-${result.newInstanceId}`);
+      const { agents: [archived] } = await pool.listHistory({ limit: 10 });
+      assert.equal(archived.id, instanceId);
+      assert.equal(archived.reason, "released");
+
+      // Still wiping its workspace: counts toward the pool, but not claimable
+      agent.resetting = true;
+      await pool.tick();
+      assert.equal(cache.get(serviceId).status, "resetting");
+      assert.equal(railway.services.size, 2);
+
+      agent.resetting = false;
+      await pool.tick();
+      assert.equal(cache.get(serviceId).status, "idle");
+      assert.equal(cache.get(serviceId).id, result.newInstanceId);
+    });
+
+    it("replaces the instance once it reaches POOL_RECYCLE_LIMIT", async () => {
+      await warmPool();
+      const first = await pool.provision("Once", "Hi", undefined);
+      const serviceId = cache.getAll().find((i) => i.id === first.instanceId).serviceId;
+      const { newInstanceId } = await pool.releaseInstance(first.instanceId);
+      await pool.tick();
+
+      // Claim that same instance again
+      const other = cache.getAll().find((i) => i.status === "idle" && i.serviceId !== serviceId);
+      cache.startClaim(other.serviceId);
+      const second = await pool.provision("Twice", "Hi", undefined);
+      cache.endClaim(other.serviceId);
+      assert.equal(second.instanceId, newInstanceId);
+
+      const result = await pool.releaseInstance(newInstanceId);
+      assert.equal(result.recycled, false);
+      assert.equal(result.reason, "recycle_limit");
+      assert.equal(railway.services.has(serviceId), false);
+    });
+
+    it("replaces the instance when the reset fails", async () => {
+      await warmPool();
+      const { instanceId } = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      const serviceId = cache.getAll().find((i) => i.id === instanceId).serviceId;
+      agents.get(serviceId).failNext("/convos/reset", 500);
+
+      const result = await pool.releaseInstance(instanceId);
+      assert.equal(result.reason, "reset_failed");
+      assert.equal(railway.services.has(serviceId), false);
+      assert.equal((await pool.listHistory({ limit: 10 })).agents[0].reason, "released");
+      await assert.rejects(pool.releaseInstance(instanceId), /not found/);
+    });
+  });
+
+  describe("rollout", () => {
+    const OLD = "1111111111111111111111111111111111111111";
+    let gitRef, NEW;
+
+    beforeEach(() => {
+      gitRef = pools.get("default").gitRef;
+      NEW = randomBytes(20).toString("hex");
+      github.refs.set(gitRef, OLD);
+    });
+
+    // Point the pool's git ref at a new commit.
+    function ship(commit) {
+      github.refs.set(gitRef, commit);
+      openclaw.reset();
+    }
+
+    it("builds instances from the commit their ref points at and keeps it across restarts", async () => {
+      await warmPool();
+      for (const svc of railway.services.values()) assert.equal(svc.variables.OPENCLAW_GIT_REF, OLD);
+
+      // A restarted manager reads the commit back from each service's variables
+      for (const inst of cache.getAll()) cache.remove(inst.serviceId);
+      await pool.tick();
+      assert.deepEqual(
+        cache.getAll().map((i) => [i.status, i.commit]),
+        [["idle", OLD], ["idle", OLD]]
+      );
+    });
+
+    it("replaces outdated idle instances one at a time, keeping minIdle idle", async () => {
+      const outdated = await warmPool();
+      const seen = [];
+      events.onEvent((e) => seen.push(e));
+      ship(NEW);
+
+      for (let i = 0; i < 5; i++) {
+        await pool.tick();
+        assert.ok(cache.getCounts("default").idle >= 2);
+        assert.ok(railway.services.size <= 3);
+      }
+      const idle = cache.getByStatus("idle");
+      assert.equal(idle.length, 2);
+      assert.ok(idle.every((i) => i.commit === NEW));
+      for (const inst of idle) assert.equal(railway.services.get(inst.serviceId).variables.OPENCLAW_GIT_REF, NEW);
+      for (const inst of outdated) assert.equal(railway.services.has(inst.serviceId), false);
+      assert.equal(seen.filter((e) => e.type === "instance.drained" && e.data.reason === "outdated").length, 2);
+
+      const { pools: [report] } = await pool.rolloutStatus();
+      assert.deepEqual(report, {
+        pool: "default",
+        gitRef,
+        image: null,
+        commit: NEW,
+        imageDigest: null,
+        idle: { current: 2, outdated: 0, unknown: 0 },
+      });
+    });
+
+    it("leaves instances of an unknown commit alone", async () => {
+      github.down = true;
+      await warmPool();
+      for (const svc of railway.services.values()) assert.equal(svc.variables.OPENCLAW_GIT_REF, gitRef);
+      github.down = false;
+      ship(NEW);
+
+      for (let i = 0; i < 3; i++) await pool.tick();
+      assert.equal(railway.services.size, 2);
+      assert.deepEqual((await pool.rolloutStatus()).pools[0].idle, { current: 0, outdated: 0, unknown: 2 });
+    });
+
+    it("reports claimed agents on old builds and upgrades them on request", async () => {
+      await warmPool();
+      const { instanceId } = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      const oldServiceId = cache.getAll().find((i) => i.id === instanceId).serviceId;
+      assert.equal(tables.agent_metadata.find((r) => r.id === instanceId).openclaw_commit, OLD);
+      ship(NEW);
+      await pool.tick();
+      await pool.tick();
+
+      const { outdatedClaimed } = await pool.rolloutStatus();
+      assert.deepEqual(
+        outdatedClaimed.map((a) => [a.id, a.agentName, a.commit, a.targetCommit]),
+        [[instanceId, "Tokyo Trip", OLD, NEW]]
+      );
+
+      const seen = [];
+      events.onEvent((e) => seen.push(e));
+      const claims = demand.forPool("default").claims;
+      const result = await pool.upgradeAgent(instanceId);
+      assert.deepEqual(result.to, { commit: NEW });
+      assert.equal(demand.forPool("default").claims, claims);
+      assert.equal(railway.services.has(oldServiceId), false);
+      const upgraded = cache.getAll().find((i) => i.id === result.newInstanceId);
+      assert.equal(upgraded.status, "claimed");
+      assert.equal(upgraded.agentName, "Tokyo Trip");
+      assert.equal(upgraded.commit, NEW);
+      const join = agents.requests.find((r) => r.agentId === upgraded.serviceId && r.path === "/convos/join");
+      assert.equal(join.body.inviteUrl, "https://dev.convos.org/v2?i=conv-1");
+      assert.equal(join.body.instructions, "Plan a trip");
+      assert.equal((await pool.listHistory({ limit: 10 })).agents[0].reason, "upgraded");
+      assert.ok(seen.some((e) => e.type === "instance.upgraded" && e.data.newInstanceId === result.newInstanceId));
+
+      assert.deepEqual((await pool.rolloutStatus()).outdatedClaimed, []);
+      await assert.rejects(pool.upgradeAgent(result.newInstanceId), /already runs/);
+    });
+
+    it("leaves the agent alone when no up-to-date instance is idle", async () => {
+      await warmPool();
+      const { instanceId } = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      ship(NEW);
+
+      await assert.rejects(pool.upgradeAgent(instanceId), /No idle instance runs/);
+      assert.equal(cache.getAll().find((i) => i.id === instanceId).status, "claimed");
+    });
+  });
+
+  describe("pre-built images", () => {
+    const digest = (n) => `sha256:${String(n).repeat(64)}`;
+
+    beforeEach(async () => {
+      registry.reset();
+      registryServer.tags.set("xmtplabs/openclaw-agent:staging", digest(1));
+      await poolConfig.save(poolConfig.prepare({ pools: { prebuilt: { minIdle: 1 } } }), "test");
+    });
+
+    afterEach(() => poolConfig.save(poolConfig.prepare({ pools: { prebuilt: null } }), "test"));
+
+    const prebuilt = () => cache.getAll().filter((i) => i.pool === "prebuilt");
+
+    it("deploys the image pinned to its tag's digest and records it with the claim", async () => {
+      await warmPool();
+      const [inst] = prebuilt();
+      const service = railway.services.get(inst.serviceId);
+      assert.equal(service.image, `${IMAGE}@${digest(1)}`);
+      assert.equal(inst.imageDigest, digest(1));
+      assert.equal(inst.status, "idle");
+
+      // Survives a restart: the digest comes back from the provider
+      cache.remove(inst.serviceId);
+      await pool.tick();
+      assert.equal(cache.get(inst.serviceId).imageDigest, digest(1));
+
+      const { instanceId } = await pool.provision("Tokyo Trip", "Plan a trip", undefined, { pool: "prebuilt" });
+      assert.equal(tables.agent_metadata.find((r) => r.id === instanceId).image_digest, digest(1));
+    });
+
+    it("rolls idle instances onto the digest the tag moves to", async () => {
+      await warmPool();
+      const [old] = prebuilt();
+      registryServer.tags.set("xmtplabs/openclaw-agent:staging", digest(2));
+      registry.reset();
+
+      for (let i = 0; i < 3; i++) await pool.tick();
+      const [current, ...rest] = prebuilt();
+      assert.deepEqual(rest, []);
+      assert.equal(current.imageDigest, digest(2));
+      assert.equal(current.status, "idle");
+      assert.equal(railway.services.has(old.serviceId), false);
+      const { pools: reports } = await pool.rolloutStatus();
+      assert.deepEqual(reports.find((r) => r.pool === "prebuilt").idle, { current: 1, outdated: 0, unknown: 0 });
+    });
+  });
+
+  describe("provision", () => {
+    it("claims an idle instance, calls the agent and stores metadata", async () => {
+      await warmPool();
+      const result = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      const inst = cache.getAll().find((i) => i.id === result.instanceId);
+      const agent = agents.get(inst.serviceId);
+
+      assert.equal(result.joined, false);
+      assert.equal(result.conversationId, agent.conversation.id);
+      assert.match(result.inviteUrl, /^https:\/\/dev\.convos\.org\//);
+      assert.equal(agent.instructions, "Plan a trip");
+      assert.equal(inst.status, "claimed");
+      assert.equal(railway.services.get(inst.serviceId).name, "convos-agent-Tokyo Trip");
+
+      const row = await metadata.findByServiceId(inst.serviceId);
+      assert.equal(row.agent_name, "Tokyo Trip");
+      assert.equal(row.conversation_id, result.conversationId);
+
+      // The agent now reports a conversation, so the next tick keeps it claimed
+      await pool.tick();
+      assert.equal(cache.get(inst.serviceId).status, "claimed");
+      assert.equal(cache.get(inst.serviceId).agentName, "Tokyo Trip");
+    });
+
+    it("joins an existing conversation", async () => {
+      await warmPool();
+      const result = await pool.provision("Helper", "Help out", "https://dev.convos.org/v2?i=xyz");
+      assert.equal(result.joined, true);
+      assert.equal(result.inviteUrl, null);
+      assert.ok(agents.requests.some((r) => r.path === "/convos/join" && r.body.inviteUrl === "https://dev.convos.org/v2?i=xyz"));
+    });
+
+    it("returns null when nothing is idle", async () => {
+      assert.equal(await pool.provision("Tokyo Trip", "Plan a trip", undefined), null);
+    });
+
+    it("replays a repeated idempotency key from the store", async () => {
+      await warmPool();
+      const first = await pool.provision("Tokyo Trip", "Plan a trip", undefined, { idempotencyKey: "k1" });
+      const second = await pool.provision("Tokyo Trip", "Plan a trip", undefined, { idempotencyKey: "k1" });
+
+      assert.equal(second.replayed, true);
+      assert.equal(second.instanceId, first.instanceId);
+      assert.equal(cache.getCounts().idle, 1);
+    });
+
+    it("shares one claim between concurrent requests with the same idempotency key", async () => {
+      await warmPool();
+      const [first, second] = await Promise.all([
+        pool.provision("Tokyo Trip", "Plan a trip", undefined, { idempotencyKey: "k1" }),
+        pool.provision("Tokyo Trip", "Plan a trip", undefined, { idempotencyKey: "k1" }),
+      ]);
+
+      assert.equal(first.replayed, undefined);
+      assert.equal(second.replayed, true);
+      assert.equal(second.instanceId, first.instanceId);
+      assert.deepEqual(cache.getCounts("default"), { starting: 0, resetting: 0, idle: 1, claimed: 1, crashed: 0 });
+      assert.equal(agents.requests.filter((r) => r.path === "/convos/conversation").length, 1);
+    });
+
+    it("releases the instance when the agent fails", async () => {
+      const idle = await warmPool();
+      for (const inst of idle) agents.get(inst.serviceId).failNext("/convos/conversation", 500);
+
+      await assert.rejects(pool.provision("Tokyo Trip", "Plan a trip", undefined), /Create failed on [\w-]+: 500/);
+      assert.equal(cache.getCounts().idle, 2);
+      assert.deepEqual(await metadata.listActive(), []);
+    });
+
+    it("still succeeds when the rename fails", async () => {
+      await warmPool();
+      railway.failNext("serviceUpdate");
+      const result = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      assert.ok(result.conversationId);
+    });
+
+    it("warns before a claim's expiry and then tears the agent down", async () => {
+      await warmPool();
+      const seen = [];
+      events.onEvent((e) => seen.push(e));
+      const expiresAt = new Date(Date.now() + 60_000).toISOString();
+      const { instanceId, expiresAt: returned } = await pool.provision("Demo", "Say hi", undefined, { expiresAt });
+      const serviceId = cache.getAll().find((i) => i.id === instanceId).serviceId;
+      assert.equal(returned, expiresAt);
+
+      await pool.tick();
+      assert.deepEqual(cache.get(serviceId).expiry, { at: expiresAt, cause: "ttl" });
+      await pool.tick();
+      const warnings = seen.filter((e) => e.type === "instance.expiring" && e.data.instanceId === instanceId);
+      assert.equal(warnings.length, 1);
+
+      // Move the deadline into the past
+      tables.agent_metadata.find((r) => r.id === instanceId).expires_at = new Date(Date.now() - 1);
+      await pool.tick();
+      assert.equal(railway.services.has(serviceId), false);
+      const { agents: [archived] } = await pool.listHistory({ limit: 10 });
+      assert.equal(archived.reason, "expired");
+      assert.ok(seen.some((e) => e.type === "instance.expired" && e.data.cause === "ttl"));
+    });
+
+    it("expires agents that stop talking after the inactivity timeout", async () => {
+      await warmPool();
+      await poolConfig.save(poolConfig.prepare({ inactivityTimeoutMs: 60_000 }), "test");
+      try {
+        const { instanceId } = await pool.provision("Quiet", "Say hi", undefined);
+        const serviceId = cache.getAll().find((i) => i.id === instanceId).serviceId;
+        const agent = agents.get(serviceId);
+
+        agent.lastMessageAt = new Date().toISOString();
+        await pool.tick();
+        assert.equal(cache.get(serviceId).expiry.cause, "inactive");
+
+        // Two minutes of silence since the claim
+        agent.lastMessageAt = new Date(Date.now() - 120_000).toISOString();
+        tables.agent_metadata.find((r) => r.id === instanceId).claimed_at = new Date(Date.now() - 120_000);
+        await pool.tick();
+        assert.equal(railway.services.has(serviceId), false);
+      } finally {
+        await poolConfig.save(poolConfig.prepare({ inactivityTimeoutMs: null }), "test");
+      }
+    });
+
+    it("never times out agents that don't report lastMessageAt", async () => {
+      await warmPool();
+      await poolConfig.save(poolConfig.prepare({ inactivityTimeoutMs: 60_000 }), "test");
+      try {
+        const { instanceId } = await pool.provision("Busy", "Say hi", undefined);
+        const serviceId = cache.getAll().find((i) => i.id === instanceId).serviceId;
+        agents.get(serviceId).lastMessageAt = undefined;
+
+        tables.agent_metadata.find((r) => r.id === instanceId).claimed_at = new Date(Date.now() - 120_000);
+        await pool.tick();
+        await pool.tick();
+        assert.equal(railway.services.has(serviceId), true);
+        assert.equal(cache.get(serviceId).expiry, null);
+      } finally {
+        await poolConfig.save(poolConfig.prepare({ inactivityTimeoutMs: null }), "test");
+      }
+    });
+
+    it("keeps killed agents in history", async () => {
+      await warmPool();
+      const { instanceId } = await pool.provision("Tokyo Trip", "Plan a trip", undefined);
+      await pool.killInstance(instanceId);
+
+      assert.equal(cache.getAll().length, 1);
+      const { agents: history } = await pool.listHistory({ search: "tokyo", limit: 10 });
+      assert.equal(history.length, 1);
+      assert.equal(history[0].id, instanceId);
+      assert.equal(history[0].reason, "killed");
+      assert.ok(history[0].terminatedAt instanceof Date);
+      assert.deepEqual(await pool.listHistory({ search: "paris", limit: 10 }), { agents: [], nextBefore: null });
+    });
+
+    it("pages through history without skipping agents terminated at the same time", async () => {
+      await warmPool();
+      for (const name of ["Tokyo Trip", "Paris Trip"]) {
+        const { instanceId } = await pool.provision(name, "Plan a trip", undefined);
+        await pool.killInstance(instanceId);
+      }
+      const at = new Date();
+      for (const row of tables.agent_metadata) row.terminated_at = at;
+
+      const first = await pool.listHistory({ limit: 1 });
+      const second = await pool.listHistory({ before: first.nextBefore, limit: 1 });
+      const last = await pool.listHistory({ before: second.nextBefore, limit: 1 });
+      assert.deepEqual(
+        [...first.agents, ...second.agents].map((a) => a.agentName).sort(),
+        ["Paris Trip", "Tokyo Trip"]
+      );
+      assert.deepEqual(last, { agents: [], nextBefore: null });
+      assert.equal(pool.parseHistoryCursor("not a cursor"), null);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+import { poolConfig as db } from "./db/store.js";
+import * as pools from "./pools.js";
+import { STUCK_TIMEOUT_MS } from "./status.js";
+import { parseSchedule } from "./schedule.js";
+import { createLogger } from "./logger.js";
+
+// Settings operators can change at runtime through /api/pool/config:
+//
+//   pools           { <pool name>: { minIdle, maxTotal } }
+//   stuckTimeoutMs  How long an unreachable instance may take to come up
+//   tickIntervalMs  Time between ticks
+//   instanceEnv     Env vars for new instances, over the defaults (a pool's own env wins)
+//   schedules       Time-of-day minIdle windows (see schedule.js)
+//   maxLifetimeMs        Longest a claimed agent may run (0 = no limit)
+//   inactivityTimeoutMs  Longest a claimed agent may go without a message (0 = no limit)
+//
+// Env vars and POOL_DEFINITIONS give the defaults. Changes are saved as
+// overrides in the pool_config table and reloaded at the start of every
+// tick, so they apply without a restart.
+
+const log = createLogger("config");
+
+const SETTINGS = ["pools", "stuckTimeoutMs", "tickIntervalMs", "instanceEnv", "schedules", "maxLifetimeMs", "inactivityTimeoutMs"];
+const POOL_SETTINGS = ["minIdle", "maxTotal"];
+const ENV_KEY_PATTERN = /^[A-Z_][A-Z0-9_]*$/;
+
+// Allowed ranges, in ms
+const STUCK_TIMEOUT_RANGE = [60_000, 24 * 60 * 60 * 1000];
+const TICK_INTERVAL_RANGE = [5_000, 10 * 60 * 1000];
+const AGENT_LIMIT_RANGE = [60_000, 30 * 24 * 60 * 60 * 1000];
+// Longest an agent's lifetime may be, here or as a claim's ttlMs/expiresAt
+export const AGENT_LIMIT_MAX_MS = AGENT_LIMIT_RANGE[1];
+
+const DEFAULT_SCHEDULES = (process.env.POOL_SCHEDULES ? JSON.parse(process.env.POOL_SCHEDULES) : []).map((s) =>
+  parseSchedule(s, pools.names())
+);
+
+// Settings before any overrides.
+export function defaults() {
+  return {
+    pools: Object.fromEntries(pools.list().map((p) => [p.name, { minIdle: p.minIdle, maxTotal: p.maxTotal }])),
+    stuckTimeoutMs: STUCK_TIMEOUT_MS,
+    tickIntervalMs: parseInt(process.env.TICK_INTERVAL_MS || "30000", 10),
+    instanceEnv: { XMTP_ENV: process.env.INSTANCE_XMTP_ENV || "dev" },
+    schedules: DEFAULT_SCHEDULES,
+    maxLifetimeMs: parseInt(process.env.POOL_MAX_LIFETIME_MS || "0", 10),
+    inactivityTimeoutMs: parseInt(process.env.POOL_INACTIVITY_TIMEOUT_MS || "0", 10),
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Apply a PUT body to the saved overrides and return the new overrides.
+// Omitted settings are left alone; null resets one to its default.
+export function applyChanges(overrides, changes, poolNames = pools.names()) {
+  if (!isObject(changes)) throw new Error("Body must be a JSON object");
+  const next = structuredClone(overrides);
+  for (const [key, value] of Object.entries(changes)) {
+    if (!SETTINGS.includes(key)) throw new Error(`Unknown setting ${key}`);
+    if (value === null) {
+      delete next[key];
+      continue;
+    }
+    if (key !== "pools") {
+      next[key] = value;
+      continue;
+    }
+    if (!isObject(value)) throw new Error("pools must be an object keyed by pool name");
+    next.pools ??= {};
+    for (const [name, sizing] of Object.entries(value)) {
+      if (!poolNames.includes(name)) throw new Error(`Unknown pool ${name}`);
+      if (sizing === null) {
+        delete next.pools[name];
+        continue;
+      }
+      if (!isObject(sizing)) throw new Error(`pools.${name} must be an object`);
+      const merged = { ...next.pools[name] };
+      for (const [field, v] of Object.entries(sizing)) {
+        if (!POOL_SETTINGS.includes(field)) throw new Error(`Unknown pool setting ${field}`);
+        if (v === null) delete merged[field];
+        else merged[field] = v;
+      }
+      next.pools[name] = merged;
+    }
+  }
+  return next;
+}
+
+// Effective settings: defaults with overrides on top. Overrides for pools
+// that are no longer defined are ignored. instanceEnv overrides are merged
+// over the default env vars, so setting one doesn't drop XMTP_ENV.
+export function resolve(base, overrides) {
+  return {
+    pools: Object.fromEntries(
+      Object.entries(base.pools).map(([name, sizing]) => [name, { ...sizing, ...overrides.pools?.[name] }])
+    ),
+    stuckTimeoutMs: overrides.stuckTimeoutMs ?? base.stuckTimeoutMs,
+    tickIntervalMs: overrides.tickIntervalMs ?? base.tickIntervalMs,
+    instanceEnv: { ...base.instanceEnv, ...overrides.instanceEnv },
+    schedules: overrides.schedules ?? base.schedules,
+    maxLifetimeMs: overrides.maxLifetimeMs ?? base.maxLifetimeMs,
+    inactivityTimeoutMs: overrides.inactivityTimeoutMs ?? base.inactivityTimeoutMs,
+  };
+}
+
+function checkRange(name, value, [min, max]) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be an integer between ${min} and ${max}`);
+  }
+}
+
+// Check overrides against the defaults and return the effective settings.
+// Throws on the first invalid setting. Defaults from env vars are taken as
+// they are; only overridden values are range-checked.
+export function validate(overrides, base = defaults()) {
+  const config = resolve(base, overrides);
+  for (const [name, { minIdle, maxTotal }] of Object.entries(config.pools)) {
+    if (!Number.isInteger(minIdle) || minIdle < 0) throw new Error(`pools.${name}.minIdle must be a non-negative integer`);
+    if (!Number.isInteger(maxTotal) || maxTotal < 1) throw new Error(`pools.${name}.maxTotal must be a positive integer`);
+    if (minIdle > maxTotal) throw new Error(`pools.${name}.minIdle cannot exceed maxTotal`);
+  }
+  if (overrides.stuckTimeoutMs !== undefined) checkRange("stuckTimeoutMs", overrides.stuckTimeoutMs, STUCK_TIMEOUT_RANGE);
+  if (overrides.tickIntervalMs !== undefined) checkRange("tickIntervalMs", overrides.tickIntervalMs, TICK_INTERVAL_RANGE);
+  for (const name of ["maxLifetimeMs", "inactivityTimeoutMs"]) {
+    // 0 turns the limit off
+    if (overrides[name] !== undefined && overrides[name] !== 0) checkRange(name, overrides[name], AGENT_LIMIT_RANGE);
+  }
+  if (!isObject(config.instanceEnv)) throw new Error("instanceEnv must be an object");
+  for (const [key, value] of Object.entries(config.instanceEnv)) {
+    if (!ENV_KEY_PATTERN.test(key)) throw new Error(`instanceEnv.${key} is not a valid variable name`);
+    if (pools.RESERVED_ENV.includes(key)) throw new Error(`instanceEnv.${key} is set by the pool manager`);
+    if (typeof value !== "string") throw new Error(`instanceEnv.${key} must be a string`);
+  }
+  if (!Array.isArray(config.schedules)) throw new Error("schedules must be an array");
+  config.schedules = config.schedules.map((raw, i) => {
+    let schedule;
+    try {
+      schedule = parseSchedule(raw, Object.keys(config.pools));
+    } catch (err) {
+      throw new Error(`schedules[${i}]: ${err.message}`);
+    }
+    if (schedule.minIdle > config.pools[schedule.pool].maxTotal) {
+      throw new Error(`schedules[${i}]: minIdle cannot exceed maxTotal of pool ${schedule.pool}`);
+    }
+    return schedule;
+  });
+  return config;
+}
+
+let overrides = {};
+let current = defaults();
+let updatedBy = null;
+let updatedAt = null;
+
+// Current effective settings.
+export function get() {
+  return current;
+}
+
+// Settings plus what was overridden, and by whom (for GET /api/pool/config).
+export function view() {
+  return { config: current, overrides, defaults: defaults(), updatedBy, updatedAt };
+}
+
+// Reload the saved overrides (called at the start of each tick). Keeps the
+// previous settings if the store is unreachable or the saved ones no longer
+// validate, e.g. after POOL_DEFINITIONS changed.
+export async function load() {
+  let row;
+  try {
+    row = await db.getConfig();
+  } catch (err) {
+    log.warn("Failed to load pool config, keeping current settings", { err });
+    return current;
+  }
+  const saved = row?.settings || {};
+  let config;
+  try {
+    config = validate(saved);
+  } catch (err) {
+    log.error("Saved pool config is invalid, keeping current settings", { err });
+    return current;
+  }
+  overrides = saved;
+  current = config;
+  updatedBy = row?.updated_by || null;
+  updatedAt = row?.updated_at || null;
+  return current;
+}
+
+// Overrides after applying a PUT body. Throws on invalid input; nothing is
+// saved until save().
+export function prepare(changes) {
+  const next = applyChanges(overrides, changes);
+  validate(next);
+  return next;
+}
+
+// Save overrides from prepare() and apply them right away.
+export async function save(next, actor) {
+  const row = await db.saveConfig(next, actor);
+  overrides = next;
+  current = validate(next);
+  updatedBy = row.updated_by;
+  updatedAt = row.updated_at;
+  log.info("Pool config updated", { actor });
+  return view();
+}
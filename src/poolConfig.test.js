@@ -0,0 +1,76 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.DATABASE_URL = "memory:";
+process.env.LOG_LEVEL = "error";
+process.env.POOL_MIN_IDLE = "3";
+process.env.POOL_MAX_TOTAL = "10";
+delete process.env.POOL_DEFINITIONS;
+
+const poolConfig = await import("./poolConfig.js");
+const { poolConfig: db } = await import("./db/store.js");
+const { reset } = await import("./db/memory/index.js");
+
+describe("poolConfig", () => {
+  beforeEach(async () => {
+    reset();
+    await poolConfig.load();
+  });
+
+  it("starts from the env defaults", () => {
+    const config = poolConfig.get();
+    assert.deepEqual(config.pools, { default: { minIdle: 3, maxTotal: 10 } });
+    assert.equal(config.tickIntervalMs, 30_000);
+    assert.equal(poolConfig.view().updatedBy, null);
+  });
+
+  it("merges changes into the overrides and resets them with null", () => {
+    let overrides = poolConfig.applyChanges({}, { pools: { default: { minIdle: 5 } }, tickIntervalMs: 10_000 });
+    overrides = poolConfig.applyChanges(overrides, { pools: { default: { maxTotal: 20 } } });
+    assert.deepEqual(overrides, { pools: { default: { minIdle: 5, maxTotal: 20 } }, tickIntervalMs: 10_000 });
+
+    overrides = poolConfig.applyChanges(overrides, { pools: { default: { minIdle: null } }, tickIntervalMs: null });
+    assert.deepEqual(overrides, { pools: { default: { maxTotal: 20 } } });
+  });
+
+  it("keeps the default XMTP_ENV when instanceEnv sets other variables", async () => {
+    await poolConfig.save(poolConfig.prepare({ instanceEnv: { LOG_FORMAT: "json" } }), "alice");
+    assert.deepEqual(poolConfig.get().instanceEnv, { XMTP_ENV: "dev", LOG_FORMAT: "json" });
+    await poolConfig.save(poolConfig.prepare({ instanceEnv: { XMTP_ENV: "production" } }), "alice");
+    assert.deepEqual(poolConfig.get().instanceEnv, { XMTP_ENV: "production" });
+  });
+
+  it("rejects unknown settings and invalid values", () => {
+    assert.throws(() => poolConfig.prepare({ minIdle: 3 }), /Unknown setting minIdle/);
+    assert.throws(() => poolConfig.prepare({ pools: { canary: { minIdle: 1 } } }), /Unknown pool canary/);
+    assert.throws(() => poolConfig.prepare({ pools: { default: { minIdle: 11 } } }), /cannot exceed maxTotal/);
+    assert.throws(() => poolConfig.prepare({ pools: { default: { minIdle: "4" } } }), /non-negative integer/);
+    assert.throws(() => poolConfig.prepare({ tickIntervalMs: 100 }), /tickIntervalMs must be an integer between/);
+    assert.throws(() => poolConfig.prepare({ instanceEnv: { PORT: "1" } }), /set by the pool manager/);
+    assert.throws(() => poolConfig.prepare({ instanceEnv: { "bad-key": "1" } }), /not a valid variable name/);
+    assert.throws(() => poolConfig.prepare([]), /JSON object/);
+    assert.throws(
+      () => poolConfig.prepare({ schedules: [{ start: "09:00", end: "18:00", minIdle: 11 }] }),
+      /schedules\[0\]: minIdle cannot exceed maxTotal/
+    );
+    assert.throws(() => poolConfig.prepare({ schedules: [{ start: "9", end: "18:00", minIdle: 1 }] }), /schedules\[0\]: Schedule start/);
+  });
+
+  it("saves who changed what, and reloads it", async () => {
+    await poolConfig.save(poolConfig.prepare({ pools: { default: { minIdle: 1 } }, instanceEnv: { XMTP_ENV: "production" } }), "alice");
+    assert.equal(poolConfig.get().pools.default.minIdle, 1);
+
+    // Another manager process saving directly to the store is picked up by load()
+    await db.saveConfig({ stuckTimeoutMs: 120_000 }, "bob");
+    const config = await poolConfig.load();
+    assert.equal(config.stuckTimeoutMs, 120_000);
+    assert.equal(config.pools.default.minIdle, 3);
+    assert.equal(poolConfig.view().updatedBy, "bob");
+  });
+
+  it("keeps the current settings when the saved ones are invalid", async () => {
+    await poolConfig.save(poolConfig.prepare({ tickIntervalMs: 15_000 }), "alice");
+    await db.saveConfig({ tickIntervalMs: -1 }, "mallory");
+    assert.equal((await poolConfig.load()).tickIntervalMs, 15_000);
+  });
+});
@@ -0,0 +1,123 @@
+// Named pools. Each pool keeps its own stock of idle instances, built from its
+// own OpenClaw git ref and env vars and named with its own service prefix, so
+// e.g. a canary build can run next to the default one.
+//
+// Define them with POOL_DEFINITIONS, a JSON array:
+//
+//   [{ "name": "default", "minIdle": 3, "maxTotal": 10 },
+//    { "name": "canary-openclaw", "minIdle": 1, "maxTotal": 2, "gitRef": "main" },
+//    { "name": "high-memory", "minIdle": 0, "maxTotal": 3, "env": { "NODE_OPTIONS": "--max-old-space-size=4096" } },
+//    { "name": "prebuilt", "minIdle": 3, "maxTotal": 10, "image": "ghcr.io/xmtplabs/openclaw-agent:staging" }]
+//
+// A pool with an image deploys that pre-built image (see registry.js) instead
+// of building agent/Dockerfile for each instance. Omitted fields fall back to
+// POOL_MIN_IDLE, POOL_MAX_TOTAL, OPENCLAW_GIT_REF and OPENCLAW_IMAGE; "image":
+// null builds from source even when OPENCLAW_IMAGE is set. Without
+// POOL_DEFINITIONS there is a single "default" pool.
+
+export const DEFAULT_POOL = "default";
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const PREFIX_PATTERN = /^[a-z0-9][a-z0-9-]*-$/;
+
+// Set by the pool manager on every instance; a pool can't override them.
+export const RESERVED_ENV = ["GATEWAY_AUTH_TOKEN", "PORT", "POOL_NAME"];
+
+const IS_PRODUCTION = (process.env.POOL_ENVIRONMENT || "staging") === "production";
+
+export function defaultPrefix(name) {
+  return name === DEFAULT_POOL ? "convos-agent-" : `convos-agent-${name}-`;
+}
+
+function isCount(value, min) {
+  return Number.isInteger(value) && value >= min;
+}
+
+// Validate pool definitions and fill in defaults ({ minIdle, maxTotal, gitRef, image }).
+// Throws on the first problem, naming the pool.
+export function parsePools(definitions, defaults) {
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error("POOL_DEFINITIONS must be a non-empty JSON array");
+  }
+  const pools = definitions.map((def) => {
+    if (!def || typeof def !== "object") throw new Error("Each pool definition must be an object");
+    const {
+      name,
+      minIdle = defaults.minIdle,
+      maxTotal = defaults.maxTotal,
+      gitRef = defaults.gitRef,
+      image = defaults.image ?? null,
+      env = {},
+    } = def;
+    if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid pool name ${JSON.stringify(name)}: use lowercase letters, digits and dashes`);
+    }
+    const namePrefix = def.namePrefix ?? defaultPrefix(name);
+    if (!isCount(minIdle, 0)) throw new Error(`Pool ${name}: minIdle must be a non-negative integer`);
+    if (!isCount(maxTotal, 1)) throw new Error(`Pool ${name}: maxTotal must be a positive integer`);
+    if (minIdle > maxTotal) throw new Error(`Pool ${name}: minIdle cannot exceed maxTotal`);
+    if (typeof gitRef !== "string" || !gitRef) throw new Error(`Pool ${name}: gitRef must be a non-empty string`);
+    if (image !== null && (typeof image !== "string" || !image || /\s/.test(image))) {
+      throw new Error(`Pool ${name}: image must be an image reference or null`);
+    }
+    if (typeof namePrefix !== "string" || !PREFIX_PATTERN.test(namePrefix)) {
+      throw new Error(`Pool ${name}: namePrefix must be lowercase letters, digits and dashes, ending in a dash`);
+    }
+    if (!env || typeof env !== "object" || Array.isArray(env)) throw new Error(`Pool ${name}: env must be an object`);
+    for (const [key, value] of Object.entries(env)) {
+      if (typeof value !== "string") throw new Error(`Pool ${name}: env.${key} must be a string`);
+      if (RESERVED_ENV.includes(key)) throw new Error(`Pool ${name}: env.${key} is set by the pool manager`);
+    }
+    return { name, minIdle, maxTotal, gitRef, image, namePrefix, env: { ...env } };
+  });
+
+  const seen = new Set();
+  const prefixes = new Set();
+  for (const p of pools) {
+    if (seen.has(p.name)) throw new Error(`Duplicate pool name ${p.name}`);
+    if (prefixes.has(p.namePrefix)) throw new Error(`Pool ${p.name}: namePrefix ${p.namePrefix} is already used`);
+    seen.add(p.name);
+    prefixes.add(p.namePrefix);
+  }
+  if (!seen.has(DEFAULT_POOL)) throw new Error(`POOL_DEFINITIONS must include a "${DEFAULT_POOL}" pool`);
+  return pools;
+}
+
+// The pool whose prefix starts `serviceName` (the longest one when prefixes
+// nest, e.g. "convos-agent-" and "convos-agent-canary-"), or null.
+export function forServiceName(serviceName, list = pools) {
+  let match = null;
+  for (const p of list) {
+    if (serviceName.startsWith(p.namePrefix) && (!match || p.namePrefix.length > match.namePrefix.length)) {
+      match = p;
+    }
+  }
+  return match;
+}
+
+const pools = parsePools(
+  process.env.POOL_DEFINITIONS ? JSON.parse(process.env.POOL_DEFINITIONS) : [{ name: DEFAULT_POOL }],
+  {
+    minIdle: parseInt(process.env.POOL_MIN_IDLE || "3", 10),
+    maxTotal: parseInt(process.env.POOL_MAX_TOTAL || "10", 10),
+    gitRef: process.env.OPENCLAW_GIT_REF || (IS_PRODUCTION ? "main" : "staging"),
+    image: process.env.OPENCLAW_IMAGE || null,
+  }
+);
+
+export function list() {
+  return pools;
+}
+
+export function names() {
+  return pools.map((p) => p.name);
+}
+
+export function get(name) {
+  return pools.find((p) => p.name === name) || null;
+}
+
+// Public view of a pool: env values can hold secrets, so only their keys.
+export function toPublic({ env, ...pool }) {
+  return { ...pool, envKeys: Object.keys(env) };
+}
@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parsePools, forServiceName } from "./pools.js";
+
+const defaults = { minIdle: 3, maxTotal: 10, gitRef: "staging" };
+
+describe("parsePools", () => {
+  it("fills in defaults and name prefixes", () => {
+    const [main, canary] = parsePools([{ name: "default" }, { name: "canary", minIdle: 1, gitRef: "main" }], defaults);
+    assert.deepEqual(main, { name: "default", minIdle: 3, maxTotal: 10, gitRef: "staging", image: null, namePrefix: "convos-agent-", env: {} });
+    assert.equal(canary.minIdle, 1);
+    assert.equal(canary.gitRef, "main");
+    assert.equal(canary.namePrefix, "convos-agent-canary-");
+  });
+
+  it("deploys the default image unless a pool builds from source", () => {
+    const image = "ghcr.io/xmtplabs/openclaw-agent:staging";
+    const [main, source, canary] = parsePools(
+      [{ name: "default" }, { name: "source", image: null }, { name: "canary", image: "ghcr.io/xmtplabs/openclaw-agent:main" }],
+      { ...defaults, image }
+    );
+    assert.equal(main.image, image);
+    assert.equal(source.image, null);
+    assert.equal(canary.image, "ghcr.io/xmtplabs/openclaw-agent:main");
+  });
+
+  it("requires a default pool", () => {
+    assert.throws(() => parsePools([{ name: "canary" }], defaults), /must include a "default" pool/);
+    assert.throws(() => parsePools([], defaults), /non-empty JSON array/);
+  });
+
+  it("rejects bad definitions", () => {
+    const bad = [
+      [{ name: "Default" }, /Invalid pool name/],
+      [{ name: "default", minIdle: -1 }, /minIdle must be/],
+      [{ name: "default", maxTotal: 0 }, /maxTotal must be/],
+      [{ name: "default", minIdle: 5, maxTotal: 2 }, /cannot exceed maxTotal/],
+      [{ name: "default", namePrefix: "agents" }, /namePrefix must be/],
+      [{ name: "default", env: { NODE_OPTIONS: 1 } }, /env.NODE_OPTIONS must be a string/],
+      [{ name: "default", env: { GATEWAY_AUTH_TOKEN: "x" } }, /set by the pool manager/],
+      [{ name: "default", image: "" }, /image must be/],
+      [{ name: "default", image: "ghcr.io/a b" }, /image must be/],
+    ];
+    for (const [def, error] of bad) {
+      assert.throws(() => parsePools([def], defaults), error);
+    }
+    assert.throws(() => parsePools([{ name: "default" }, { name: "default" }], defaults), /Duplicate pool name/);
+    assert.throws(
+      () => parsePools([{ name: "default" }, { name: "other", namePrefix: "convos-agent-" }], defaults),
+      /already used/
+    );
+  });
+});
+
+describe("forServiceName", () => {
+  const list = parsePools([{ name: "default" }, { name: "canary" }], defaults);
+
+  it("picks the longest matching prefix", () => {
+    assert.equal(forServiceName("convos-agent-abc", list).name, "default");
+    assert.equal(forServiceName("convos-agent-canary-abc", list).name, "canary");
+    assert.equal(forServiceName("something-else", list), null);
+  });
+});
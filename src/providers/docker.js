@@ -0,0 +1,160 @@
+import { execFile } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { createLogger } from "../logger.js";
+
+// Docker provider: each instance is a container of the agent/Dockerfile image
+// (or of a pre-built image, pulled on first use) on the local Docker host,
+// with its port 8080 published on a random host port. Containers are tagged
+// with a label per POOL_ENVIRONMENT so several pools can share one host.
+
+export const name = "docker";
+
+const execFileAsync = promisify(execFile);
+const log = createLogger("docker");
+
+const DOCKER_BIN = process.env.DOCKER_BIN || "docker";
+const IMAGE = process.env.DOCKER_AGENT_IMAGE || "convos-agent-pool:local";
+// Host the manager uses to reach published ports. Ports are only published on
+// loopback unless this points somewhere else.
+const AGENT_HOST = process.env.DOCKER_AGENT_HOST || "127.0.0.1";
+const PUBLISH_IP = ["127.0.0.1", "localhost"].includes(AGENT_HOST) ? "127.0.0.1" : "0.0.0.0";
+const AGENT_DIR = fileURLToPath(new URL("../../agent/", import.meta.url));
+
+export const LABEL = "convos-pool.environment";
+const ENVIRONMENT = process.env.POOL_ENVIRONMENT || "staging";
+
+async function docker(args, env = {}) {
+  const { stdout } = await execFileAsync(DOCKER_BIN, args, {
+    env: { ...process.env, ...env },
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  return stdout.trim();
+}
+
+// Image tag for an OpenClaw git ref, so pools on different refs (normally
+// the commits the manager resolved them to) get their own builds:
+// DOCKER_AGENT_IMAGE suffixed with the ref.
+export function imageFor(gitRef) {
+  return gitRef ? `${IMAGE}-${gitRef.replace(/[^a-zA-Z0-9_.-]+/g, "-")}` : IMAGE;
+}
+
+// Build the image for a git ref the first time it's needed. Concurrent
+// callers share one build.
+/** @type {Map<string, Promise<string>>} */
+const builds = new Map();
+function ensureImage(gitRef) {
+  const image = imageFor(gitRef);
+  if (!builds.has(image)) {
+    const build = (async () => {
+      try {
+        await docker(["image", "inspect", image]);
+        return image;
+      } catch {
+        // Not built yet
+      }
+      log.info("Building agent image", { image, gitRef });
+      const args = ["build", "-t", image];
+      if (gitRef) args.push("--build-arg", `OPENCLAW_GIT_REF=${gitRef}`);
+      await docker([...args, AGENT_DIR]);
+      log.info("Built agent image", { image });
+      return image;
+    })().catch((err) => {
+      builds.delete(image);
+      throw err;
+    });
+    builds.set(image, build);
+  }
+  return builds.get(image);
+}
+
+// Map a container's state onto Railway deploy statuses (see status.js).
+export function deployStatus(state) {
+  switch (state?.Status) {
+    case "running":
+      return "SUCCESS";
+    case "created":
+    case "restarting":
+      return "DEPLOYING";
+    case "paused":
+      return "SLEEPING";
+    case "exited":
+    case "dead":
+      return state.ExitCode === 0 ? "REMOVED" : "CRASHED";
+    default:
+      return null;
+  }
+}
+
+// `docker inspect` output → { id, name, createdAt, image, deployStatus }.
+export function toInstance(container) {
+  return {
+    id: container.Id,
+    name: container.Name.replace(/^\//, ""),
+    createdAt: container.Created,
+    image: container.Config?.Image || null,
+    deployStatus: deployStatus(container.State),
+  };
+}
+
+// Docker names allow [a-zA-Z0-9][a-zA-Z0-9_.-]*; agent names may not.
+export function containerName(label) {
+  return label.replace(/[^a-zA-Z0-9_.-]+/g, "-").replace(/^[^a-zA-Z0-9]+/, "") || "convos-agent";
+}
+
+export async function createInstance(serviceName, env, { image = null } = {}) {
+  image ||= await ensureImage(env.OPENCLAW_GIT_REF);
+  // Values go through the docker CLI's environment, not argv, so tokens don't
+  // show up in the host's process list.
+  const args = ["run", "-d", "--name", containerName(serviceName), "--label", `${LABEL}=${ENVIRONMENT}`];
+  args.push("-p", `${PUBLISH_IP}::8080`);
+  for (const key of Object.keys(env)) args.push("-e", key);
+  const id = await docker([...args, image], env);
+  return { id, url: await getUrl(id) };
+}
+
+export async function deleteInstance(id) {
+  await docker(["rm", "-f", id]);
+}
+
+// Containers for our environment, or null if Docker couldn't be reached.
+export async function listInstances() {
+  try {
+    const ids = (await docker(["ps", "-aq", "--no-trunc", "--filter", `label=${LABEL}=${ENVIRONMENT}`]))
+      .split("\n")
+      .filter(Boolean);
+    if (ids.length === 0) return [];
+    return JSON.parse(await docker(["inspect", ...ids])).map(toInstance);
+  } catch (err) {
+    log.warn("listInstances failed", { err });
+    return null;
+  }
+}
+
+export async function getUrl(id) {
+  try {
+    const mapping = (await docker(["port", id, "8080/tcp"])).split("\n")[0];
+    const port = mapping.slice(mapping.lastIndexOf(":") + 1);
+    return port ? `http://${AGENT_HOST}:${port}` : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function getEnv(id) {
+  try {
+    const [container] = JSON.parse(await docker(["inspect", id]));
+    return Object.fromEntries(
+      container.Config.Env.map((entry) => {
+        const idx = entry.indexOf("=");
+        return [entry.slice(0, idx), entry.slice(idx + 1)];
+      })
+    );
+  } catch {
+    return null;
+  }
+}
+
+export async function setLabel(id, label) {
+  await docker(["rename", id, containerName(label)]);
+}
@@ -0,0 +1,45 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { deployStatus, toInstance, containerName, imageFor } from "./docker.js";
+
+describe("docker provider", () => {
+  it("maps container states onto deploy statuses", () => {
+    assert.equal(deployStatus({ Status: "running", ExitCode: 0 }), "SUCCESS");
+    assert.equal(deployStatus({ Status: "created", ExitCode: 0 }), "DEPLOYING");
+    assert.equal(deployStatus({ Status: "restarting", ExitCode: 1 }), "DEPLOYING");
+    assert.equal(deployStatus({ Status: "paused", ExitCode: 0 }), "SLEEPING");
+    assert.equal(deployStatus({ Status: "exited", ExitCode: 137 }), "CRASHED");
+    assert.equal(deployStatus({ Status: "exited", ExitCode: 0 }), "REMOVED");
+    assert.equal(deployStatus({ Status: "dead", ExitCode: 1 }), "CRASHED");
+    assert.equal(deployStatus(undefined), null);
+  });
+
+  it("turns docker inspect output into an instance", () => {
+    const container = {
+      Id: "4f1c0ffee",
+      Name: "/convos-agent-abc",
+      Created: "2026-02-12T01:02:03.456Z",
+      State: { Status: "running", ExitCode: 0 },
+      Config: { Image: "ghcr.io/xmtplabs/openclaw-agent@sha256:abc" },
+    };
+    assert.deepEqual(toInstance(container), {
+      id: "4f1c0ffee",
+      name: "convos-agent-abc",
+      createdAt: "2026-02-12T01:02:03.456Z",
+      image: "ghcr.io/xmtplabs/openclaw-agent@sha256:abc",
+      deployStatus: "SUCCESS",
+    });
+  });
+
+  it("makes agent names valid container names", () => {
+    assert.equal(containerName("convos-agent-abc"), "convos-agent-abc");
+    assert.equal(containerName("convos-agent-Tokyo Trip!"), "convos-agent-Tokyo-Trip-");
+    assert.equal(containerName("  ~~"), "convos-agent");
+  });
+
+  it("tags one image per git ref", () => {
+    assert.equal(imageFor("staging"), "convos-agent-pool:local-staging");
+    assert.equal(imageFor("feature/x"), "convos-agent-pool:local-feature-x");
+    assert.equal(imageFor(undefined), "convos-agent-pool:local");
+  });
+});
@@ -0,0 +1,38 @@
+import * as railway from "./railway.js";
+import * as docker from "./docker.js";
+
+// Compute provider that runs agent instances, chosen by POOL_PROVIDER
+// ("railway" by default, or "docker" for a local Docker host).
+//
+// An instance ID is whatever the provider uses to address it (a Railway
+// service ID, a container ID); the pool stores it as serviceId.
+
+/**
+ * @typedef {object} ProviderInstance
+ * @property {string} id
+ * @property {string} name
+ * @property {string} createdAt
+ * @property {string|null} [image]  Pre-built image the instance was deployed from; null when built from source
+ * @property {string|null} deployStatus  Railway deploy status vocabulary (see status.js)
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {string} name
+ * @property {(name: string, env: Record<string, string>, source?: {image?: string|null}) => Promise<{id: string, url: string|null}>} createInstance  Builds agent/Dockerfile, or deploys source.image
+ * @property {(id: string) => Promise<void>} deleteInstance
+ * @property {() => Promise<ProviderInstance[]|null>} listInstances  This environment's instances; null when the provider is unreachable
+ * @property {(id: string) => Promise<string|null>} getUrl
+ * @property {(id: string) => Promise<Record<string, string>|null>} getEnv
+ * @property {(id: string, label: string) => Promise<void>} setLabel  Display name shown in the provider's own UI
+ */
+
+const PROVIDERS = { railway, docker };
+
+const selected = process.env.POOL_PROVIDER || "railway";
+if (!PROVIDERS[selected]) {
+  throw new Error(`Unknown POOL_PROVIDER "${selected}" (expected ${Object.keys(PROVIDERS).join(" or ")})`);
+}
+
+/** @type {Provider} */
+export const provider = PROVIDERS[selected];
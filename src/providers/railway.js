@@ -0,0 +1,53 @@
+import * as railway from "../railway.js";
+import { createLogger } from "../logger.js";
+
+// Railway provider: each instance is a Railway service in RAILWAY_ENVIRONMENT_ID,
+// built from RAILWAY_SOURCE_REPO (or deployed from a pre-built image) and
+// reached through a generated public domain.
+
+export const name = "railway";
+
+const log = createLogger("railway");
+
+// Railway domains are served over HTTPS; RAILWAY_DOMAIN_SCHEME=http lets the
+// test suite use the plain-HTTP fake agents.
+function publicUrl(domain) {
+  return `${process.env.RAILWAY_DOMAIN_SCHEME || "https"}://${domain}`;
+}
+
+export async function createInstance(serviceName, env, { image = null } = {}) {
+  const id = await railway.createService(serviceName, env, { image });
+  const domain = await railway.createDomain(id);
+  return { id, url: publicUrl(domain) };
+}
+
+export async function deleteInstance(id) {
+  await railway.deleteService(id);
+}
+
+// Services in our environment, or null if Railway couldn't be reached.
+export async function listInstances() {
+  const environmentId = process.env.RAILWAY_ENVIRONMENT_ID;
+  if (!environmentId) {
+    log.warn("RAILWAY_ENVIRONMENT_ID not set");
+    return null;
+  }
+  const services = await railway.listProjectServices();
+  if (services === null) return null;
+  return services
+    .filter((s) => s.environmentIds.includes(environmentId))
+    .map(({ id, name, createdAt, image, deployStatus }) => ({ id, name, createdAt, image, deployStatus }));
+}
+
+export async function getUrl(id) {
+  const domain = await railway.getServiceDomain(id);
+  return domain ? publicUrl(domain) : null;
+}
+
+export async function getEnv(id) {
+  return railway.getServiceVariables(id);
+}
+
+export async function setLabel(id, label) {
+  await railway.renameService(id, label);
+}
@@ -1,26 +1,51 @@
-const RAILWAY_API = "https://backboard.railway.com/graphql/v2";
+import * as metrics from "./metrics.js";
+import { createLogger } from "./logger.js";
+
+const DEFAULT_RAILWAY_API = "https://backboard.railway.com/graphql/v2";
+
+const log = createLogger("railway");
+
+// Name a query by its first field, e.g. "serviceCreate" or "project".
+export function operationName(query) {
+  return query.match(/\{\s*(\w+)/)?.[1] || "unknown";
+}
 
 async function gql(query, variables = {}) {
   const token = process.env.RAILWAY_API_TOKEN;
   if (!token) throw new Error("RAILWAY_API_TOKEN not set");
 
-  const res = await fetch(RAILWAY_API, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${token}`,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  const json = await res.json();
-  if (json.errors) {
-    throw new Error(`Railway API error: ${JSON.stringify(json.errors)}`);
+  const operation = operationName(query);
+  const started = performance.now();
+  metrics.railwayRequests.inc({ operation });
+  try {
+    // RAILWAY_API_URL points the client elsewhere, e.g. at the fake in src/fakes/railway.js
+    const res = await fetch(process.env.RAILWAY_API_URL || DEFAULT_RAILWAY_API, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+
+    const json = await res.json();
+    if (json.errors) {
+      throw new Error(`Railway API error: ${JSON.stringify(json.errors)}`);
+    }
+    return json.data;
+  } catch (err) {
+    metrics.railwayErrors.inc({ operation });
+    throw err;
+  } finally {
+    const durationMs = Math.round(performance.now() - started);
+    log.debug("GraphQL call", { operation, durationMs, serviceId: variables.serviceId });
+    metrics.railwayDuration.observe({ operation }, durationMs / 1000);
   }
-  return json.data;
 }
 
-export async function createService(name, variables = {}) {
+// Create a service built from RAILWAY_SOURCE_REPO, or with `image`, one that
+// deploys that pre-built image as it is.
+export async function createService(name, variables = {}, { image = null } = {}) {
   const projectId = process.env.RAILWAY_PROJECT_ID;
   const environmentId = process.env.RAILWAY_ENVIRONMENT_ID;
   if (!environmentId) throw new Error("RAILWAY_ENVIRONMENT_ID not set");
@@ -31,12 +56,13 @@ export async function createService(name, variables = {}) {
     projectId,
     environmentId,
     name,
-    source: { repo },
+    source: image ? { image } : { repo },
     variables,
   };
-  if (branch) input.branch = branch;
+  if (branch && !image) input.branch = branch;
 
-  console.log(`[railway] createService: ${name}, branch=${branch || "(default)"}, env=${environmentId}`);
+  if (image) log.info("createService", { name, image, environmentId });
+  else log.info("createService", { name, branch: branch || "(default)", environmentId });
 
   const data = await gql(
     `mutation($input: ServiceCreateInput!) {
@@ -47,15 +73,19 @@ export async function createService(name, variables = {}) {
 
   const serviceId = data.serviceCreate.id;
 
+  // An image service's first deployment is already the right one; the rest
+  // only applies to builds from the repo.
+  if (image) return serviceId;
+
   // Set rootDirectory for monorepo support (must be done via serviceInstanceUpdate,
   // not supported in ServiceCreateInput).
   const rootDir = process.env.RAILWAY_SOURCE_ROOT_DIR;
   if (rootDir) {
     try {
       await updateServiceInstance(serviceId, { rootDirectory: rootDir });
-      console.log(`[railway]   Set rootDirectory: ${rootDir}`);
+      log.info("Set rootDirectory", { serviceId, rootDir });
     } catch (err) {
-      console.warn(`[railway] Failed to set rootDirectory for ${serviceId}:`, err);
+      log.warn("Failed to set rootDirectory", { serviceId, err });
     }
   }
 
@@ -89,10 +119,10 @@ export async function createService(name, variables = {}) {
           `mutation($id: String!) { deploymentCancel(id: $id) }`,
           { id: initialDeploy.id }
         );
-        console.log(`[railway] Cancelled initial main deployment ${initialDeploy.id}`);
+        log.info("Cancelled initial main deployment", { serviceId, deploymentId: initialDeploy.id });
       }
     } catch (err) {
-      console.warn(`[railway] Failed to cancel initial deployment for ${serviceId}:`, err);
+      log.warn("Failed to cancel initial deployment", { serviceId, err });
     }
 
     // Deploy the latest commit from the correct branch (or default branch).
@@ -111,9 +141,9 @@ export async function createService(name, variables = {}) {
         }`,
         { serviceId, environmentId, commitSha: sha }
       );
-      console.log(`[railway] Deployed ${repo}@${deployRef} (${sha.slice(0, 8)}) to ${serviceId}`);
+      log.info("Deployed commit", { serviceId, repo, ref: deployRef, sha });
     } catch (err) {
-      console.warn(`[railway] Failed to deploy correct branch for ${serviceId}:`, err);
+      log.warn("Failed to deploy correct branch", { serviceId, err });
     }
 
     // Disconnect the repo so pushes don't auto-redeploy all agent instances.
@@ -123,9 +153,9 @@ export async function createService(name, variables = {}) {
         `mutation($id: String!) { serviceDisconnect(id: $id) { id } }`,
         { id: serviceId }
       );
-      console.log(`[railway]   Disconnected repo (auto-deploys disabled)`);
+      log.info("Disconnected repo (auto-deploys disabled)", { serviceId });
     } catch (err) {
-      console.warn(`[railway] Failed to disconnect repo for ${serviceId}:`, err);
+      log.warn("Failed to disconnect repo", { serviceId, err });
     }
   }
 
@@ -196,7 +226,9 @@ export async function deleteService(serviceId) {
 }
 
 // List all services in the project with environment info and deploy status.
-// Returns [{ id, name, createdAt, environmentIds, deployStatus }] or null on API error.
+// Returns [{ id, name, createdAt, environmentIds, image, deployStatus }] or null
+// on API error; image is the service's image source in our environment (null
+// for services built from a repo).
 export async function listProjectServices() {
   const projectId = process.env.RAILWAY_PROJECT_ID;
   try {
@@ -209,7 +241,7 @@ export async function listProjectServices() {
                 id
                 name
                 createdAt
-                serviceInstances { edges { node { environmentId } } }
+                serviceInstances { edges { node { environmentId source { image } } } }
                 deployments(first: 1) {
                   edges { node { id status } }
                 }
@@ -222,15 +254,20 @@ export async function listProjectServices() {
     );
     const edges = data.project?.services?.edges;
     if (!edges) return null;
-    return edges.map((e) => ({
-      id: e.node.id,
-      name: e.node.name,
-      createdAt: e.node.createdAt,
-      environmentIds: (e.node.serviceInstances?.edges || []).map((si) => si.node.environmentId),
-      deployStatus: e.node.deployments?.edges?.[0]?.node?.status || null,
-    }));
+    const environmentId = process.env.RAILWAY_ENVIRONMENT_ID;
+    return edges.map((e) => {
+      const instances = (e.node.serviceInstances?.edges || []).map((si) => si.node);
+      return {
+        id: e.node.id,
+        name: e.node.name,
+        createdAt: e.node.createdAt,
+        environmentIds: instances.map((si) => si.environmentId),
+        image: instances.find((si) => si.environmentId === environmentId)?.source?.image || null,
+        deployStatus: e.node.deployments?.edges?.[0]?.node?.status || null,
+      };
+    });
   } catch (err) {
-    console.warn(`[railway] listProjectServices failed: ${err.message}`);
+    log.warn("listProjectServices failed", { err });
     return null;
   }
 }
@@ -252,7 +289,25 @@ export async function getServiceDomain(serviceId) {
     const sd = data.domains;
     return sd?.customDomains?.[0]?.domain || sd?.serviceDomains?.[0]?.domain || null;
   } catch (err) {
-    console.warn(`[railway] getServiceDomain(${serviceId}) failed: ${err.message}`);
+    log.warn("getServiceDomain failed", { serviceId, err });
+    return null;
+  }
+}
+
+// Get a service's variables in our environment. Returns { NAME: value } or null.
+export async function getServiceVariables(serviceId) {
+  const projectId = process.env.RAILWAY_PROJECT_ID;
+  const environmentId = process.env.RAILWAY_ENVIRONMENT_ID;
+  try {
+    const data = await gql(
+      `query($projectId: String!, $environmentId: String!, $serviceId: String!) {
+        variables(projectId: $projectId, environmentId: $environmentId, serviceId: $serviceId)
+      }`,
+      { projectId, environmentId, serviceId }
+    );
+    return data.variables || null;
+  } catch (err) {
+    log.warn("getServiceVariables failed", { serviceId, err });
     return null;
   }
 }
@@ -0,0 +1,110 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "error";
+process.env.RAILWAY_API_TOKEN = "test-token";
+process.env.RAILWAY_PROJECT_ID = "project-1";
+process.env.RAILWAY_ENVIRONMENT_ID = "env-1";
+// A branch or root dir would make createService call the GitHub API
+delete process.env.RAILWAY_SOURCE_BRANCH;
+delete process.env.RAILWAY_SOURCE_ROOT_DIR;
+
+const railway = await import("./railway.js");
+const metrics = await import("./metrics.js");
+const { startFakeRailway } = await import("./fakes/railway.js");
+
+describe("railway client (fake API)", () => {
+  let fake;
+  beforeEach(async () => {
+    fake = await startFakeRailway();
+    process.env.RAILWAY_API_URL = fake.url;
+  });
+  afterEach(() => fake.close());
+
+  it("creates a service with inline variables and a domain", async () => {
+    const id = await railway.createService("convos-agent-abc", { GATEWAY_AUTH_TOKEN: "t1" });
+    const domain = await railway.createDomain(id);
+
+    assert.equal(fake.services.get(id).name, "convos-agent-abc");
+    assert.deepEqual(await railway.getServiceVariables(id), { GATEWAY_AUTH_TOKEN: "t1" });
+    assert.equal(await railway.getServiceDomain(id), domain);
+    assert.deepEqual(
+      fake.requests.map((r) => r.operation),
+      ["serviceCreate", "serviceDomainCreate", "variables", "domains"]
+    );
+  });
+
+  it("deploys a pre-built image without the cancel and redeploy steps", async () => {
+    process.env.RAILWAY_SOURCE_BRANCH = "staging";
+    process.env.RAILWAY_SOURCE_ROOT_DIR = "agent";
+    try {
+      const image = "ghcr.io/xmtplabs/openclaw-agent@sha256:abc";
+      const id = await railway.createService("convos-agent-abc", { GATEWAY_AUTH_TOKEN: "t1" }, { image });
+
+      assert.deepEqual(fake.requests.map((r) => r.operation), ["serviceCreate"]);
+      assert.deepEqual(fake.requests[0].variables.input.source, { image });
+      assert.equal(fake.requests[0].variables.input.branch, undefined);
+      const [service] = await railway.listProjectServices();
+      assert.equal(service.id, id);
+      assert.equal(service.image, image);
+    } finally {
+      delete process.env.RAILWAY_SOURCE_BRANCH;
+      delete process.env.RAILWAY_SOURCE_ROOT_DIR;
+    }
+  });
+
+  it("lists services with environments and deploy status", async () => {
+    const id = await railway.createService("convos-agent-abc");
+    fake.setDeployStatus(id, "BUILDING");
+
+    const services = await railway.listProjectServices();
+    assert.equal(services.length, 1);
+    assert.equal(services[0].id, id);
+    assert.deepEqual(services[0].environmentIds, ["env-1"]);
+    assert.equal(services[0].image, null);
+    assert.equal(services[0].deployStatus, "BUILDING");
+  });
+
+  it("renames and deletes services", async () => {
+    const id = await railway.createService("convos-agent-abc");
+    await railway.renameService(id, "convos-agent-tokyo");
+    assert.equal((await railway.getServiceInfo(id)).name, "convos-agent-tokyo");
+
+    await railway.deleteService(id);
+    assert.equal(await railway.getServiceInfo(id), null);
+    assert.deepEqual(await railway.listProjectServices(), []);
+  });
+
+  it("surfaces GraphQL errors and counts them", async () => {
+    const id = await railway.createService("convos-agent-abc");
+    const errors = () => metrics.railwayErrors.series.get('{operation="serviceUpdate"}')?.value || 0;
+    const before = errors();
+
+    fake.failNext("serviceUpdate", "Rate limited");
+    await assert.rejects(railway.renameService(id, "x"), /Railway API error: .*Rate limited/);
+    assert.equal(errors(), before + 1);
+
+    // Only the next call fails
+    await railway.renameService(id, "x");
+  });
+
+  it("returns null from read helpers when the API is down", async () => {
+    await railway.createService("convos-agent-abc");
+    fake.down = true;
+
+    assert.equal(await railway.listProjectServices(), null);
+    assert.equal(await railway.getServiceDomain("svc-1"), null);
+    assert.equal(await railway.getServiceVariables("svc-1"), null);
+    await assert.rejects(railway.createService("convos-agent-def"));
+  });
+
+  it("requires a token", async () => {
+    const token = process.env.RAILWAY_API_TOKEN;
+    delete process.env.RAILWAY_API_TOKEN;
+    try {
+      await assert.rejects(railway.deleteService("svc-1"), /RAILWAY_API_TOKEN not set/);
+    } finally {
+      process.env.RAILWAY_API_TOKEN = token;
+    }
+  });
+});
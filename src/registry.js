@@ -0,0 +1,120 @@
+import { createLogger } from "./logger.js";
+
+// Container registries, for pools that deploy a pre-built agent image. A tag
+// like ghcr.io/xmtplabs/openclaw-agent:staging is resolved to the digest it
+// points at (Docker Registry HTTP API v2), and instances are deployed from the
+// pinned reference, so each one records exactly which image it runs. Digests
+// are looked up at most once per DIGEST_CACHE_MS per image.
+
+const DIGEST_CACHE_MS = parseInt(process.env.REGISTRY_DIGEST_CACHE_MS || String(5 * 60 * 1000), 10);
+const DOCKER_HUB = "registry-1.docker.io";
+const MANIFEST_TYPES = [
+  "application/vnd.oci.image.index.v1+json",
+  "application/vnd.docker.distribution.manifest.list.v2+json",
+  "application/vnd.oci.image.manifest.v1+json",
+  "application/vnd.docker.distribution.manifest.v2+json",
+];
+
+const log = createLogger("registry");
+
+// "ghcr.io/org/app:tag@sha256:…" → { registry, repository, tag, digest, name },
+// where name is the reference without tag and digest. Without a registry host
+// the image is on Docker Hub.
+export function parseImage(ref) {
+  let rest = ref;
+  let digest = null;
+  const at = rest.indexOf("@");
+  if (at !== -1) {
+    digest = rest.slice(at + 1);
+    rest = rest.slice(0, at);
+  }
+  let tag = null;
+  const colon = rest.lastIndexOf(":");
+  if (colon > rest.lastIndexOf("/")) {
+    tag = rest.slice(colon + 1);
+    rest = rest.slice(0, colon);
+  }
+  const [first, ...path] = rest.split("/");
+  let registry = DOCKER_HUB;
+  let repository = rest;
+  if (path.length > 0 && (first.includes(".") || first.includes(":") || first === "localhost")) {
+    registry = first;
+    repository = path.join("/");
+  }
+  if (registry === "docker.io" || registry === "index.docker.io") registry = DOCKER_HUB;
+  // Official Docker Hub images live under library/
+  if (registry === DOCKER_HUB && !repository.includes("/")) repository = `library/${repository}`;
+  return { registry, repository, tag: tag || (digest ? null : "latest"), digest, name: rest };
+}
+
+// The digest a reference is pinned to, or null for a plain tag.
+export function pinnedDigest(ref) {
+  return ref ? parseImage(ref).digest : null;
+}
+
+// The reference pinned to `digest`, e.g. "ghcr.io/org/app@sha256:…".
+export function pin(ref, digest) {
+  return `${parseImage(ref).name}@${digest}`;
+}
+
+// Parse a WWW-Authenticate: Bearer realm="…",service="…",scope="…" challenge.
+function bearerChallenge(header) {
+  if (!header?.toLowerCase().startsWith("bearer ")) return null;
+  return Object.fromEntries([...header.slice(7).matchAll(/(\w+)="([^"]*)"/g)].map((m) => [m[1], m[2]]));
+}
+
+// Fetch a pull token for a registry that challenged us. REGISTRY_USERNAME and
+// REGISTRY_PASSWORD are sent for private images; public ones need neither.
+async function fetchToken({ realm, service, scope }) {
+  const url = new URL(realm);
+  if (service) url.searchParams.set("service", service);
+  if (scope) url.searchParams.set("scope", scope);
+  const headers = {};
+  if (process.env.REGISTRY_USERNAME) {
+    const credentials = `${process.env.REGISTRY_USERNAME}:${process.env.REGISTRY_PASSWORD || ""}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  }
+  const res = await fetch(url, { headers, signal: AbortSignal.timeout(10_000) });
+  if (!res.ok) throw new Error(`Registry token request ${res.status}`);
+  const body = await res.json();
+  return body.token || body.access_token;
+}
+
+/** @type {Map<string, {digest: string|null, resolvedAt: number}>} */
+const resolved = new Map();
+
+// The digest an image reference points at, or null if the registry can't be
+// reached (the last known digest is kept). Pinned references are returned
+// as they are.
+export async function resolveDigest(ref) {
+  const image = parseImage(ref);
+  if (image.digest) return image.digest;
+  const cached = resolved.get(ref);
+  if (cached && Date.now() - cached.resolvedAt < DIGEST_CACHE_MS) return cached.digest;
+
+  // REGISTRY_SCHEME=http lets the test suite use a plain-HTTP fake registry
+  const url = `${process.env.REGISTRY_SCHEME || "https"}://${image.registry}/v2/${image.repository}/manifests/${image.tag}`;
+  const headers = { Accept: MANIFEST_TYPES.join(", ") };
+  try {
+    let res = await fetch(url, { method: "HEAD", headers, signal: AbortSignal.timeout(10_000) });
+    const challenge = res.status === 401 && bearerChallenge(res.headers.get("www-authenticate"));
+    if (challenge) {
+      headers.Authorization = `Bearer ${await fetchToken(challenge)}`;
+      res = await fetch(url, { method: "HEAD", headers, signal: AbortSignal.timeout(10_000) });
+    }
+    if (!res.ok) throw new Error(`Registry ${res.status}`);
+    const digest = res.headers.get("docker-content-digest");
+    if (!digest) throw new Error("Registry returned no Docker-Content-Digest");
+    if (cached?.digest !== digest) log.info("Resolved image", { image: ref, digest });
+    resolved.set(ref, { digest, resolvedAt: Date.now() });
+    return digest;
+  } catch (err) {
+    log.warn("Failed to resolve image digest", { image: ref, err });
+    return cached?.digest ?? null;
+  }
+}
+
+// Forget resolved digests (tests).
+export function reset() {
+  resolved.clear();
+}
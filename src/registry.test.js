@@ -0,0 +1,84 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "error";
+process.env.REGISTRY_SCHEME = "http";
+
+const registry = await import("./registry.js");
+const { startFakeRegistry } = await import("./fakes/registry.js");
+
+const DIGEST = `sha256:${"ab".repeat(32)}`;
+
+describe("registry", () => {
+  it("parses image references", () => {
+    assert.deepEqual(registry.parseImage("ghcr.io/xmtplabs/openclaw-agent:staging"), {
+      registry: "ghcr.io",
+      repository: "xmtplabs/openclaw-agent",
+      tag: "staging",
+      digest: null,
+      name: "ghcr.io/xmtplabs/openclaw-agent",
+    });
+    assert.deepEqual(registry.parseImage("localhost:5000/agent"), {
+      registry: "localhost:5000",
+      repository: "agent",
+      tag: "latest",
+      digest: null,
+      name: "localhost:5000/agent",
+    });
+    const hub = registry.parseImage("node:22");
+    assert.equal(hub.registry, "registry-1.docker.io");
+    assert.equal(hub.repository, "library/node");
+    assert.equal(registry.parseImage("docker.io/xmtplabs/agent").repository, "xmtplabs/agent");
+    assert.equal(registry.parseImage(`ghcr.io/org/app:v1@${DIGEST}`).digest, DIGEST);
+  });
+
+  it("pins references to a digest", () => {
+    assert.equal(registry.pin("ghcr.io/org/app:v1", DIGEST), `ghcr.io/org/app@${DIGEST}`);
+    assert.equal(registry.pinnedDigest(`ghcr.io/org/app@${DIGEST}`), DIGEST);
+    assert.equal(registry.pinnedDigest("ghcr.io/org/app:v1"), null);
+    assert.equal(registry.pinnedDigest(null), null);
+  });
+
+  describe("resolveDigest", () => {
+    let fake;
+
+    before(async () => {
+      fake = await startFakeRegistry();
+    });
+
+    after(() => fake.close());
+
+    beforeEach(() => {
+      registry.reset();
+      fake.tags.clear();
+      fake.requests.length = 0;
+      fake.down = false;
+    });
+
+    it("follows the token challenge and reads the manifest digest, once per cache period", async () => {
+      fake.tags.set("xmtplabs/openclaw-agent:staging", DIGEST);
+      const ref = `${fake.host}/xmtplabs/openclaw-agent:staging`;
+      assert.equal(await registry.resolveDigest(ref), DIGEST);
+      assert.equal(await registry.resolveDigest(ref), DIGEST);
+      assert.deepEqual(
+        fake.requests.map((r) => `${r.method} ${r.path}`),
+        [
+          "HEAD /v2/xmtplabs/openclaw-agent/manifests/staging",
+          "GET /token",
+          "HEAD /v2/xmtplabs/openclaw-agent/manifests/staging",
+        ]
+      );
+    });
+
+    it("takes pinned references as they are", async () => {
+      assert.equal(await registry.resolveDigest(`${fake.host}/agent@${DIGEST}`), DIGEST);
+      assert.equal(fake.requests.length, 0);
+    });
+
+    it("returns null for tags it can't resolve", async () => {
+      assert.equal(await registry.resolveDigest(`${fake.host}/agent:missing`), null);
+      fake.down = true;
+      assert.equal(await registry.resolveDigest(`${fake.host}/agent:staging`), null);
+    });
+  });
+});
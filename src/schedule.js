@@ -0,0 +1,91 @@
+// Time-of-day pool sizing. A schedule sets a pool's minIdle during a weekly
+// window in a given timezone:
+//
+//   { "pool": "default", "days": "mon-fri", "start": "09:00", "end": "18:00",
+//     "timezone": "America/Los_Angeles", "minIdle": 8 }
+//
+// Outside every window the pool's own minIdle applies. `days` is "*" or a
+// comma list of days and ranges ("mon-fri", "sat,sun", "fri-mon"). A window
+// whose end is before its start runs past midnight into the next day. When
+// windows overlap, the highest minIdle wins.
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+
+// "mon-fri,sun" → Set of day indexes (0 = Sunday).
+export function parseDays(spec) {
+  if (spec === "*") return new Set(DAYS.keys());
+  const days = new Set();
+  for (const part of String(spec).toLowerCase().split(",")) {
+    const [from, to = from] = part.trim().split("-");
+    const start = DAYS.indexOf(from);
+    const end = DAYS.indexOf(to);
+    if (start === -1 || end === -1) throw new Error(`Invalid days "${spec}": use e.g. "mon-fri", "sat,sun" or "*"`);
+    for (let d = start; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === end) break;
+    }
+  }
+  return days;
+}
+
+function minutes(time) {
+  if (time === "24:00") return 24 * 60;
+  const [h, m] = time.split(":");
+  return parseInt(h, 10) * 60 + parseInt(m, 10);
+}
+
+// Validate a schedule and fill in defaults (every day, UTC, the default pool).
+export function parseSchedule(raw, poolNames) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Each schedule must be an object");
+  const { pool = "default", days = "*", start, end, timezone = "UTC", minIdle } = raw;
+  if (!poolNames.includes(pool)) throw new Error(`Schedule for unknown pool ${pool}`);
+  parseDays(days);
+  for (const [name, time] of Object.entries({ start, end })) {
+    if (typeof time !== "string" || !TIME_PATTERN.test(time)) throw new Error(`Schedule ${name} must be HH:MM`);
+  }
+  if (start === end) throw new Error("Schedule start and end must differ");
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch {
+    throw new Error(`Unknown timezone ${timezone}`);
+  }
+  if (!Number.isInteger(minIdle) || minIdle < 0) throw new Error("Schedule minIdle must be a non-negative integer");
+  return { pool, days, start, end, timezone, minIdle };
+}
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+// Day of week and minutes past midnight of `date` in `timezone`.
+export function localTime(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+    );
+  }
+  const parts = Object.fromEntries(formatters.get(timezone).formatToParts(date).map((p) => [p.type, p.value]));
+  return { day: DAYS.indexOf(parts.weekday.toLowerCase()), minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10) };
+}
+
+export function isActive(schedule, date) {
+  const days = parseDays(schedule.days);
+  const { day, minutes: now } = localTime(date, schedule.timezone);
+  const start = minutes(schedule.start);
+  const end = minutes(schedule.end);
+  if (start < end) return days.has(day) && now >= start && now < end;
+  // Overnight: the part after midnight belongs to the previous day's window
+  return (days.has(day) && now >= start) || (days.has((day + 6) % 7) && now < end);
+}
+
+// The minIdle a pool should have at `date`, and the schedule that set it
+// (null when no window is open and the pool's own minIdle applies).
+export function scheduledMinIdle(schedules, poolName, baseMinIdle, date = new Date()) {
+  let result = { minIdle: baseMinIdle, schedule: null };
+  for (const schedule of schedules) {
+    if (schedule.pool !== poolName || !isActive(schedule, date)) continue;
+    if (!result.schedule || schedule.minIdle > result.minIdle) result = { minIdle: schedule.minIdle, schedule };
+  }
+  return result;
+}
@@ -0,0 +1,60 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseDays, parseSchedule, isActive, scheduledMinIdle } from "./schedule.js";
+
+const workHours = parseSchedule(
+  { days: "mon-fri", start: "09:00", end: "18:00", timezone: "America/Los_Angeles", minIdle: 8 },
+  ["default"]
+);
+
+describe("schedule", () => {
+  it("parses day lists and ranges", () => {
+    assert.deepEqual([...parseDays("mon-fri")], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...parseDays("sat,sun")], [6, 0]);
+    assert.deepEqual([...parseDays("fri-mon")].sort(), [0, 1, 5, 6]);
+    assert.equal(parseDays("*").size, 7);
+    assert.throws(() => parseDays("weekdays"), /Invalid days/);
+  });
+
+  it("validates schedules", () => {
+    assert.deepEqual(parseSchedule({ start: "22:00", end: "06:00", minIdle: 1 }, ["default"]), {
+      pool: "default",
+      days: "*",
+      start: "22:00",
+      end: "06:00",
+      timezone: "UTC",
+      minIdle: 1,
+    });
+    assert.throws(() => parseSchedule({ pool: "x", start: "09:00", end: "18:00", minIdle: 1 }, ["default"]), /unknown pool x/);
+    assert.throws(() => parseSchedule({ start: "9am", end: "18:00", minIdle: 1 }, ["default"]), /start must be HH:MM/);
+    assert.throws(() => parseSchedule({ start: "09:00", end: "09:00", minIdle: 1 }, ["default"]), /must differ/);
+    assert.throws(() => parseSchedule({ start: "09:00", end: "18:00", timezone: "Mars/Base", minIdle: 1 }, ["default"]), /Unknown timezone/);
+    assert.throws(() => parseSchedule({ start: "09:00", end: "18:00", minIdle: -1 }, ["default"]), /minIdle/);
+  });
+
+  it("checks windows in the schedule's timezone", () => {
+    // Wednesday 2026-03-04, 17:30 UTC = 09:30 PST
+    assert.equal(isActive(workHours, new Date("2026-03-04T17:30:00Z")), true);
+    // 16:30 UTC = 08:30 PST
+    assert.equal(isActive(workHours, new Date("2026-03-04T16:30:00Z")), false);
+    // Saturday 2026-03-07 12:00 PST
+    assert.equal(isActive(workHours, new Date("2026-03-07T20:00:00Z")), false);
+  });
+
+  it("runs overnight windows into the next day", () => {
+    const night = parseSchedule({ days: "fri", start: "22:00", end: "02:00", minIdle: 0 }, ["default"]);
+    assert.equal(isActive(night, new Date("2026-03-06T23:00:00Z")), true); // Fri 23:00
+    assert.equal(isActive(night, new Date("2026-03-07T01:00:00Z")), true); // Sat 01:00
+    assert.equal(isActive(night, new Date("2026-03-07T23:00:00Z")), false); // Sat 23:00
+  });
+
+  it("falls back to the pool's minIdle and picks the highest open window", () => {
+    const demo = parseSchedule({ days: "wed", start: "17:00", end: "18:00", minIdle: 12 }, ["default"]);
+    const wednesdayMorning = new Date("2026-03-04T17:30:00Z");
+
+    assert.deepEqual(scheduledMinIdle([workHours], "default", 2, new Date("2026-03-07T20:00:00Z")), { minIdle: 2, schedule: null });
+    assert.equal(scheduledMinIdle([workHours], "default", 2, wednesdayMorning).minIdle, 8);
+    assert.equal(scheduledMinIdle([workHours, demo], "default", 2, wednesdayMorning).schedule, demo);
+    assert.equal(scheduledMinIdle([workHours], "canary", 0, wednesdayMorning).minIdle, 0);
+  });
+});
@@ -0,0 +1,38 @@
+import { schemaMigrations as db } from "./db/store.js";
+import { loadMigrations, pending } from "./migrations.js";
+import { createLogger } from "./logger.js";
+
+// Whether the database schema has every migration in src/db/migrations.
+// Checked at startup and re-checked each tick until it's current, so running
+// `npm run db:migrate` makes the server healthy without a restart.
+
+const log = createLogger("schema");
+
+const migrations = loadMigrations();
+const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+
+/** @type {{current: number, latest: number, pending: Array<{version: number, name: string}>} | null} */
+let status = null;
+
+export async function check() {
+  const applied = await db.listApplied();
+  const todo = pending(migrations, applied);
+  status = {
+    current: applied.length ? Math.max(...applied) : 0,
+    latest,
+    pending: todo.map((m) => ({ version: m.version, name: m.name })),
+  };
+  if (todo.length > 0) {
+    log.error("Database schema is behind; run npm run db:migrate", status);
+  }
+  return status;
+}
+
+// Last check result, or null if the schema hasn't been checked yet.
+export function getStatus() {
+  return status;
+}
+
+export function isCurrent() {
+  return status !== null && status.pending.length === 0;
+}
@@ -0,0 +1,81 @@
+import * as cache from "./cache.js";
+import * as pools from "./pools.js";
+import * as events from "./events.js";
+
+// Server-Sent Events stream of pool changes. Each client gets a snapshot,
+// then "instance" / "instance.removed" diffs from the cache, "counts" when
+// the counts change, and every lifecycle event (e.g. "instance.claimed").
+
+const HEARTBEAT_MS = 25_000;
+
+/** @type {Set<{res: import("express").Response, instanceId: string|null}>} */
+const clients = new Set();
+
+// Totals plus the per-pool breakdown, as served by /api/pool/counts.
+function counts() {
+  return { ...cache.getCounts(), pools: cache.getCountsByPool(pools.names()) };
+}
+
+let lastCounts = JSON.stringify(counts());
+
+function write(client, event, data) {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send an event to every client, or only to clients watching instanceId.
+function broadcast(event, data, instanceId = null) {
+  for (const client of clients) {
+    if (client.instanceId && instanceId !== client.instanceId) continue;
+    write(client, event, data);
+  }
+}
+
+function broadcastCounts() {
+  const current = counts();
+  const json = JSON.stringify(current);
+  if (json === lastCounts) return;
+  lastCounts = json;
+  for (const client of clients) {
+    if (!client.instanceId) write(client, "counts", current);
+  }
+}
+
+cache.changes.on("set", (entry) => {
+  broadcast("instance", entry, entry.id);
+  broadcastCounts();
+});
+
+cache.changes.on("remove", (entry) => {
+  broadcast("instance.removed", { id: entry.id, serviceId: entry.serviceId }, entry.id);
+  broadcastCounts();
+});
+
+events.onEvent((event) => {
+  broadcast(event.type, event, event.data?.instanceId || null);
+});
+
+// Attach a client. With instanceId, only that instance's changes are sent.
+export function attach(req, res, { instanceId = null } = {}) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const client = { res, instanceId };
+  const instances = cache.getAll().filter((i) => !instanceId || i.id === instanceId);
+  write(client, "snapshot", instanceId ? { instances } : { counts: counts(), instances });
+  clients.add(client);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+}
+
+export function clientCount() {
+  return clients.size;
+}
@@ -1,25 +1,30 @@
-const STUCK_TIMEOUT_MS = parseInt(process.env.POOL_STUCK_TIMEOUT_MS || String(15 * 60 * 1000), 10);
+export const STUCK_TIMEOUT_MS = parseInt(process.env.POOL_STUCK_TIMEOUT_MS || String(15 * 60 * 1000), 10);
 
 const STARTING_STATUSES = new Set(["QUEUED", "WAITING", "BUILDING", "DEPLOYING"]);
 const DEAD_STATUSES = new Set(["FAILED", "CRASHED", "REMOVED", "SKIPPED"]);
 
 // Derive pool status from Railway deploy status + health check result.
 // healthCheck is the parsed JSON from /convos/status, or null if unreachable.
-export function deriveStatus({ deployStatus, healthCheck = null, createdAt = null }) {
+// Unreachable instances older than stuckTimeoutMs are dead, unless they were
+// sent to /convos/reset (resetAt) less than stuckTimeoutMs ago.
+export function deriveStatus({ deployStatus, healthCheck = null, createdAt = null, resetAt = null, stuckTimeoutMs = STUCK_TIMEOUT_MS }) {
   if (deployStatus === "SLEEPING") return "sleeping";
   if (DEAD_STATUSES.has(deployStatus)) return "dead";
   if (STARTING_STATUSES.has(deployStatus)) return "starting";
 
   if (deployStatus === "SUCCESS") {
     if (healthCheck) {
+      if (healthCheck.resetting) return "resetting";
       return healthCheck.conversation ? "claimed" : "idle";
     }
+    // A resetting agent may restart and drop off for a while
+    if (resetAt && Date.now() - new Date(resetAt).getTime() < stuckTimeoutMs) return "resetting";
     // Unreachable — check age
     const age = createdAt ? Date.now() - new Date(createdAt).getTime() : Infinity;
-    return age < STUCK_TIMEOUT_MS ? "starting" : "dead";
+    return age < stuckTimeoutMs ? "starting" : "dead";
   }
 
   // Unknown or null deploy status — treat as starting if young
   const age = createdAt ? Date.now() - new Date(createdAt).getTime() : Infinity;
-  return age < STUCK_TIMEOUT_MS ? "starting" : "dead";
+  return age < stuckTimeoutMs ? "starting" : "dead";
 }
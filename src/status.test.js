@@ -51,6 +51,15 @@ describe("deriveStatus", () => {
     assert.equal(deriveStatus({ deployStatus: "SUCCESS", healthCheck: { ready: true, conversation: "conv-123" } }), "claimed");
   });
 
+  it("SUCCESS + healthy + resetting → resetting", () => {
+    assert.equal(deriveStatus({ deployStatus: "SUCCESS", healthCheck: { ready: false, resetting: true }, createdAt: old }), "resetting");
+  });
+
+  it("SUCCESS + unreachable + recently reset → resetting", () => {
+    assert.equal(deriveStatus({ deployStatus: "SUCCESS", createdAt: old, resetAt: young }), "resetting");
+    assert.equal(deriveStatus({ deployStatus: "SUCCESS", createdAt: old, resetAt: old }), "dead");
+  });
+
   it("SUCCESS + unreachable + young → starting", () => {
     assert.equal(deriveStatus({ deployStatus: "SUCCESS", healthCheck: null, createdAt: young }), "starting");
   });
@@ -59,6 +68,11 @@ describe("deriveStatus", () => {
     assert.equal(deriveStatus({ deployStatus: "SUCCESS", healthCheck: null, createdAt: old }), "dead");
   });
 
+  it("uses the given stuck timeout", () => {
+    assert.equal(deriveStatus({ deployStatus: "SUCCESS", createdAt: young, stuckTimeoutMs: 30_000 }), "dead");
+    assert.equal(deriveStatus({ deployStatus: "SUCCESS", createdAt: old, stuckTimeoutMs: 2 * STUCK_MS }), "starting");
+  });
+
   it("null deploy status + young → starting", () => {
     assert.equal(deriveStatus({ deployStatus: null, createdAt: young }), "starting");
   });
@@ -0,0 +1,55 @@
+import { createHmac } from "node:crypto";
+
+// Signed outbound POSTs. The signature header is "t=<unix seconds>,v1=<hex>"
+// where v1 = HMAC-SHA256(secret, "<t>.<body>"), so receivers can reject replays.
+
+export const SIGNATURE_HEADER = "X-Pool-Signature";
+
+export function sign(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+// POST a JSON payload once. Throws on network errors and non-2xx responses.
+// Redirects are not followed (a 3xx fails too): the URL was checked before
+// sending (see callbackUrlError() in claimJobs.js), its redirect target wasn't.
+export async function postSigned(url, payload, secret) {
+  const body = JSON.stringify(payload);
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      [SIGNATURE_HEADER]: sign(body, secret),
+    },
+    body,
+    redirect: "manual",
+    signal: AbortSignal.timeout(10_000),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+export const EVENT_TYPES = [
+  "instance.created",
+  "instance.idle",
+  "instance.claimed",
+  "instance.crashed",
+  "instance.dismissed",
+  "instance.killed",
+  "instance.expiring",
+  "instance.expired",
+  "instance.released",
+  "instance.updated",
+  "instance.upgraded",
+  "instance.drained",
+  "pool.deficit_unfilled",
+];
+
+// A subscription with no event filter receives everything.
+export function matches(subscription, type) {
+  return subscription.events.length === 0 || subscription.events.includes(type);
+}
+
+// Delay before retry number `attempt` (1-based): 5s, 10s, 20s, ... capped at 5 minutes.
+export function backoffMs(attempt) {
+  return Math.min(5000 * 2 ** (attempt - 1), 5 * 60 * 1000);
+}
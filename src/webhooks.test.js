@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { createServer } from "node:http";
+import { sign, matches, backoffMs, postSigned } from "./webhooks.js";
+
+// Start a local HTTP server; returns its base URL and a close function.
+async function listen(handler) {
+  const server = createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+describe("sign", () => {
+  it("signs timestamp and body with HMAC-SHA256", () => {
+    const body = JSON.stringify({ type: "claim.finished" });
+    const expected = createHmac("sha256", "secret").update(`1700000000.${body}`).digest("hex");
+    assert.equal(sign(body, "secret", 1700000000), `t=1700000000,v1=${expected}`);
+  });
+
+  it("changes with the secret", () => {
+    assert.notEqual(sign("{}", "a", 1), sign("{}", "b", 1));
+  });
+});
+
+describe("matches", () => {
+  it("matches everything with an empty filter", () => {
+    assert.equal(matches({ events: [] }, "instance.killed"), true);
+  });
+
+  it("matches only listed events", () => {
+    const sub = { events: ["instance.claimed"] };
+    assert.equal(matches(sub, "instance.claimed"), true);
+    assert.equal(matches(sub, "instance.killed"), false);
+  });
+});
+
+describe("backoffMs", () => {
+  it("doubles and caps at 5 minutes", () => {
+    assert.equal(backoffMs(1), 5000);
+    assert.equal(backoffMs(2), 10000);
+    assert.equal(backoffMs(3), 20000);
+    assert.equal(backoffMs(20), 5 * 60 * 1000);
+  });
+});
+
+describe("postSigned", () => {
+  it("fails on a redirect instead of following it", async () => {
+    const internal = [];
+    const target = await listen((req, res) => {
+      internal.push(req.url);
+      res.end();
+    });
+    const redirector = await listen((_req, res) => {
+      res.writeHead(307, { Location: `${target.url}/latest/meta-data` });
+      res.end();
+    });
+    try {
+      await assert.rejects(postSigned(`${redirector.url}/hook`, { type: "claim.finished" }, "secret"), /HTTP 307/);
+      assert.deepEqual(internal, []);
+    } finally {
+      await Promise.all([target.close(), redirector.close()]);
+    }
+  });
+});